@@ -6,26 +6,41 @@
  * 
  * Features:
  * - Splash screen with animation
- * - User login with validation
+ * - Local accounts with sign-up and secure sign-in
+ * - Remembered sessions with auto-login and sign-out
  * - Dashboard with progress tracking
  * - Task creation with subject, topic, time, deadline, priority
- * - Task list with completion toggle
+ * - Subject catalogue with colors, instructors and credits
+ * - Task list with completion toggle and search
+ * - Overdue detection with one-tap rescheduling
+ * - Study plan that spreads hours before deadlines
+ * - Month and week calendar of deadlines
+ * - Daily study goal with streak tracking
+ * - Progress history charts and burn-up
+ * - Per-subject progress, hours and deadlines
+ * - Spaced-repetition reviews for completed topics
+ * - Exams with countdowns and prep readiness
  * - Progress visualization
+ * - Local deadline reminders
  * 
  * Author: [Your Name]
  * For: College Final Assignment / Portfolio Showcase
  */
 
 import 'react-native-gesture-handler';
-import React from 'react';
+import React, { useEffect } from 'react';
 import { StatusBar, View } from 'react-native';
 import AppNavigator from './src/navigation/AppNavigator';
+import { startReminderSync } from './src/utils/notifications';
 
 /**
  * Main App Component
  * Simplified setup for better Expo SDK 54 compatibility
  */
 export default function App() {
+  // Keep deadline reminders in step with task changes
+  useEffect(() => startReminderSync(), []);
+
   return (
     <View style={{ flex: 1 }}>
       {/* Set default status bar style */}
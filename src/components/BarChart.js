@@ -0,0 +1,140 @@
+/**
+ * BarChart.js - Simple Column Chart
+ *
+ * Draws one column per data point, scaled to the largest value. A point
+ * can also carry a `backgroundValue`, drawn as a lighter column behind
+ * the main one (used for completed-vs-planned burn-up charts).
+ * Labels are thinned out when there are too many to fit.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+// Most axis labels shown under the chart
+const MAX_LABELS = 7;
+
+/**
+ * Bar Chart Component
+ * @param {Array} data - Points: [{ key, label, value, backgroundValue }]
+ * @param {number} height - Height of the plotting area
+ * @param {string} color - Column color
+ * @param {string} backgroundColor - Color of the background columns
+ * @param {Function} formatValue - Formats the values shown above the columns
+ * @param {object} style - Additional custom styles
+ */
+const BarChart = ({
+    data = [],
+    height = 120,
+    color = '#4A90E2',
+    backgroundColor = '#E2E8F0',
+    formatValue = (value) => String(value),
+    style
+}) => {
+    const maxValue = Math.max(
+        ...data.map(point => Math.max(point.value, point.backgroundValue || 0)),
+        0
+    );
+    const labelEvery = Math.ceil(data.length / MAX_LABELS);
+
+    // Values fit above the columns only when there are few of them
+    const showValues = data.length <= MAX_LABELS;
+
+    /**
+     * Height of a column for a value
+     * @param {number} value - Data value
+     * @returns {number} - Column height
+     */
+    const scale = (value) => (maxValue > 0 ? (value / maxValue) * height : 0);
+
+    return (
+        <View style={style}>
+            <View style={[styles.plot, { height: height + (showValues ? 18 : 0) }]}>
+                {data.map((point) => (
+                    <View key={point.key} style={styles.column}>
+                        {showValues && (
+                            <Text style={styles.value} numberOfLines={1}>
+                                {point.value > 0 ? formatValue(point.value) : ''}
+                            </Text>
+                        )}
+                        <View style={[styles.slot, { height }]}>
+                            {point.backgroundValue > 0 && (
+                                <View
+                                    style={[
+                                        styles.bar,
+                                        styles.backgroundBar,
+                                        { height: scale(point.backgroundValue), backgroundColor }
+                                    ]}
+                                />
+                            )}
+                            <View style={[styles.bar, { height: scale(point.value), backgroundColor: color }]} />
+                        </View>
+                    </View>
+                ))}
+            </View>
+
+            {/* Axis labels */}
+            <View style={styles.axis}>
+                {data.map((point, index) => (
+                    <View key={point.key} style={styles.labelSlot}>
+                        {/* Count from the newest point so it is always labelled */}
+                        {(data.length - 1 - index) % labelEvery === 0 && (
+                            <Text style={styles.label} numberOfLines={1}>{point.label}</Text>
+                        )}
+                    </View>
+                ))}
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    plot: {
+        flexDirection: 'row',
+        alignItems: 'flex-end',
+        borderBottomWidth: 1,
+        borderBottomColor: '#E2E8F0',
+    },
+    column: {
+        flex: 1,
+        alignItems: 'center',
+        marginHorizontal: 2,
+    },
+    value: {
+        fontSize: 10,
+        fontWeight: '600',
+        color: '#718096',
+        marginBottom: 4,
+    },
+    slot: {
+        width: '100%',
+        justifyContent: 'flex-end',
+        alignItems: 'center',
+    },
+    bar: {
+        width: '70%',
+        borderTopLeftRadius: 4,
+        borderTopRightRadius: 4,
+    },
+    backgroundBar: {
+        position: 'absolute',
+        bottom: 0,
+        width: '100%',
+    },
+    labelSlot: {
+        flex: 1,
+        alignItems: 'center',
+        marginHorizontal: 2,
+    },
+    label: {
+        width: 48,
+        fontSize: 10,
+        color: '#A0AEC0',
+        textAlign: 'center',
+    },
+    axis: {
+        flexDirection: 'row',
+        marginTop: 6,
+    },
+});
+
+export default BarChart;
@@ -17,7 +17,7 @@ import {
  * Custom Button Component
  * @param {string} title - Button text
  * @param {function} onPress - Function to call when button is pressed
- * @param {string} variant - Button style variant ('primary', 'secondary', 'outline')
+ * @param {string} variant - Button style variant ('primary', 'secondary', 'outline', 'danger')
  * @param {boolean} disabled - Whether button is disabled
  * @param {boolean} loading - Show loading spinner
  * @param {object} style - Additional custom styles
@@ -37,6 +37,8 @@ const Button = ({
                 return styles.secondaryButton;
             case 'outline':
                 return styles.outlineButton;
+            case 'danger':
+                return styles.dangerButton;
             default:
                 return styles.primaryButton;
         }
@@ -107,6 +109,10 @@ const styles = StyleSheet.create({
         borderWidth: 2,
         borderColor: '#4A90E2',
     },
+    // Danger button - Destructive action
+    dangerButton: {
+        backgroundColor: '#FF4757',
+    },
     // Disabled button state
     disabledButton: {
         backgroundColor: '#A0AEC0',
@@ -0,0 +1,104 @@
+/**
+ * ExamPicker.js - Exam Link Selector
+ *
+ * Row of chips for linking a task to one of the profile's upcoming exams
+ * (or to none). Exams for the task's subject are listed first.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity
+} from 'react-native';
+import { formatDate } from '../utils/helpers';
+import { getExams, getUpcomingExams } from '../utils/exams';
+
+/**
+ * Exam Picker Component
+ * @param {string} examId - ID of the linked exam (null if none)
+ * @param {string} subjectId - Task's subject, used to list its exams first
+ * @param {function} onChange - Called with the chosen exam ID (or null)
+ */
+const ExamPicker = ({ examId, subjectId, onChange }) => {
+    const [exams, setExams] = useState([]);
+
+    // Load exams on mount
+    useEffect(() => {
+        getExams().then(setExams);
+    }, []);
+
+    // Upcoming exams (plus the linked one, even if it is over), subject's own first
+    const options = [
+        ...getUpcomingExams(exams),
+        ...exams.filter(exam => exam.id === examId && new Date(exam.date) < new Date()),
+    ].sort((a, b) => Number(b.subjectId === subjectId) - Number(a.subjectId === subjectId));
+
+    if (exams.length === 0) {
+        return (
+            <Text style={styles.emptyText}>
+                No exams yet. Add them from the dashboard to link prep tasks.
+            </Text>
+        );
+    }
+
+    return (
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            <Chip label="None" active={!examId} onPress={() => onChange(null)} />
+            {options.map((exam) => (
+                <Chip
+                    key={exam.id}
+                    label={`${exam.title} · ${formatDate(exam.date)}`}
+                    active={exam.id === examId}
+                    onPress={() => onChange(exam.id)}
+                />
+            ))}
+        </ScrollView>
+    );
+};
+
+/**
+ * Chip Component
+ * A single selectable exam option
+ */
+const Chip = ({ label, active, onPress }) => (
+    <TouchableOpacity
+        style={[styles.chip, active && styles.chipActive]}
+        onPress={onPress}
+    >
+        <Text style={[styles.chipText, active && styles.chipTextActive]} numberOfLines={1}>
+            {label}
+        </Text>
+    </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+    chip: {
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        backgroundColor: '#FFFFFF',
+        marginRight: 8,
+    },
+    chipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    chipTextActive: {
+        color: '#FFFFFF',
+    },
+    emptyText: {
+        fontSize: 13,
+        color: '#A0AEC0',
+    },
+});
+
+export default ExamPicker;
@@ -0,0 +1,43 @@
+/**
+ * HighlightText.js - Search Match Highlighting
+ *
+ * Renders text with the parts that match a search query highlighted.
+ * Behaves like a plain Text when there is no query.
+ */
+
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+import { getHighlightParts } from '../utils/search';
+
+/**
+ * Highlight Text Component
+ * @param {string} text - Text to display
+ * @param {string} query - Search query whose matches are highlighted
+ * @param {object} style - Style for the whole text
+ * @param {number} numberOfLines - Optional line limit
+ */
+const HighlightText = ({ text, query, style, numberOfLines }) => {
+    const parts = getHighlightParts(text, query);
+
+    return (
+        <Text style={style} numberOfLines={numberOfLines}>
+            {parts.map((part, index) => (
+                part.match ? (
+                    <Text key={index} style={styles.match}>{part.text}</Text>
+                ) : (
+                    part.text
+                )
+            ))}
+        </Text>
+    );
+};
+
+const styles = StyleSheet.create({
+    match: {
+        backgroundColor: '#FEF3C7',
+        color: '#2D3748',
+        fontWeight: '700',
+    },
+});
+
+export default HighlightText;
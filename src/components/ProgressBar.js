@@ -14,12 +14,14 @@ import { View, Text, StyleSheet, Animated } from 'react-native';
  * @param {string} height - Height of the progress bar
  * @param {boolean} showLabel - Whether to show percentage label
  * @param {object} style - Additional custom styles
+ * @param {string} color - Optional fill color (defaults to one based on progress)
  */
 const ProgressBar = ({
     progress = 0,
     height = 12,
     showLabel = true,
-    style
+    style,
+    color
 }) => {
     // Animated value for smooth progress transitions
     const animatedWidth = useRef(new Animated.Value(0)).current;
@@ -54,7 +56,7 @@ const ProgressBar = ({
                         styles.fill,
                         {
                             height,
-                            backgroundColor: getProgressColor(),
+                            backgroundColor: color || getProgressColor(),
                             width: animatedWidth.interpolate({
                                 inputRange: [0, 100],
                                 outputRange: ['0%', '100%'],
@@ -0,0 +1,108 @@
+/**
+ * ProgressRing.js - Circular Progress Indicator
+ *
+ * A ring that fills clockwise from the top. Built from two rotating
+ * half-discs clipped to each half of the ring, so it needs no SVG.
+ * Anything passed as children is shown in the middle.
+ */
+
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+
+/**
+ * Progress Ring Component
+ * @param {number} progress - Progress percentage (0-100)
+ * @param {number} size - Outer diameter
+ * @param {number} thickness - Width of the ring
+ * @param {string} color - Fill color
+ * @param {string} trackColor - Color of the unfilled ring
+ * @param {string} backgroundColor - Color behind the ring (fills the middle)
+ * @param {object} style - Additional custom styles
+ */
+const ProgressRing = ({
+    progress = 0,
+    size = 120,
+    thickness = 12,
+    color = '#4A90E2',
+    trackColor = '#E2E8F0',
+    backgroundColor = '#FFFFFF',
+    style,
+    children
+}) => {
+    // Ensure progress is within valid range
+    const validProgress = Math.min(Math.max(progress, 0), 100);
+
+    // The right half fills first (0-50%), then the left half (50-100%)
+    const rightDegrees = Math.min(validProgress, 50) * 3.6;
+    const leftDegrees = Math.max(validProgress - 50, 0) * 3.6;
+
+    const half = size / 2;
+    const circle = { width: size, height: size, borderRadius: half };
+
+    return (
+        <View style={[circle, { backgroundColor: trackColor }, style]}>
+            {/* Right half */}
+            <View style={[styles.clip, { left: half, width: half, height: size }]}>
+                <View style={[circle, { marginLeft: -half, transform: [{ rotate: `${rightDegrees}deg` }] }]}>
+                    <View
+                        style={{
+                            width: half,
+                            height: size,
+                            backgroundColor: color,
+                            borderTopLeftRadius: half,
+                            borderBottomLeftRadius: half,
+                        }}
+                    />
+                </View>
+            </View>
+
+            {/* Left half */}
+            <View style={[styles.clip, { left: 0, width: half, height: size }]}>
+                <View style={[circle, { transform: [{ rotate: `${leftDegrees}deg` }] }]}>
+                    <View
+                        style={{
+                            width: half,
+                            height: size,
+                            marginLeft: half,
+                            backgroundColor: color,
+                            borderTopRightRadius: half,
+                            borderBottomRightRadius: half,
+                        }}
+                    />
+                </View>
+            </View>
+
+            {/* Middle */}
+            <View
+                style={[
+                    styles.center,
+                    {
+                        top: thickness,
+                        left: thickness,
+                        width: size - thickness * 2,
+                        height: size - thickness * 2,
+                        borderRadius: half - thickness,
+                        backgroundColor,
+                    }
+                ]}
+            >
+                {children}
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    clip: {
+        position: 'absolute',
+        top: 0,
+        overflow: 'hidden',
+    },
+    center: {
+        position: 'absolute',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+});
+
+export default ProgressRing;
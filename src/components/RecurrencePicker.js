@@ -0,0 +1,279 @@
+/**
+ * RecurrencePicker.js - Repeat Rule Selector
+ *
+ * Lets the user choose whether a task repeats (daily, weekly on chosen
+ * weekdays, or every N days) and when the series ends.
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    TouchableOpacity,
+    Platform
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import { formatDate } from '../utils/helpers';
+import { WEEKDAY_LABELS } from '../utils/recurrence';
+
+// Repeat options shown as chips (null = does not repeat)
+const FREQUENCY_OPTIONS = [
+    { value: null, label: 'Never' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'interval', label: 'Every N days' },
+];
+
+// How the series ends
+const END_OPTIONS = [
+    { value: 'never', label: 'No end' },
+    { value: 'until', label: 'On date' },
+    { value: 'count', label: 'After' },
+];
+
+/**
+ * Small selectable chip
+ */
+const Chip = ({ label, active, onPress }) => (
+    <TouchableOpacity
+        style={[styles.chip, active && styles.chipActive]}
+        onPress={onPress}
+    >
+        <Text style={[styles.chipText, active && styles.chipTextActive]}>
+            {label}
+        </Text>
+    </TouchableOpacity>
+);
+
+/**
+ * Recurrence Picker Component
+ * @param {object|null} value - Recurrence form value, or null if the task does not repeat
+ * @param {Date} deadline - Deadline of the task, used as the series start
+ * @param {string} error - Validation error to display
+ * @param {function} onChange - Called with the new form value (or null)
+ */
+const RecurrencePicker = ({ value, deadline, error, onChange }) => {
+    const [showUntilPicker, setShowUntilPicker] = useState(false);
+
+    /**
+     * Switch repeat frequency, keeping sensible defaults
+     * @param {string|null} frequency - New frequency
+     */
+    const handleFrequency = (frequency) => {
+        if (!frequency) {
+            onChange(null);
+            return;
+        }
+        onChange({
+            frequency,
+            interval: value?.interval || '2',
+            // Default weekly repeats to the deadline's weekday
+            weekdays: value?.weekdays?.length ? value.weekdays : [new Date(deadline).getDay()],
+            endType: value?.endType || 'never',
+            until: value?.until || null,
+            count: value?.count || '',
+        });
+    };
+
+    /**
+     * Toggle one weekday in a weekly rule
+     * @param {number} day - Day index (0 = Sunday)
+     */
+    const toggleWeekday = (day) => {
+        const weekdays = value.weekdays.includes(day)
+            ? value.weekdays.filter(d => d !== day)
+            : [...value.weekdays, day];
+        onChange({ ...value, weekdays });
+    };
+
+    /**
+     * Handle end date picker change
+     */
+    const onUntilChange = (event, selectedDate) => {
+        setShowUntilPicker(Platform.OS === 'ios');
+        if (selectedDate) {
+            onChange({ ...value, until: selectedDate });
+        }
+    };
+
+    return (
+        <View>
+            {/* Frequency */}
+            <View style={styles.chipRow}>
+                {FREQUENCY_OPTIONS.map((option) => (
+                    <Chip
+                        key={option.label}
+                        label={option.label}
+                        active={(value?.frequency || null) === option.value}
+                        onPress={() => handleFrequency(option.value)}
+                    />
+                ))}
+            </View>
+
+            {/* Weekly: choose weekdays */}
+            {value?.frequency === 'weekly' && (
+                <View style={styles.chipRow}>
+                    {WEEKDAY_LABELS.map((label, day) => (
+                        <Chip
+                            key={label}
+                            label={label}
+                            active={value.weekdays.includes(day)}
+                            onPress={() => toggleWeekday(day)}
+                        />
+                    ))}
+                </View>
+            )}
+
+            {/* Every N days: choose N */}
+            {value?.frequency === 'interval' && (
+                <View style={styles.inlineRow}>
+                    <Text style={styles.inlineText}>Every</Text>
+                    <TextInput
+                        style={styles.smallInput}
+                        value={value.interval}
+                        onChangeText={(text) => onChange({ ...value, interval: text })}
+                        keyboardType="number-pad"
+                    />
+                    <Text style={styles.inlineText}>days</Text>
+                </View>
+            )}
+
+            {/* Series end */}
+            {value && (
+                <View>
+                    <Text style={styles.subLabel}>Ends</Text>
+                    <View style={styles.chipRow}>
+                        {END_OPTIONS.map((option) => (
+                            <Chip
+                                key={option.value}
+                                label={option.label}
+                                active={value.endType === option.value}
+                                onPress={() => onChange({ ...value, endType: option.value })}
+                            />
+                        ))}
+                    </View>
+
+                    {value.endType === 'until' && (
+                        <TouchableOpacity
+                            style={styles.dateButton}
+                            onPress={() => setShowUntilPicker(true)}
+                        >
+                            <Text style={styles.dateButtonText}>
+                                📅 {value.until ? formatDate(value.until) : 'Choose end date'}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+
+                    {value.endType === 'count' && (
+                        <View style={styles.inlineRow}>
+                            <TextInput
+                                style={styles.smallInput}
+                                value={value.count}
+                                onChangeText={(text) => onChange({ ...value, count: text })}
+                                keyboardType="number-pad"
+                                placeholder="10"
+                                placeholderTextColor="#A0AEC0"
+                            />
+                            <Text style={styles.inlineText}>times</Text>
+                        </View>
+                    )}
+
+                    {showUntilPicker && (
+                        <DateTimePicker
+                            value={value.until ? new Date(value.until) : new Date(deadline)}
+                            mode="date"
+                            display="default"
+                            onChange={onUntilChange}
+                            minimumDate={new Date(deadline)}
+                        />
+                    )}
+                </View>
+            )}
+
+            {error ? (
+                <Text style={styles.errorText}>{error}</Text>
+            ) : null}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 8,
+    },
+    chip: {
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        marginRight: 8,
+        marginBottom: 8,
+        borderRadius: 20,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        backgroundColor: '#FFFFFF',
+    },
+    chipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    chipTextActive: {
+        color: '#FFFFFF',
+    },
+    subLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#718096',
+        marginBottom: 8,
+    },
+    inlineRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    inlineText: {
+        fontSize: 14,
+        color: '#4A5568',
+        marginHorizontal: 8,
+    },
+    smallInput: {
+        width: 64,
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 10,
+        paddingHorizontal: 12,
+        paddingVertical: 8,
+        fontSize: 16,
+        color: '#2D3748',
+        textAlign: 'center',
+    },
+    dateButton: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 12,
+        marginBottom: 8,
+    },
+    dateButtonText: {
+        fontSize: 15,
+        color: '#2D3748',
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 2,
+        marginLeft: 4,
+    },
+});
+
+export default RecurrencePicker;
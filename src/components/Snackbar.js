@@ -0,0 +1,154 @@
+/**
+ * Snackbar.js - Temporary Message Bar
+ *
+ * A small bar that slides in at the bottom of the screen with a message
+ * and an optional action (e.g. "Undo"), then hides itself after a delay.
+ * It stays mounted, showing its last message, until it has slid back out.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+    Text,
+    StyleSheet,
+    TouchableOpacity,
+    Animated
+} from 'react-native';
+
+/**
+ * Snackbar Component
+ * @param {boolean} visible - Whether the snackbar is shown
+ * @param {string} message - Text to display
+ * @param {string} actionLabel - Optional action button text
+ * @param {function} onAction - Function called when the action is pressed
+ * @param {function} onDismiss - Function called when the snackbar times out
+ * @param {number} duration - Time in milliseconds before auto-dismiss
+ * @param {object} style - Additional custom styles
+ */
+const Snackbar = ({
+    visible,
+    message,
+    actionLabel,
+    onAction,
+    onDismiss,
+    duration = 5000,
+    style
+}) => {
+    // Animated value for slide/fade transitions
+    const animatedValue = useRef(new Animated.Value(0)).current;
+
+    // Kept true through the exit animation
+    const [mounted, setMounted] = useState(visible);
+
+    // Message shown while sliding out (callers usually clear it on dismiss)
+    const lastMessage = useRef(message);
+
+    useEffect(() => {
+        if (visible) {
+            lastMessage.current = message;
+        }
+    });
+
+    // Animate in/out and start the auto-dismiss timer while visible
+    useEffect(() => {
+        if (visible) {
+            setMounted(true);
+        }
+
+        Animated.timing(animatedValue, {
+            toValue: visible ? 1 : 0,
+            duration: 250,
+            useNativeDriver: true,
+        }).start(({ finished }) => {
+            // Unmount once the bar has finished sliding out
+            if (finished && !visible) {
+                setMounted(false);
+            }
+        });
+
+        if (!visible) {
+            return undefined;
+        }
+
+        const timer = setTimeout(() => {
+            if (onDismiss) {
+                onDismiss();
+            }
+        }, duration);
+
+        // Cleanup timer when hidden, replaced or unmounted
+        return () => clearTimeout(timer);
+    }, [visible, message, duration]);
+
+    if (!visible && !mounted) {
+        return null;
+    }
+
+    return (
+        <Animated.View
+            pointerEvents={visible ? 'auto' : 'none'}
+            style={[
+                styles.container,
+                {
+                    opacity: animatedValue,
+                    transform: [{
+                        translateY: animatedValue.interpolate({
+                            inputRange: [0, 1],
+                            outputRange: [40, 0],
+                        }),
+                    }],
+                },
+                style
+            ]}
+        >
+            <Text style={styles.message} numberOfLines={2}>
+                {visible ? message : lastMessage.current}
+            </Text>
+
+            {/* Optional action button */}
+            {actionLabel && onAction ? (
+                <TouchableOpacity onPress={onAction} style={styles.actionButton}>
+                    <Text style={styles.actionText}>{actionLabel}</Text>
+                </TouchableOpacity>
+            ) : null}
+        </Animated.View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        position: 'absolute',
+        left: 24,
+        right: 24,
+        bottom: 24,
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#2D3748',
+        borderRadius: 12,
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        elevation: 10,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 4 },
+        shadowOpacity: 0.25,
+        shadowRadius: 8,
+    },
+    message: {
+        flex: 1,
+        color: '#FFFFFF',
+        fontSize: 14,
+    },
+    actionButton: {
+        marginLeft: 12,
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+    },
+    actionText: {
+        color: '#63B3ED',
+        fontSize: 14,
+        fontWeight: '700',
+        textTransform: 'uppercase',
+        letterSpacing: 0.5,
+    },
+});
+
+export default Snackbar;
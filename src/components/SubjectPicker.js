@@ -0,0 +1,204 @@
+/**
+ * SubjectPicker.js - Subject Autocomplete Input
+ *
+ * Text input that suggests matching subjects from the catalogue as the
+ * user types, and offers to create a new subject when nothing matches.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    TouchableOpacity
+} from 'react-native';
+import {
+    getSubjects,
+    addSubject,
+    findSubjectByName,
+    normalizeSubjectName
+} from '../utils/subjects';
+
+// Maximum number of suggestions shown under the input
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Subject Picker Component
+ * @param {string} value - Subject name currently in the input
+ * @param {string} subjectId - ID of the chosen catalogue subject (null if none)
+ * @param {string} error - Error message to show under the input
+ * @param {function} onChange - Called with (name, subjectId) when the subject changes
+ */
+const SubjectPicker = ({ value, subjectId, error, onChange }) => {
+    const [subjects, setSubjects] = useState([]);
+    const [isFocused, setIsFocused] = useState(false);
+
+    // Load the catalogue on mount
+    useEffect(() => {
+        getSubjects().then(setSubjects);
+    }, []);
+
+    const selected = subjects.find(subject => subject.id === subjectId);
+    const query = normalizeSubjectName(value);
+    const exactMatch = findSubjectByName(subjects, value);
+
+    // Active subjects whose name contains what was typed
+    const suggestions = subjects
+        .filter(subject => !subject.archived)
+        .filter(subject => !query || normalizeSubjectName(subject.name).includes(query))
+        .slice(0, MAX_SUGGESTIONS);
+
+    /**
+     * Update the typed text, linking it when it matches a subject exactly
+     */
+    const handleChangeText = (text) => {
+        const match = findSubjectByName(subjects, text);
+        onChange(text, match ? match.id : null);
+    };
+
+    /**
+     * Choose a subject from the suggestions
+     */
+    const handleSelect = (subject) => {
+        onChange(subject.name, subject.id);
+        setIsFocused(false);
+    };
+
+    /**
+     * Add the typed name to the catalogue and choose it
+     */
+    const handleCreate = async () => {
+        const { subject } = await addSubject({ name: value });
+        if (subject) {
+            setSubjects(current => [...current, subject]);
+            handleSelect(subject);
+        }
+    };
+
+    const showSuggestions = isFocused && (suggestions.length > 0 || (query && !exactMatch));
+
+    return (
+        <View>
+            <View style={[styles.inputRow, error && styles.inputError]}>
+                <View
+                    style={[
+                        styles.colorDot,
+                        { backgroundColor: selected ? selected.color : '#E2E8F0' }
+                    ]}
+                />
+                <TextInput
+                    style={styles.input}
+                    placeholder="e.g., Mathematics, Physics"
+                    placeholderTextColor="#A0AEC0"
+                    value={value}
+                    onChangeText={handleChangeText}
+                    onFocus={() => setIsFocused(true)}
+                    onBlur={() => setIsFocused(false)}
+                />
+            </View>
+
+            {showSuggestions && (
+                <View style={styles.suggestions}>
+                    {suggestions.map((subject) => (
+                        <TouchableOpacity
+                            key={subject.id}
+                            style={styles.suggestionRow}
+                            onPress={() => handleSelect(subject)}
+                        >
+                            <View style={[styles.colorDot, { backgroundColor: subject.color }]} />
+                            <Text style={styles.suggestionText} numberOfLines={1}>
+                                {subject.name}
+                            </Text>
+                            {subject.instructor ? (
+                                <Text style={styles.suggestionMeta} numberOfLines={1}>
+                                    {subject.instructor}
+                                </Text>
+                            ) : null}
+                        </TouchableOpacity>
+                    ))}
+
+                    {query && !exactMatch ? (
+                        <TouchableOpacity style={styles.suggestionRow} onPress={handleCreate}>
+                            <Text style={styles.createText} numberOfLines={1}>
+                                ＋ Create "{value.trim()}"
+                            </Text>
+                        </TouchableOpacity>
+                    ) : null}
+                </View>
+            )}
+
+            {error ? (
+                <Text style={styles.errorText}>{error}</Text>
+            ) : null}
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    inputRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+    },
+    input: {
+        flex: 1,
+        paddingVertical: 14,
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    inputError: {
+        borderColor: '#FF4757',
+        borderWidth: 2,
+    },
+    colorDot: {
+        width: 12,
+        height: 12,
+        borderRadius: 6,
+        marginRight: 10,
+    },
+    suggestions: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        marginTop: 4,
+        overflow: 'hidden',
+    },
+    suggestionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 12,
+        paddingHorizontal: 16,
+        borderBottomWidth: 1,
+        borderBottomColor: '#F7FAFC',
+    },
+    suggestionText: {
+        flex: 1,
+        fontSize: 15,
+        color: '#2D3748',
+    },
+    suggestionMeta: {
+        fontSize: 12,
+        color: '#A0AEC0',
+        marginLeft: 8,
+        maxWidth: 120,
+    },
+    createText: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 6,
+        marginLeft: 4,
+    },
+});
+
+export default SubjectPicker;
@@ -2,7 +2,9 @@
  * TaskCard.js - Task Display Card Component
  * 
  * Displays individual task information in a card layout.
- * Includes subject, topic, time, deadline, priority and completion toggle.
+ * Includes subject, topic, time, deadline, priority, checklist and completion toggle.
+ * Search matches in the subject, topic and notes are highlighted, and
+ * overdue tasks are flagged in red.
  */
 
 import React from 'react';
@@ -13,15 +15,38 @@ import {
     TouchableOpacity
 } from 'react-native';
 import PriorityBadge from './PriorityBadge';
-import { formatDate } from '../utils/helpers';
+import HighlightText from './HighlightText';
+import {
+    formatDate,
+    getLoggedHours,
+    formatHours,
+    isTaskOverdue,
+    getDaysUntilDeadline,
+    describeRecurrence
+} from '../utils/helpers';
+import { textMatchesQuery } from '../utils/search';
 
 /**
  * Task Card Component
  * @param {object} task - Task object with all task details
  * @param {function} onToggleComplete - Function to toggle task completion
  * @param {function} onPress - Function called when card is pressed
+ * @param {function} onDelete - Optional function to delete the task
+ * @param {function} onToggleSubtask - Function called with (taskId, subtaskId) to tick a checklist step
+ * @param {function} onStartFocus - Optional function to open the focus timer for the task
+ * @param {object} subjectInfo - Optional catalogue subject (color, instructor) for the task
+ * @param {string} highlight - Optional search query to highlight
  */
-const TaskCard = ({ task, onToggleComplete, onPress }) => {
+const TaskCard = ({
+    task,
+    subjectInfo,
+    highlight,
+    onToggleComplete,
+    onPress,
+    onDelete,
+    onToggleSubtask,
+    onStartFocus
+}) => {
     // Destructure task properties for easier access
     const {
         id,
@@ -32,40 +57,123 @@ const TaskCard = ({ task, onToggleComplete, onPress }) => {
         priority,
         completed
     } = task;
+    const subtasks = task.subtasks || [];
+    const doneSubtasks = subtasks.filter(subtask => subtask.completed).length;
+    const loggedHours = getLoggedHours(task);
+    const overdue = isTaskOverdue(task);
+    const daysOverdue = overdue ? -getDaysUntilDeadline(task) : 0;
 
     return (
         <TouchableOpacity
             style={[
                 styles.card,
-                completed && styles.completedCard // Apply different style if completed
+                completed && styles.completedCard, // Apply different style if completed
+                overdue && styles.overdueCard,
+                subjectInfo && { borderLeftWidth: 5, borderLeftColor: subjectInfo.color }
             ]}
             onPress={onPress}
             activeOpacity={0.7}
         >
             {/* Card Header - Subject and Priority */}
             <View style={styles.header}>
-                <Text
+                <HighlightText
+                    text={subject}
+                    query={highlight}
                     style={[
                         styles.subject,
+                        subjectInfo && { color: subjectInfo.color },
                         completed && styles.completedText
                     ]}
                     numberOfLines={1}
-                >
-                    {subject}
-                </Text>
+                />
                 <PriorityBadge priority={priority} />
             </View>
 
+            {/* Overdue Flag */}
+            {overdue && (
+                <View style={styles.overdueBadge}>
+                    <Text style={styles.overdueBadgeText}>
+                        ⚠️ Overdue by {daysOverdue} {daysOverdue === 1 ? 'day' : 'days'}
+                    </Text>
+                </View>
+            )}
+
+            {/* Instructor */}
+            {subjectInfo && subjectInfo.instructor ? (
+                <Text style={styles.instructor} numberOfLines={1}>
+                    👩‍🏫 {subjectInfo.instructor}
+                </Text>
+            ) : null}
+
             {/* Topic Name */}
-            <Text
+            <HighlightText
+                text={topic}
+                query={highlight}
                 style={[
                     styles.topic,
                     completed && styles.completedText
                 ]}
                 numberOfLines={2}
-            >
-                {topic}
-            </Text>
+            />
+
+            {/* Notes (shown when the search matched them) */}
+            {highlight && task.notes && textMatchesQuery(task.notes, highlight) ? (
+                <HighlightText
+                    text={`📝 ${task.notes}`}
+                    query={highlight}
+                    style={styles.notes}
+                    numberOfLines={2}
+                />
+            ) : null}
+
+            {/* Repeat Rule */}
+            {task.recurrence && (
+                <Text style={styles.recurrence} numberOfLines={1}>
+                    🔁 {describeRecurrence(task.recurrence)}
+                </Text>
+            )}
+
+            {/* Spaced Repetition */}
+            {task.review ? (
+                <Text style={styles.review} numberOfLines={1}>
+                    🧠 Review #{task.review.number}
+                    {task.review.rating ? ` · rated ${task.review.rating}` : ''}
+                </Text>
+            ) : task.spacedRepetition ? (
+                <Text style={styles.review} numberOfLines={1}>
+                    🧠 Reviews scheduled after completion
+                </Text>
+            ) : null}
+
+            {/* Subtask Checklist */}
+            {subtasks.length > 0 && (
+                <View style={styles.checklist}>
+                    <Text style={styles.checklistSummary}>
+                        Checklist {doneSubtasks}/{subtasks.length}
+                    </Text>
+                    {subtasks.map((subtask) => (
+                        <TouchableOpacity
+                            key={subtask.id}
+                            style={styles.subtaskRow}
+                            onPress={() => onToggleSubtask && onToggleSubtask(id, subtask.id)}
+                            disabled={!onToggleSubtask}
+                        >
+                            <Text style={styles.subtaskCheck}>
+                                {subtask.completed ? '☑' : '☐'}
+                            </Text>
+                            <Text
+                                style={[
+                                    styles.subtaskTitle,
+                                    subtask.completed && styles.completedText
+                                ]}
+                                numberOfLines={1}
+                            >
+                                {subtask.title}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            )}
 
             {/* Task Details Row */}
             <View style={styles.detailsRow}>
@@ -75,29 +183,65 @@ const TaskCard = ({ task, onToggleComplete, onPress }) => {
                     <Text style={[styles.detailValue, completed && styles.completedText]}>
                         {studyTime} {studyTime === 1 ? 'hour' : 'hours'}
                     </Text>
+                    {loggedHours > 0 && (
+                        <Text style={styles.loggedText}>
+                            {formatHours(loggedHours)}h logged
+                        </Text>
+                    )}
                 </View>
 
                 {/* Deadline */}
                 <View style={styles.detailItem}>
                     <Text style={styles.detailLabel}>📅 Deadline</Text>
-                    <Text style={[styles.detailValue, completed && styles.completedText]}>
+                    <Text
+                        style={[
+                            styles.detailValue,
+                            overdue && styles.overdueText,
+                            completed && styles.completedText
+                        ]}
+                    >
                         {formatDate(deadline)}
                     </Text>
                 </View>
             </View>
 
-            {/* Completion Toggle Button */}
-            <TouchableOpacity
-                style={[
-                    styles.completeButton,
-                    completed && styles.completedButton
-                ]}
-                onPress={() => onToggleComplete(id)}
-            >
-                <Text style={styles.completeButtonText}>
-                    {completed ? '✓ Completed' : 'Mark Complete'}
-                </Text>
-            </TouchableOpacity>
+            {/* Card Actions */}
+            <View style={styles.actionsRow}>
+                {/* Completion Toggle Button */}
+                <TouchableOpacity
+                    style={[
+                        styles.completeButton,
+                        completed && styles.completedButton
+                    ]}
+                    onPress={() => onToggleComplete(id)}
+                >
+                    <Text style={styles.completeButtonText}>
+                        {completed ? '✓ Completed' : 'Mark Complete'}
+                    </Text>
+                </TouchableOpacity>
+
+                {/* Focus Timer Button (only for pending tasks) */}
+                {onStartFocus && !completed && (
+                    <TouchableOpacity
+                        style={styles.focusButton}
+                        onPress={() => onStartFocus(id)}
+                        accessibilityLabel="Start focus timer"
+                    >
+                        <Text style={styles.focusButtonText}>▶ Focus</Text>
+                    </TouchableOpacity>
+                )}
+
+                {/* Delete Button (only when a handler is provided) */}
+                {onDelete && (
+                    <TouchableOpacity
+                        style={styles.deleteButton}
+                        onPress={() => onDelete(id)}
+                        accessibilityLabel="Delete task"
+                    >
+                        <Text style={styles.deleteButtonText}>🗑️</Text>
+                    </TouchableOpacity>
+                )}
+            </View>
         </TouchableOpacity>
     );
 };
@@ -123,6 +267,27 @@ const styles = StyleSheet.create({
         borderColor: '#2ED573',
         opacity: 0.85,
     },
+    // Overdue card gets a red outline
+    overdueCard: {
+        borderWidth: 2,
+        borderColor: '#FF4757',
+    },
+    overdueBadge: {
+        alignSelf: 'flex-start',
+        backgroundColor: '#FFF5F5',
+        borderRadius: 8,
+        paddingVertical: 4,
+        paddingHorizontal: 8,
+        marginBottom: 8,
+    },
+    overdueBadgeText: {
+        fontSize: 12,
+        fontWeight: '700',
+        color: '#FF4757',
+    },
+    overdueText: {
+        color: '#FF4757',
+    },
     header: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -136,16 +301,63 @@ const styles = StyleSheet.create({
         flex: 1,
         marginRight: 12,
     },
+    instructor: {
+        fontSize: 12,
+        color: '#A0AEC0',
+        marginBottom: 8,
+    },
     topic: {
         fontSize: 14,
         color: '#718096',
         marginBottom: 12,
         lineHeight: 20,
     },
+    notes: {
+        fontSize: 13,
+        color: '#718096',
+        marginBottom: 12,
+        lineHeight: 18,
+    },
     completedText: {
         textDecorationLine: 'line-through',
         color: '#A0AEC0',
     },
+    recurrence: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#6C5CE7',
+        marginBottom: 12,
+    },
+    review: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#00B8D9',
+        marginBottom: 12,
+    },
+    checklist: {
+        marginBottom: 12,
+    },
+    checklistSummary: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#A0AEC0',
+        marginBottom: 6,
+    },
+    subtaskRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 4,
+    },
+    subtaskCheck: {
+        fontSize: 16,
+        color: '#4A90E2',
+        marginRight: 8,
+    },
+    subtaskTitle: {
+        flex: 1,
+        fontSize: 14,
+        color: '#4A5568',
+    },
     detailsRow: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -167,7 +379,12 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         color: '#4A5568',
     },
+    actionsRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
     completeButton: {
+        flex: 1,
         backgroundColor: '#4A90E2',
         paddingVertical: 10,
         paddingHorizontal: 16,
@@ -182,6 +399,35 @@ const styles = StyleSheet.create({
         fontWeight: '600',
         fontSize: 14,
     },
+    loggedText: {
+        fontSize: 11,
+        color: '#6C5CE7',
+        marginTop: 2,
+    },
+    focusButton: {
+        marginLeft: 8,
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        backgroundColor: '#6C5CE7',
+    },
+    focusButtonText: {
+        color: '#FFFFFF',
+        fontWeight: '600',
+        fontSize: 14,
+    },
+    deleteButton: {
+        marginLeft: 8,
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        borderWidth: 1,
+        borderColor: '#FED7D7',
+        backgroundColor: '#FFF5F5',
+    },
+    deleteButtonText: {
+        fontSize: 16,
+    },
 });
 
 export default TaskCard;
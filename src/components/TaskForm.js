@@ -0,0 +1,398 @@
+/**
+ * TaskForm.js - Study Task Form Fields
+ *
+ * Renders the subject, topic, time, deadline, priority, repeat, exam,
+ * review and checklist inputs shared by the Add Task and Task Detail screens.
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    TouchableOpacity,
+    Switch,
+    Platform
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import RecurrencePicker from './RecurrencePicker';
+import SubjectPicker from './SubjectPicker';
+import ExamPicker from './ExamPicker';
+import { formatDate, getPriorityColor, getFormSubtasks } from '../utils/helpers';
+
+// Priority options
+const PRIORITY_OPTIONS = ['Low', 'Medium', 'High'];
+
+/**
+ * Task Form Component
+ * @param {object} values - Current form values (subject, subjectId, topic, studyTime, deadline, priority,
+ *   recurrence, examId, spacedRepetition, subtasks, newSubtask - the checklist step being typed)
+ * @param {object} errors - Map of field name to error message
+ * @param {function} onChange - Called with (field, value) when an input changes
+ * @param {boolean} isEditing - Editing an existing task, which may keep a past deadline
+ */
+const TaskForm = ({ values, errors = {}, onChange, isEditing = false }) => {
+    // UI state
+    const [showDatePicker, setShowDatePicker] = useState(false);
+
+    const { subject, topic, studyTime, deadline, priority } = values;
+    const subtasks = values.subtasks || [];
+
+    /**
+     * Handle date picker change
+     */
+    const onDateChange = (event, selectedDate) => {
+        setShowDatePicker(Platform.OS === 'ios');
+        if (selectedDate) {
+            onChange('deadline', selectedDate);
+        }
+    };
+
+    /**
+     * Append the typed step to the checklist
+     */
+    const handleAddSubtask = () => {
+        onChange('subtasks', getFormSubtasks(values));
+        onChange('newSubtask', '');
+    };
+
+    /**
+     * Remove a step from the checklist
+     * @param {string} subtaskId - ID of the subtask to remove
+     */
+    const handleRemoveSubtask = (subtaskId) => {
+        onChange('subtasks', subtasks.filter(subtask => subtask.id !== subtaskId));
+    };
+
+    return (
+        <View>
+            {/* Subject Name Input */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Subject Name *</Text>
+                <SubjectPicker
+                    value={subject}
+                    subjectId={values.subjectId}
+                    error={errors.subject}
+                    onChange={(name, subjectId) => {
+                        onChange('subject', name);
+                        onChange('subjectId', subjectId);
+                    }}
+                />
+            </View>
+
+            {/* Topic Name Input */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Topic Name *</Text>
+                <TextInput
+                    style={[styles.input, errors.topic && styles.inputError]}
+                    placeholder="e.g., Calculus, Thermodynamics"
+                    placeholderTextColor="#A0AEC0"
+                    value={topic}
+                    onChangeText={(text) => onChange('topic', text)}
+                    multiline={true}
+                />
+                {errors.topic ? (
+                    <Text style={styles.errorText}>{errors.topic}</Text>
+                ) : null}
+            </View>
+
+            {/* Study Time Input */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Study Time (hours) *</Text>
+                <TextInput
+                    style={[styles.input, errors.studyTime && styles.inputError]}
+                    placeholder="e.g., 2"
+                    placeholderTextColor="#A0AEC0"
+                    value={studyTime}
+                    onChangeText={(text) => onChange('studyTime', text)}
+                    keyboardType="decimal-pad"
+                />
+                {errors.studyTime ? (
+                    <Text style={styles.errorText}>{errors.studyTime}</Text>
+                ) : null}
+            </View>
+
+            {/* Deadline Date Picker */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Deadline *</Text>
+                <TouchableOpacity
+                    style={[styles.dateButton, errors.deadline && styles.inputError]}
+                    onPress={() => setShowDatePicker(true)}
+                >
+                    <Text style={styles.dateButtonText}>
+                        📅 {formatDate(deadline)}
+                    </Text>
+                </TouchableOpacity>
+                {errors.deadline ? (
+                    <Text style={styles.errorText}>{errors.deadline}</Text>
+                ) : null}
+
+                {/* Date Picker Modal */}
+                {showDatePicker && (
+                    <DateTimePicker
+                        value={deadline}
+                        mode="date"
+                        display="default"
+                        onChange={onDateChange}
+                        minimumDate={isEditing ? undefined : new Date()}
+                    />
+                )}
+            </View>
+
+            {/* Priority Selector */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Priority Level *</Text>
+                <View style={styles.priorityContainer}>
+                    {PRIORITY_OPTIONS.map((option) => (
+                        <TouchableOpacity
+                            key={option}
+                            style={[
+                                styles.priorityButton,
+                                priority === option && styles.priorityButtonActive,
+                                priority === option && {
+                                    backgroundColor: getPriorityColor(option)
+                                }
+                            ]}
+                            onPress={() => onChange('priority', option)}
+                        >
+                            <Text style={[
+                                styles.priorityButtonText,
+                                priority === option && styles.priorityButtonTextActive
+                            ]}>
+                                {option}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            </View>
+
+            {/* Repeat Rule */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Repeat</Text>
+                <RecurrencePicker
+                    value={values.recurrence || null}
+                    deadline={deadline}
+                    error={errors.recurrence}
+                    onChange={(recurrence) => onChange('recurrence', recurrence)}
+                />
+            </View>
+
+            {/* Exam Link */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Prepares For</Text>
+                <ExamPicker
+                    examId={values.examId || null}
+                    subjectId={values.subjectId}
+                    onChange={(examId) => onChange('examId', examId)}
+                />
+            </View>
+
+            {/* Spaced Repetition */}
+            <View style={[styles.inputGroup, styles.switchRow]}>
+                <View style={styles.switchText}>
+                    <Text style={styles.label}>Spaced Repetition</Text>
+                    <Text style={styles.hintText}>
+                        Schedule reviews at growing intervals once this topic is done
+                    </Text>
+                </View>
+                <Switch
+                    value={!!values.spacedRepetition}
+                    onValueChange={(value) => onChange('spacedRepetition', value)}
+                    trackColor={{ false: '#E2E8F0', true: '#4A90E2' }}
+                    thumbColor="#FFFFFF"
+                />
+            </View>
+
+            {/* Subtask Checklist */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Checklist (optional)</Text>
+                {subtasks.map((subtask) => (
+                    <View key={subtask.id} style={styles.subtaskRow}>
+                        <Text
+                            style={[
+                                styles.subtaskTitle,
+                                subtask.completed && styles.subtaskCompleted
+                            ]}
+                            numberOfLines={2}
+                        >
+                            {subtask.completed ? '☑' : '☐'} {subtask.title}
+                        </Text>
+                        <TouchableOpacity
+                            onPress={() => handleRemoveSubtask(subtask.id)}
+                            style={styles.subtaskRemove}
+                            accessibilityLabel="Remove step"
+                        >
+                            <Text style={styles.subtaskRemoveText}>✕</Text>
+                        </TouchableOpacity>
+                    </View>
+                ))}
+                <View style={styles.subtaskInputRow}>
+                    <TextInput
+                        style={[styles.input, styles.subtaskInput]}
+                        placeholder="e.g., Read chapter, Do problem set"
+                        placeholderTextColor="#A0AEC0"
+                        value={values.newSubtask || ''}
+                        onChangeText={(text) => onChange('newSubtask', text)}
+                        onSubmitEditing={handleAddSubtask}
+                        returnKeyType="done"
+                    />
+                    <TouchableOpacity
+                        style={styles.subtaskAddButton}
+                        onPress={handleAddSubtask}
+                    >
+                        <Text style={styles.subtaskAddText}>Add</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+
+            {/* Notes Input */}
+            <View style={styles.inputGroup}>
+                <Text style={styles.label}>Notes (optional)</Text>
+                <TextInput
+                    style={[styles.input, styles.notesInput]}
+                    placeholder="e.g., Formulas to memorise, pages to review"
+                    placeholderTextColor="#A0AEC0"
+                    value={values.notes || ''}
+                    onChangeText={(text) => onChange('notes', text)}
+                    multiline={true}
+                    textAlignVertical="top"
+                />
+            </View>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    inputGroup: {
+        marginBottom: 20,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginBottom: 8,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    switchText: {
+        flex: 1,
+        marginRight: 12,
+    },
+    hintText: {
+        fontSize: 12,
+        color: '#A0AEC0',
+    },
+    input: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    notesInput: {
+        minHeight: 90,
+    },
+    inputError: {
+        borderColor: '#FF4757',
+        borderWidth: 2,
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 6,
+        marginLeft: 4,
+    },
+    dateButton: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+    },
+    dateButtonText: {
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    priorityContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    priorityButton: {
+        flex: 1,
+        paddingVertical: 12,
+        marginHorizontal: 4,
+        borderRadius: 12,
+        borderWidth: 2,
+        borderColor: '#E2E8F0',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+    },
+    priorityButtonActive: {
+        borderColor: 'transparent',
+    },
+    priorityButtonText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    priorityButtonTextActive: {
+        color: '#FFFFFF',
+    },
+    subtaskRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 10,
+        paddingVertical: 10,
+        paddingHorizontal: 12,
+        marginBottom: 8,
+    },
+    subtaskTitle: {
+        flex: 1,
+        fontSize: 14,
+        color: '#2D3748',
+    },
+    subtaskCompleted: {
+        textDecorationLine: 'line-through',
+        color: '#A0AEC0',
+    },
+    subtaskRemove: {
+        paddingHorizontal: 8,
+        paddingVertical: 2,
+    },
+    subtaskRemoveText: {
+        fontSize: 14,
+        color: '#FF4757',
+        fontWeight: '600',
+    },
+    subtaskInputRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    subtaskInput: {
+        flex: 1,
+    },
+    subtaskAddButton: {
+        marginLeft: 8,
+        paddingVertical: 14,
+        paddingHorizontal: 16,
+        borderRadius: 12,
+        backgroundColor: '#4A90E2',
+    },
+    subtaskAddText: {
+        color: '#FFFFFF',
+        fontWeight: '600',
+        fontSize: 14,
+    },
+});
+
+export default TaskForm;
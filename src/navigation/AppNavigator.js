@@ -12,10 +12,25 @@ import { createStackNavigator, CardStyleInterpolators } from '@react-navigation/
 // Import all screens
 import SplashScreen from '../screens/SplashScreen';
 import LoginScreen from '../screens/LoginScreen';
+import SignUpScreen from '../screens/SignUpScreen';
 import HomeScreen from '../screens/HomeScreen';
 import AddTaskScreen from '../screens/AddTaskScreen';
 import TaskListScreen from '../screens/TaskListScreen';
+import TaskDetailScreen from '../screens/TaskDetailScreen';
+import FocusTimerScreen from '../screens/FocusTimerScreen';
+import BackupScreen from '../screens/BackupScreen';
+import ImportTasksScreen from '../screens/ImportTasksScreen';
+import RemindersScreen from '../screens/RemindersScreen';
+import ProfilesScreen from '../screens/ProfilesScreen';
+import SettingsScreen from '../screens/SettingsScreen';
+import SubjectsScreen from '../screens/SubjectsScreen';
+import SubjectEditScreen from '../screens/SubjectEditScreen';
+import RescheduleScreen from '../screens/RescheduleScreen';
+import StudyPlanScreen from '../screens/StudyPlanScreen';
+import CalendarScreen from '../screens/CalendarScreen';
 import ProgressScreen from '../screens/ProgressScreen';
+import ExamsScreen from '../screens/ExamsScreen';
+import ExamEditScreen from '../screens/ExamEditScreen';
 
 // Create stack navigator instance
 const Stack = createStackNavigator();
@@ -57,6 +72,13 @@ const AppNavigator = () => {
                     options={{ headerShown: false }}
                 />
 
+                {/* Sign Up Screen - No header */}
+                <Stack.Screen
+                    name="SignUp"
+                    component={SignUpScreen}
+                    options={{ headerShown: false }}
+                />
+
                 {/* Home Dashboard - No header */}
                 <Stack.Screen
                     name="Home"
@@ -92,12 +114,201 @@ const AppNavigator = () => {
                     }}
                 />
 
+                {/* Task Detail / Edit Screen */}
+                <Stack.Screen
+                    name="TaskDetail"
+                    component={TaskDetailScreen}
+                    options={{
+                        title: 'Edit Task',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Focus Timer Screen - No header */}
+                <Stack.Screen
+                    name="FocusTimer"
+                    component={FocusTimerScreen}
+                    options={{ headerShown: false }}
+                />
+
                 {/* Progress Screen */}
                 <Stack.Screen
                     name="Progress"
                     component={ProgressScreen}
                     options={{ headerShown: false }}
                 />
+
+                {/* Backup, Restore & Export Screen */}
+                <Stack.Screen
+                    name="Backup"
+                    component={BackupScreen}
+                    options={{
+                        title: 'Backup & Export',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* CSV Import Screen */}
+                <Stack.Screen
+                    name="ImportTasks"
+                    component={ImportTasksScreen}
+                    options={{
+                        title: 'Import from CSV',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Profile Switcher Screen */}
+                <Stack.Screen
+                    name="Profiles"
+                    component={ProfilesScreen}
+                    options={{
+                        title: 'Profiles',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Settings Screen */}
+                <Stack.Screen
+                    name="Settings"
+                    component={SettingsScreen}
+                    options={{
+                        title: 'Settings',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Reminder Settings Screen */}
+                <Stack.Screen
+                    name="Reminders"
+                    component={RemindersScreen}
+                    options={{
+                        title: 'Reminders',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Subject Catalogue Screen */}
+                <Stack.Screen
+                    name="Subjects"
+                    component={SubjectsScreen}
+                    options={{
+                        title: 'Subjects',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Add / Edit Subject Screen */}
+                <Stack.Screen
+                    name="SubjectEdit"
+                    component={SubjectEditScreen}
+                    options={({ route }) => ({
+                        title: route.params && route.params.subjectId ? 'Edit Subject' : 'New Subject',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    })}
+                />
+
+                {/* Reschedule Overdue Tasks Screen */}
+                <Stack.Screen
+                    name="Reschedule"
+                    component={RescheduleScreen}
+                    options={{
+                        title: 'Reschedule',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Study Plan Screen */}
+                <Stack.Screen
+                    name="StudyPlan"
+                    component={StudyPlanScreen}
+                    options={{
+                        title: 'Study Plan',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Calendar Screen */}
+                <Stack.Screen
+                    name="Calendar"
+                    component={CalendarScreen}
+                    options={{
+                        title: 'Calendar',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Exams Screen */}
+                <Stack.Screen
+                    name="Exams"
+                    component={ExamsScreen}
+                    options={{
+                        title: 'Exams',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    }}
+                />
+
+                {/* Add / Edit Exam Screen */}
+                <Stack.Screen
+                    name="ExamEdit"
+                    component={ExamEditScreen}
+                    options={({ route }) => ({
+                        title: route.params && route.params.examId ? 'Edit Exam' : 'New Exam',
+                        headerStyle: {
+                            backgroundColor: '#FFFFFF',
+                            elevation: 2,
+                        },
+                        headerTintColor: '#4A90E2',
+                    })}
+                />
             </Stack.Navigator>
         </NavigationContainer>
     );
@@ -9,18 +9,40 @@ import React, { useState } from 'react';
 import {
     View,
     Text,
-    TextInput,
     StyleSheet,
     ScrollView,
-    TouchableOpacity,
-    Platform,
     Alert,
     StatusBar
 } from 'react-native';
-import DateTimePicker from '@react-native-community/datetimepicker';
 import Button from '../components/Button';
+import TaskForm from '../components/TaskForm';
 import { addTask } from '../utils/storage';
-import { generateId, formatDate } from '../utils/helpers';
+import { createTask, validateTaskFields, getFormSubtasks } from '../utils/helpers';
+import { normalizeRecurrence } from '../utils/recurrence';
+import { getPreferences } from '../utils/preferences';
+import { getOrCreateSubject } from '../utils/subjects';
+
+/**
+ * Build a blank set of form values, prefilled from the user's preferences
+ * @returns {object} - Initial form values
+ */
+const getInitialValues = () => {
+    const { defaultPriority, defaultStudyTime } = getPreferences();
+    return {
+        subject: '',
+        subjectId: null,
+        topic: '',
+        notes: '',
+        studyTime: defaultStudyTime != null ? String(defaultStudyTime) : '',
+        deadline: new Date(),
+        priority: defaultPriority,
+        recurrence: null,
+        examId: null,
+        spacedRepetition: false,
+        subtasks: [],
+        newSubtask: '',
+    };
+};
 
 /**
  * Add Task Screen Component
@@ -28,68 +50,34 @@ import { generateId, formatDate } from '../utils/helpers';
  */
 const AddTaskScreen = ({ navigation }) => {
     // Form state
-    const [subject, setSubject] = useState('');
-    const [topic, setTopic] = useState('');
-    const [studyTime, setStudyTime] = useState('');
-    const [deadline, setDeadline] = useState(new Date());
-    const [priority, setPriority] = useState('Medium');
+    const [values, setValues] = useState(getInitialValues);
 
     // UI state
-    const [showDatePicker, setShowDatePicker] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
 
     // Error state
     const [errors, setErrors] = useState({});
 
-    // Priority options
-    const priorityOptions = ['Low', 'Medium', 'High'];
+    /**
+     * Update a single form field and clear its error
+     * @param {string} field - Field name
+     * @param {*} value - New field value
+     */
+    const handleChange = (field, value) => {
+        setValues(prev => ({ ...prev, [field]: value }));
+        setErrors(prev => ({ ...prev, [field]: '' }));
+    };
 
     /**
      * Validate all form inputs
      * @returns {boolean} - True if all validations pass
      */
     const validateForm = () => {
-        const newErrors = {};
-
-        // Subject validation
-        if (!subject.trim()) {
-            newErrors.subject = 'Subject name is required';
-        }
-
-        // Topic validation
-        if (!topic.trim()) {
-            newErrors.topic = 'Topic name is required';
-        }
-
-        // Study time validation
-        if (!studyTime.trim()) {
-            newErrors.studyTime = 'Study time is required';
-        } else if (isNaN(studyTime) || parseFloat(studyTime) <= 0) {
-            newErrors.studyTime = 'Please enter a valid positive number';
-        }
-
-        // Deadline validation (must be today or future)
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (deadline < today) {
-            newErrors.deadline = 'Deadline must be today or a future date';
-        }
-
+        const newErrors = validateTaskFields(values);
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
 
-    /**
-     * Handle date picker change
-     */
-    const onDateChange = (event, selectedDate) => {
-        setShowDatePicker(Platform.OS === 'ios');
-        if (selectedDate) {
-            setDeadline(selectedDate);
-            setErrors({ ...errors, deadline: '' });
-        }
-    };
-
     /**
      * Handle form submission
      * Validates inputs and saves task to storage
@@ -103,17 +91,23 @@ const AddTaskScreen = ({ navigation }) => {
         setIsLoading(true);
 
         try {
+            // Link the subject to the catalogue, adding it if it's new
+            const subject = await getOrCreateSubject(values.subject);
+
             // Create new task object
-            const newTask = {
-                id: generateId(),
-                subject: subject.trim(),
-                topic: topic.trim(),
-                studyTime: parseFloat(studyTime),
-                deadline: deadline.toISOString(),
-                priority,
-                completed: false,
-                createdAt: new Date().toISOString(),
-            };
+            const newTask = createTask({
+                subject: subject ? subject.name : values.subject.trim(),
+                subjectId: subject ? subject.id : null,
+                topic: values.topic.trim(),
+                notes: values.notes.trim(),
+                studyTime: parseFloat(values.studyTime),
+                deadline: values.deadline.toISOString(),
+                priority: values.priority,
+                subtasks: getFormSubtasks(values),
+                recurrence: normalizeRecurrence(values.recurrence),
+                examId: values.examId,
+                spacedRepetition: values.spacedRepetition,
+            });
 
             // Save task to AsyncStorage
             const success = await addTask(newTask);
@@ -127,11 +121,7 @@ const AddTaskScreen = ({ navigation }) => {
                             text: 'Add Another',
                             onPress: () => {
                                 // Reset form for new entry
-                                setSubject('');
-                                setTopic('');
-                                setStudyTime('');
-                                setDeadline(new Date());
-                                setPriority('Medium');
+                                setValues(getInitialValues());
                             },
                         },
                         {
@@ -170,117 +160,11 @@ const AddTaskScreen = ({ navigation }) => {
 
                 {/* Form */}
                 <View style={styles.form}>
-                    {/* Subject Name Input */}
-                    <View style={styles.inputGroup}>
-                        <Text style={styles.label}>Subject Name *</Text>
-                        <TextInput
-                            style={[styles.input, errors.subject && styles.inputError]}
-                            placeholder="e.g., Mathematics, Physics"
-                            placeholderTextColor="#A0AEC0"
-                            value={subject}
-                            onChangeText={(text) => {
-                                setSubject(text);
-                                setErrors({ ...errors, subject: '' });
-                            }}
-                        />
-                        {errors.subject && (
-                            <Text style={styles.errorText}>{errors.subject}</Text>
-                        )}
-                    </View>
-
-                    {/* Topic Name Input */}
-                    <View style={styles.inputGroup}>
-                        <Text style={styles.label}>Topic Name *</Text>
-                        <TextInput
-                            style={[styles.input, errors.topic && styles.inputError]}
-                            placeholder="e.g., Calculus, Thermodynamics"
-                            placeholderTextColor="#A0AEC0"
-                            value={topic}
-                            onChangeText={(text) => {
-                                setTopic(text);
-                                setErrors({ ...errors, topic: '' });
-                            }}
-                            multiline={true}
-                        />
-                        {errors.topic && (
-                            <Text style={styles.errorText}>{errors.topic}</Text>
-                        )}
-                    </View>
-
-                    {/* Study Time Input */}
-                    <View style={styles.inputGroup}>
-                        <Text style={styles.label}>Study Time (hours) *</Text>
-                        <TextInput
-                            style={[styles.input, errors.studyTime && styles.inputError]}
-                            placeholder="e.g., 2"
-                            placeholderTextColor="#A0AEC0"
-                            value={studyTime}
-                            onChangeText={(text) => {
-                                setStudyTime(text);
-                                setErrors({ ...errors, studyTime: '' });
-                            }}
-                            keyboardType="decimal-pad"
-                        />
-                        {errors.studyTime && (
-                            <Text style={styles.errorText}>{errors.studyTime}</Text>
-                        )}
-                    </View>
-
-                    {/* Deadline Date Picker */}
-                    <View style={styles.inputGroup}>
-                        <Text style={styles.label}>Deadline *</Text>
-                        <TouchableOpacity
-                            style={[styles.dateButton, errors.deadline && styles.inputError]}
-                            onPress={() => setShowDatePicker(true)}
-                        >
-                            <Text style={styles.dateButtonText}>
-                                📅 {formatDate(deadline)}
-                            </Text>
-                        </TouchableOpacity>
-                        {errors.deadline && (
-                            <Text style={styles.errorText}>{errors.deadline}</Text>
-                        )}
-
-                        {/* Date Picker Modal */}
-                        {showDatePicker && (
-                            <DateTimePicker
-                                value={deadline}
-                                mode="date"
-                                display="default"
-                                onChange={onDateChange}
-                                minimumDate={new Date()}
-                            />
-                        )}
-                    </View>
-
-                    {/* Priority Selector */}
-                    <View style={styles.inputGroup}>
-                        <Text style={styles.label}>Priority Level *</Text>
-                        <View style={styles.priorityContainer}>
-                            {priorityOptions.map((option) => (
-                                <TouchableOpacity
-                                    key={option}
-                                    style={[
-                                        styles.priorityButton,
-                                        priority === option && styles.priorityButtonActive,
-                                        priority === option && {
-                                            backgroundColor:
-                                                option === 'High' ? '#FF4757' :
-                                                    option === 'Medium' ? '#FFA502' : '#2ED573'
-                                        }
-                                    ]}
-                                    onPress={() => setPriority(option)}
-                                >
-                                    <Text style={[
-                                        styles.priorityButtonText,
-                                        priority === option && styles.priorityButtonTextActive
-                                    ]}>
-                                        {option}
-                                    </Text>
-                                </TouchableOpacity>
-                            ))}
-                        </View>
-                    </View>
+                    <TaskForm
+                        values={values}
+                        errors={errors}
+                        onChange={handleChange}
+                    />
 
                     {/* Submit Button */}
                     <Button
@@ -330,72 +214,6 @@ const styles = StyleSheet.create({
         paddingHorizontal: 24,
         paddingBottom: 40,
     },
-    inputGroup: {
-        marginBottom: 20,
-    },
-    label: {
-        fontSize: 14,
-        fontWeight: '600',
-        color: '#4A5568',
-        marginBottom: 8,
-    },
-    input: {
-        backgroundColor: '#FFFFFF',
-        borderWidth: 1,
-        borderColor: '#E2E8F0',
-        borderRadius: 12,
-        paddingHorizontal: 16,
-        paddingVertical: 14,
-        fontSize: 16,
-        color: '#2D3748',
-    },
-    inputError: {
-        borderColor: '#FF4757',
-        borderWidth: 2,
-    },
-    errorText: {
-        color: '#FF4757',
-        fontSize: 12,
-        marginTop: 6,
-        marginLeft: 4,
-    },
-    dateButton: {
-        backgroundColor: '#FFFFFF',
-        borderWidth: 1,
-        borderColor: '#E2E8F0',
-        borderRadius: 12,
-        paddingHorizontal: 16,
-        paddingVertical: 14,
-    },
-    dateButtonText: {
-        fontSize: 16,
-        color: '#2D3748',
-    },
-    priorityContainer: {
-        flexDirection: 'row',
-        justifyContent: 'space-between',
-    },
-    priorityButton: {
-        flex: 1,
-        paddingVertical: 12,
-        marginHorizontal: 4,
-        borderRadius: 12,
-        borderWidth: 2,
-        borderColor: '#E2E8F0',
-        alignItems: 'center',
-        backgroundColor: '#FFFFFF',
-    },
-    priorityButtonActive: {
-        borderColor: 'transparent',
-    },
-    priorityButtonText: {
-        fontSize: 14,
-        fontWeight: '600',
-        color: '#718096',
-    },
-    priorityButtonTextActive: {
-        color: '#FFFFFF',
-    },
     submitButton: {
         marginTop: 24,
     },
@@ -0,0 +1,438 @@
+/**
+ * BackupScreen.js - Backup and Restore Screen
+ *
+ * Exports all tasks to a JSON file through the share sheet, and restores
+ * from such a file after showing a preview of what will change.
+ * Also exports task deadlines as an iCalendar (.ics) file.
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    StatusBar
+} from 'react-native';
+import Button from '../components/Button';
+import { getTasks } from '../utils/storage';
+import {
+    exportBackup,
+    pickBackup,
+    previewRestore,
+    applyRestore
+} from '../utils/backup';
+import { exportCalendar } from '../utils/icalendar';
+import { formatDate } from '../utils/helpers';
+
+// Restore modes the user can choose between
+const RESTORE_MODES = [
+    {
+        value: 'merge',
+        label: 'Merge',
+        description: 'Keep tasks that are only on this device; backup wins for matching tasks.',
+    },
+    {
+        value: 'replace',
+        label: 'Replace',
+        description: 'Make this device match the backup exactly.',
+    },
+];
+
+// Calendar entry types for the .ics export
+const CALENDAR_COMPONENTS = [
+    { value: 'VEVENT', label: 'All-day events' },
+    { value: 'VTODO', label: 'To-dos' },
+];
+
+/**
+ * Backup Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const BackupScreen = ({ navigation }) => {
+    // Pending restore state
+    const [backup, setBackup] = useState(null);
+    const [preview, setPreview] = useState(null);
+    const [mode, setMode] = useState('merge');
+
+    // UI state
+    const [isExporting, setIsExporting] = useState(false);
+    const [isRestoring, setIsRestoring] = useState(false);
+    const [isExportingCalendar, setIsExportingCalendar] = useState(false);
+    const [calendarComponent, setCalendarComponent] = useState('VEVENT');
+
+    /**
+     * Export all tasks and open the share sheet
+     */
+    const handleExport = async () => {
+        setIsExporting(true);
+        const success = await exportBackup();
+        setIsExporting(false);
+        if (!success) {
+            Alert.alert('Error', 'Failed to export your backup. Please try again.');
+        }
+    };
+
+    /**
+     * Export task deadlines as an .ics file and open the share sheet
+     */
+    const handleExportCalendar = async () => {
+        setIsExportingCalendar(true);
+        const success = await exportCalendar({ component: calendarComponent });
+        setIsExportingCalendar(false);
+        if (!success) {
+            Alert.alert('Error', 'Failed to export your calendar. Please try again.');
+        }
+    };
+
+    /**
+     * Pick a backup file, validate it and build the preview
+     */
+    const handleChooseFile = async () => {
+        const result = await pickBackup();
+        if (!result) {
+            return; // Picker was cancelled
+        }
+        if (result.error) {
+            Alert.alert('Invalid Backup', result.error);
+            return;
+        }
+
+        const currentTasks = await getTasks();
+        setBackup(result.backup);
+        setPreview(previewRestore(currentTasks, result.backup.tasks));
+    };
+
+    /**
+     * Apply the previewed backup using the chosen mode
+     */
+    const handleRestore = () => {
+        const removedCount = mode === 'replace' ? preview.onlyLocal.length : 0;
+
+        Alert.alert(
+            'Restore Backup?',
+            removedCount > 0
+                ? `${removedCount} ${removedCount === 1 ? 'task' : 'tasks'} on this device will be removed.`
+                : 'Your tasks will be updated from the backup.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Restore',
+                    style: removedCount > 0 ? 'destructive' : 'default',
+                    onPress: async () => {
+                        setIsRestoring(true);
+                        const success = await applyRestore(backup, mode);
+                        setIsRestoring(false);
+
+                        if (success) {
+                            setBackup(null);
+                            setPreview(null);
+                            Alert.alert(
+                                'Restored ✅',
+                                'Your tasks have been restored from the backup.',
+                                [{ text: 'View Tasks', onPress: () => navigation.navigate('TaskList') }]
+                            );
+                        } else {
+                            Alert.alert('Error', 'Failed to restore the backup. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.content}
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Header */}
+                <View style={styles.header}>
+                    <Text style={styles.title}>Backup & Export 💾</Text>
+                    <Text style={styles.subtitle}>
+                        Keep a copy of your plan off this device
+                    </Text>
+                </View>
+
+                {/* Export Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Export Backup</Text>
+                    <Text style={styles.cardText}>
+                        Saves every task, checklist and study session to a JSON file
+                        you can keep in your files, email or cloud drive.
+                    </Text>
+                    <Button
+                        title="Export & Share"
+                        onPress={handleExport}
+                        loading={isExporting}
+                        style={styles.cardButton}
+                    />
+                </View>
+
+                {/* Calendar Export Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Export to Calendar</Text>
+                    <Text style={styles.cardText}>
+                        Creates an .ics file of your deadlines for Google or Apple Calendar.
+                        Importing a newer export updates the same entries.
+                    </Text>
+                    <View style={styles.segmentRow}>
+                        {CALENDAR_COMPONENTS.map((option) => (
+                            <TouchableOpacity
+                                key={option.value}
+                                style={[
+                                    styles.segment,
+                                    calendarComponent === option.value && styles.segmentActive
+                                ]}
+                                onPress={() => setCalendarComponent(option.value)}
+                            >
+                                <Text
+                                    style={[
+                                        styles.segmentText,
+                                        calendarComponent === option.value && styles.segmentTextActive
+                                    ]}
+                                >
+                                    {option.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                    <Button
+                        title="Export .ics"
+                        onPress={handleExportCalendar}
+                        loading={isExportingCalendar}
+                        variant="secondary"
+                        style={styles.cardButton}
+                    />
+                </View>
+
+                {/* CSV Import Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Import from CSV</Text>
+                    <Text style={styles.cardText}>
+                        Add many tasks at once from a spreadsheet, such as a course syllabus.
+                        Rows with errors are reported and skipped.
+                    </Text>
+                    <Button
+                        title="Import CSV File"
+                        onPress={() => navigation.navigate('ImportTasks')}
+                        variant="secondary"
+                        style={styles.cardButton}
+                    />
+                </View>
+
+                {/* Restore Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Restore from Backup</Text>
+                    <Text style={styles.cardText}>
+                        Choose a backup file to see what will change before anything is saved.
+                    </Text>
+                    <Button
+                        title={backup ? 'Choose Another File' : 'Choose Backup File'}
+                        onPress={handleChooseFile}
+                        variant="outline"
+                        style={styles.cardButton}
+                    />
+                </View>
+
+                {/* Restore Preview */}
+                {backup && preview && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Preview</Text>
+                        <Text style={styles.cardText}>
+                            Backup from {formatDate(backup.exportedAt)} with {backup.tasks.length}{' '}
+                            {backup.tasks.length === 1 ? 'task' : 'tasks'}
+                        </Text>
+
+                        <View style={styles.previewGrid}>
+                            <PreviewStat label="New" count={preview.added.length} color="#2ED573" />
+                            <PreviewStat label="Updated" count={preview.updated.length} color="#4A90E2" />
+                            <PreviewStat label="Unchanged" count={preview.unchanged.length} color="#A0AEC0" />
+                            <PreviewStat
+                                label={mode === 'replace' ? 'Removed' : 'Kept'}
+                                count={preview.onlyLocal.length}
+                                color={mode === 'replace' ? '#FF4757' : '#FFA502'}
+                            />
+                        </View>
+
+                        {/* Mode Selector */}
+                        {RESTORE_MODES.map((option) => (
+                            <TouchableOpacity
+                                key={option.value}
+                                style={[styles.modeOption, mode === option.value && styles.modeOptionActive]}
+                                onPress={() => setMode(option.value)}
+                            >
+                                <Text style={[styles.modeLabel, mode === option.value && styles.modeLabelActive]}>
+                                    {mode === option.value ? '◉' : '○'} {option.label}
+                                </Text>
+                                <Text style={styles.modeDescription}>{option.description}</Text>
+                            </TouchableOpacity>
+                        ))}
+
+                        <Button
+                            title="Restore"
+                            onPress={handleRestore}
+                            loading={isRestoring}
+                            variant={mode === 'replace' ? 'danger' : 'primary'}
+                            style={styles.cardButton}
+                        />
+                        <Button
+                            title="Cancel"
+                            onPress={() => {
+                                setBackup(null);
+                                setPreview(null);
+                            }}
+                            variant="outline"
+                            style={styles.cancelButton}
+                        />
+                    </View>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+/**
+ * Preview Stat Component
+ * Shows how many tasks fall into one restore category
+ */
+const PreviewStat = ({ label, count, color }) => (
+    <View style={[styles.previewStat, { borderTopColor: color }]}>
+        <Text style={styles.previewNumber}>{count}</Text>
+        <Text style={styles.previewLabel}>{label}</Text>
+    </View>
+);
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 16,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cardTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    cardText: {
+        fontSize: 14,
+        color: '#718096',
+        lineHeight: 20,
+    },
+    cardButton: {
+        marginTop: 16,
+    },
+    cancelButton: {
+        marginTop: 12,
+    },
+    segmentRow: {
+        flexDirection: 'row',
+        backgroundColor: '#E2E8F0',
+        borderRadius: 12,
+        padding: 4,
+        marginTop: 16,
+    },
+    segment: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    segmentActive: {
+        backgroundColor: '#FFFFFF',
+    },
+    segmentText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    segmentTextActive: {
+        color: '#6C5CE7',
+    },
+    previewGrid: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginVertical: 16,
+    },
+    previewStat: {
+        flex: 1,
+        alignItems: 'center',
+        marginHorizontal: 4,
+        paddingTop: 8,
+        borderTopWidth: 3,
+    },
+    previewNumber: {
+        fontSize: 22,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    previewLabel: {
+        fontSize: 11,
+        color: '#718096',
+        marginTop: 2,
+    },
+    modeOption: {
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 8,
+    },
+    modeOptionActive: {
+        borderColor: '#4A90E2',
+        backgroundColor: 'rgba(74, 144, 226, 0.05)',
+    },
+    modeLabel: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    modeLabelActive: {
+        color: '#4A90E2',
+    },
+    modeDescription: {
+        fontSize: 12,
+        color: '#718096',
+        marginTop: 4,
+    },
+});
+
+export default BackupScreen;
@@ -0,0 +1,456 @@
+/**
+ * CalendarScreen.js - Calendar Screen
+ *
+ * Shows deadlines on a month or week calendar. Each day has a dot per
+ * task (coloured by priority) and the pending hours due; tapping a day
+ * lists its tasks underneath. Weeks start on the day chosen in Settings.
+ */
+
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import TaskCard from '../components/TaskCard';
+import { getTasks, setTaskCompleted, onTasksChanged } from '../utils/storage';
+import {
+    formatDate,
+    formatHours,
+    getPriorityColor,
+    getDayKey,
+    toggleSubtask
+} from '../utils/helpers';
+import { getPreferences } from '../utils/preferences';
+import { getSubjects, getSubjectForTask } from '../utils/subjects';
+import { WEEKDAY_LABELS, addDays, startOfDay } from '../utils/recurrence';
+import {
+    MONTH_LABELS,
+    getWeekDays,
+    getMonthWeeks,
+    summarizeDays
+} from '../utils/calendar';
+
+// Most dots drawn in a day cell before showing "+n"
+const MAX_DOTS = { month: 3, week: 5 };
+
+/**
+ * Calendar Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const CalendarScreen = ({ navigation }) => {
+    const [tasks, setTasks] = useState([]);
+    const [subjects, setSubjects] = useState([]);
+    const [view, setView] = useState('month'); // month, week
+    const [selectedDay, setSelectedDay] = useState(() => startOfDay(new Date()));
+
+    const { weekStartsOn } = getPreferences();
+    const today = startOfDay(new Date());
+
+    /**
+     * Load tasks and subjects from storage
+     */
+    const loadData = async () => {
+        try {
+            setSubjects(await getSubjects());
+            setTasks(await getTasks());
+        } catch (error) {
+            console.error('Error loading calendar:', error);
+        }
+    };
+
+    // Reload every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            loadData();
+        }, [])
+    );
+
+    // Keep the calendar in step with task changes
+    useEffect(() => onTasksChanged(setTasks), []);
+
+    // Rows of days for the current view
+    const weeks = useMemo(
+        () => (view === 'month'
+            ? getMonthWeeks(selectedDay, weekStartsOn)
+            : [getWeekDays(selectedDay, weekStartsOn)]),
+        [view, selectedDay, weekStartsOn]
+    );
+
+    // What is due on each visible day
+    const summaries = useMemo(() => summarizeDays(tasks, weeks.flat()), [tasks, weeks]);
+
+    /**
+     * Move the view back or forward by one month or week
+     * @param {number} direction - -1 for previous, 1 for next
+     */
+    const handleStep = (direction) => {
+        if (view === 'month') {
+            // Land on the 1st so short months don't skip ahead
+            setSelectedDay(new Date(selectedDay.getFullYear(), selectedDay.getMonth() + direction, 1));
+        } else {
+            setSelectedDay(addDays(selectedDay, 7 * direction));
+        }
+    };
+
+    /**
+     * Toggle task completion status
+     * @param {string} taskId - ID of the task to toggle
+     */
+    const handleToggleComplete = async (taskId) => {
+        try {
+            const task = tasks.find(t => t.id === taskId);
+            if (task) {
+                await setTaskCompleted(taskId, !task.completed);
+            }
+        } catch (error) {
+            console.error('Error toggling task:', error);
+        }
+    };
+
+    /**
+     * Tick or untick a checklist step
+     * @param {string} taskId - ID of the parent task
+     * @param {string} subtaskId - ID of the subtask to toggle
+     */
+    const handleToggleSubtask = async (taskId, subtaskId) => {
+        try {
+            const task = tasks.find(t => t.id === taskId);
+            if (task) {
+                const { completed, subtasks } = toggleSubtask(task, subtaskId);
+                await setTaskCompleted(taskId, completed, { subtasks });
+            }
+        } catch (error) {
+            console.error('Error toggling subtask:', error);
+        }
+    };
+
+    const title = view === 'month'
+        ? `${MONTH_LABELS[selectedDay.getMonth()]} ${selectedDay.getFullYear()}`
+        : `${formatDate(weeks[0][0])} – ${formatDate(weeks[0][6])}`;
+    const selected = summaries[getDayKey(selectedDay)] || { tasks: [], pendingHours: 0 };
+
+    /**
+     * Render one day cell
+     * @param {Date} day - Day to render
+     */
+    const renderDay = (day) => {
+        const summary = summaries[getDayKey(day)];
+        const isToday = day.getTime() === today.getTime();
+        const isSelected = day.getTime() === selectedDay.getTime();
+        const isOtherMonth = view === 'month' && day.getMonth() !== selectedDay.getMonth();
+        const maxDots = MAX_DOTS[view];
+
+        return (
+            <TouchableOpacity
+                key={getDayKey(day)}
+                style={[
+                    styles.dayCell,
+                    view === 'week' && styles.dayCellWeek,
+                    isToday && styles.dayCellToday,
+                    isSelected && styles.dayCellSelected
+                ]}
+                onPress={() => setSelectedDay(day)}
+            >
+                <Text
+                    style={[
+                        styles.dayNumber,
+                        isOtherMonth && styles.dayNumberFaded,
+                        isSelected && styles.dayNumberSelected
+                    ]}
+                >
+                    {day.getDate()}
+                </Text>
+
+                {/* Deadline dots */}
+                <View style={styles.dotRow}>
+                    {summary.tasks.slice(0, maxDots).map((task) => (
+                        <View
+                            key={task.id}
+                            style={[
+                                styles.dot,
+                                { backgroundColor: task.completed ? '#CBD5E0' : getPriorityColor(task.priority) }
+                            ]}
+                        />
+                    ))}
+                    {summary.tasks.length > maxDots && (
+                        <Text style={[styles.moreDots, isSelected && styles.dayNumberSelected]}>
+                            +{summary.tasks.length - maxDots}
+                        </Text>
+                    )}
+                </View>
+
+                {/* Hours due */}
+                {summary.pendingHours > 0 && (
+                    <Text style={[styles.dayHours, isSelected && styles.dayNumberSelected]}>
+                        {formatHours(summary.pendingHours)}h
+                    </Text>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+                {/* Month / Week Toggle */}
+                <View style={styles.viewToggle}>
+                    {['month', 'week'].map((option) => (
+                        <TouchableOpacity
+                            key={option}
+                            style={[styles.viewOption, view === option && styles.viewOptionActive]}
+                            onPress={() => setView(option)}
+                        >
+                            <Text style={[styles.viewOptionText, view === option && styles.viewOptionTextActive]}>
+                                {option === 'month' ? 'Month' : 'Week'}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+
+                {/* Calendar Card */}
+                <View style={styles.card}>
+                    <View style={styles.navRow}>
+                        <TouchableOpacity
+                            style={styles.navButton}
+                            onPress={() => handleStep(-1)}
+                            accessibilityLabel="Previous"
+                        >
+                            <Text style={styles.navButtonText}>‹</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity onPress={() => setSelectedDay(today)}>
+                            <Text style={styles.navTitle}>{title}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={styles.navButton}
+                            onPress={() => handleStep(1)}
+                            accessibilityLabel="Next"
+                        >
+                            <Text style={styles.navButtonText}>›</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    {/* Weekday labels */}
+                    <View style={styles.weekRow}>
+                        {weeks[0].map((day) => (
+                            <Text key={day.getDay()} style={styles.weekdayLabel}>
+                                {WEEKDAY_LABELS[day.getDay()]}
+                            </Text>
+                        ))}
+                    </View>
+
+                    {weeks.map((week) => (
+                        <View key={getDayKey(week[0])} style={styles.weekRow}>
+                            {week.map(renderDay)}
+                        </View>
+                    ))}
+
+                    {/* Priority legend */}
+                    <View style={styles.legend}>
+                        {['High', 'Medium', 'Low'].map((priority) => (
+                            <View key={priority} style={styles.legendItem}>
+                                <View style={[styles.dot, { backgroundColor: getPriorityColor(priority) }]} />
+                                <Text style={styles.legendText}>{priority}</Text>
+                            </View>
+                        ))}
+                    </View>
+                </View>
+
+                {/* Selected Day */}
+                <View style={styles.dayHeader}>
+                    <Text style={styles.dayTitle}>
+                        {selectedDay.getTime() === today.getTime() ? 'Today' : WEEKDAY_LABELS[selectedDay.getDay()]}, {formatDate(selectedDay)}
+                    </Text>
+                    <Text style={styles.daySubtitle}>
+                        {selected.tasks.length === 0
+                            ? 'Nothing due'
+                            : `${selected.tasks.length} due · ${formatHours(selected.pendingHours)} h pending`}
+                    </Text>
+                </View>
+
+                {selected.tasks.map((task) => (
+                    <TaskCard
+                        key={task.id}
+                        task={task}
+                        subjectInfo={getSubjectForTask(subjects, task)}
+                        onToggleComplete={handleToggleComplete}
+                        onPress={() => navigation.navigate('TaskDetail', { taskId: task.id })}
+                        onToggleSubtask={handleToggleSubtask}
+                        onStartFocus={(taskId) => navigation.navigate('FocusTimer', { taskId })}
+                    />
+                ))}
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    content: {
+        padding: 24,
+        paddingBottom: 40,
+    },
+    viewToggle: {
+        flexDirection: 'row',
+        backgroundColor: '#E2E8F0',
+        borderRadius: 12,
+        padding: 4,
+        marginBottom: 16,
+    },
+    viewOption: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    viewOptionActive: {
+        backgroundColor: '#FFFFFF',
+    },
+    viewOptionText: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    viewOptionTextActive: {
+        color: '#4A90E2',
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 16,
+        marginBottom: 20,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    navRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 12,
+    },
+    navButton: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        backgroundColor: '#F7FAFC',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    navButtonText: {
+        fontSize: 22,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    navTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    weekRow: {
+        flexDirection: 'row',
+    },
+    weekdayLabel: {
+        flex: 1,
+        textAlign: 'center',
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#A0AEC0',
+        marginBottom: 6,
+    },
+    dayCell: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 6,
+        margin: 1,
+        minHeight: 56,
+        borderRadius: 10,
+    },
+    dayCellWeek: {
+        minHeight: 96,
+    },
+    dayCellToday: {
+        borderWidth: 1,
+        borderColor: '#4A90E2',
+    },
+    dayCellSelected: {
+        backgroundColor: '#4A90E2',
+    },
+    dayNumber: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    dayNumberFaded: {
+        color: '#CBD5E0',
+    },
+    dayNumberSelected: {
+        color: '#FFFFFF',
+    },
+    dotRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginTop: 4,
+        minHeight: 6,
+    },
+    dot: {
+        width: 6,
+        height: 6,
+        borderRadius: 3,
+        margin: 1,
+    },
+    moreDots: {
+        fontSize: 9,
+        color: '#718096',
+        marginLeft: 1,
+    },
+    dayHours: {
+        fontSize: 10,
+        fontWeight: '600',
+        color: '#6C5CE7',
+        marginTop: 2,
+    },
+    legend: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        marginTop: 12,
+    },
+    legendItem: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginHorizontal: 8,
+    },
+    legendText: {
+        fontSize: 12,
+        color: '#718096',
+        marginLeft: 4,
+    },
+    dayHeader: {
+        marginBottom: 12,
+    },
+    dayTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    daySubtitle: {
+        fontSize: 13,
+        color: '#718096',
+        marginTop: 2,
+    },
+});
+
+export default CalendarScreen;
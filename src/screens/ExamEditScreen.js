@@ -0,0 +1,468 @@
+/**
+ * ExamEditScreen.js - Add / Edit Exam Screen
+ *
+ * Edits an exam's title, subject, date and time, location and grade
+ * weight, and which tasks prepare for it. Deleting an exam keeps its
+ * prep tasks but unlinks them.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    KeyboardAvoidingView,
+    Platform,
+    StatusBar
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import Button from '../components/Button';
+import SubjectPicker from '../components/SubjectPicker';
+import { getTasks, updateTasks } from '../utils/storage';
+import { formatDate, formatTime } from '../utils/helpers';
+import { normalizeSubjectName } from '../utils/subjects';
+import {
+    getExams,
+    addExam,
+    updateExam,
+    deleteExam
+} from '../utils/exams';
+
+/**
+ * Default start time for a new exam: tomorrow at 9:00 AM
+ */
+const getDefaultExamDate = () => {
+    const date = new Date();
+    date.setDate(date.getDate() + 1);
+    date.setHours(9, 0, 0, 0);
+    return date;
+};
+
+/**
+ * Exam Edit Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Route params ({ examId } when editing)
+ */
+const ExamEditScreen = ({ navigation, route }) => {
+    const examId = route.params ? route.params.examId : null;
+
+    // Form state
+    const [title, setTitle] = useState('');
+    const [subject, setSubject] = useState('');
+    const [subjectId, setSubjectId] = useState(null);
+    const [date, setDate] = useState(getDefaultExamDate);
+    const [location, setLocation] = useState('');
+    const [weight, setWeight] = useState('');
+    const [linkedIds, setLinkedIds] = useState([]);
+    const [tasks, setTasks] = useState([]);
+    const [pickerMode, setPickerMode] = useState(null);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Load tasks, and the exam being edited
+    useEffect(() => {
+        const loadData = async () => {
+            const storedTasks = await getTasks();
+            setTasks(storedTasks.filter(task => !task.review));
+            if (!examId) {
+                return;
+            }
+
+            const exam = (await getExams()).find(item => item.id === examId);
+            if (exam) {
+                setTitle(exam.title);
+                setSubject(exam.subject);
+                setSubjectId(exam.subjectId || null);
+                setDate(new Date(exam.date));
+                setLocation(exam.location || '');
+                setWeight(exam.weight != null ? String(exam.weight) : '');
+                setLinkedIds(storedTasks.filter(task => task.examId === examId).map(task => task.id));
+            }
+        };
+        loadData();
+    }, [examId]);
+
+    /**
+     * Apply the date or time picked, keeping the other part
+     */
+    const onPickerChange = (event, selected) => {
+        const mode = pickerMode;
+        setPickerMode(Platform.OS === 'ios' ? mode : null);
+        if (!selected) {
+            return;
+        }
+
+        const updated = new Date(date);
+        if (mode === 'date') {
+            updated.setFullYear(selected.getFullYear(), selected.getMonth(), selected.getDate());
+        } else {
+            updated.setHours(selected.getHours(), selected.getMinutes(), 0, 0);
+        }
+        setDate(updated);
+        setError('');
+    };
+
+    /**
+     * Link or unlink a prep task
+     */
+    const toggleTask = (taskId) => {
+        setLinkedIds(ids => (
+            ids.includes(taskId) ? ids.filter(id => id !== taskId) : [...ids, taskId]
+        ));
+    };
+
+    // Tasks that could prepare for this exam: linked ones, plus pending
+    // tasks for the exam's subject that aren't linked to another exam
+    const prepOptions = tasks.filter(task =>
+        linkedIds.includes(task.id) ||
+        (!task.completed && !task.examId &&
+            (subjectId
+                ? task.subjectId === subjectId
+                : !!subject.trim() && normalizeSubjectName(task.subject) === normalizeSubjectName(subject)))
+    );
+
+    /**
+     * Validate and save the exam and its prep task links
+     */
+    const handleSave = async () => {
+        setIsSaving(true);
+        const fields = {
+            title,
+            subject,
+            subjectId,
+            date: date.toISOString(),
+            location: location.trim(),
+            weight: weight.trim() === '' ? null : parseFloat(weight),
+        };
+        const result = examId
+            ? await updateExam(examId, fields)
+            : await addExam(fields);
+
+        if (result.error) {
+            setIsSaving(false);
+            setError(result.error);
+            return;
+        }
+
+        // Point newly linked tasks at the exam and clear unlinked ones
+        const linkUpdates = {};
+        tasks.forEach(task => {
+            const linked = linkedIds.includes(task.id);
+            if (linked && task.examId !== result.exam.id) {
+                linkUpdates[task.id] = { examId: result.exam.id };
+            } else if (!linked && task.examId === result.exam.id) {
+                linkUpdates[task.id] = { examId: null };
+            }
+        });
+        const success = Object.keys(linkUpdates).length === 0 || await updateTasks(linkUpdates);
+        setIsSaving(false);
+
+        if (!success) {
+            Alert.alert('Error', 'The exam was saved, but its prep tasks could not be linked. Please try again.');
+            return;
+        }
+        navigation.goBack();
+    };
+
+    /**
+     * Ask before deleting the exam
+     */
+    const handleDelete = () => {
+        Alert.alert(
+            'Delete Exam?',
+            'Its prep tasks will be kept but no longer linked to an exam.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete',
+                    style: 'destructive',
+                    onPress: async () => {
+                        if (await deleteExam(examId)) {
+                            navigation.goBack();
+                        } else {
+                            Alert.alert('Error', 'Failed to delete the exam. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    return (
+        <KeyboardAvoidingView
+            style={styles.container}
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                contentContainerStyle={styles.scrollContent}
+                keyboardShouldPersistTaps="handled"
+            >
+                {/* Title */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Exam Title *</Text>
+                    <TextInput
+                        style={styles.input}
+                        placeholder="e.g., Calculus Midterm"
+                        placeholderTextColor="#A0AEC0"
+                        value={title}
+                        onChangeText={(text) => {
+                            setTitle(text);
+                            setError('');
+                        }}
+                    />
+                </View>
+
+                {/* Subject */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Subject *</Text>
+                    <SubjectPicker
+                        value={subject}
+                        subjectId={subjectId}
+                        onChange={(name, id) => {
+                            setSubject(name);
+                            setSubjectId(id);
+                            setError('');
+                        }}
+                    />
+                </View>
+
+                {/* Date & Time */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Date & Time *</Text>
+                    <View style={styles.dateRow}>
+                        <TouchableOpacity
+                            style={[styles.dateButton, styles.dateButtonWide]}
+                            onPress={() => setPickerMode('date')}
+                        >
+                            <Text style={styles.dateButtonText}>📅 {formatDate(date)}</Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            style={styles.dateButton}
+                            onPress={() => setPickerMode('time')}
+                        >
+                            <Text style={styles.dateButtonText}>🕘 {formatTime(date)}</Text>
+                        </TouchableOpacity>
+                    </View>
+                </View>
+
+                {pickerMode && (
+                    <DateTimePicker
+                        value={date}
+                        mode={pickerMode}
+                        display="default"
+                        onChange={onPickerChange}
+                    />
+                )}
+
+                {/* Location */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Location</Text>
+                    <TextInput
+                        style={styles.input}
+                        placeholder="e.g., Hall B, Room 204"
+                        placeholderTextColor="#A0AEC0"
+                        value={location}
+                        onChangeText={setLocation}
+                    />
+                </View>
+
+                {/* Weight */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Weight (% of final grade)</Text>
+                    <TextInput
+                        style={styles.input}
+                        placeholder="e.g., 30"
+                        placeholderTextColor="#A0AEC0"
+                        value={weight}
+                        onChangeText={(text) => {
+                            setWeight(text);
+                            setError('');
+                        }}
+                        keyboardType="decimal-pad"
+                    />
+                </View>
+
+                {/* Prep Tasks */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Prep Tasks</Text>
+                    {prepOptions.length > 0 ? (
+                        prepOptions.map((task) => (
+                            <PrepTaskRow
+                                key={task.id}
+                                task={task}
+                                linked={linkedIds.includes(task.id)}
+                                onPress={() => toggleTask(task.id)}
+                            />
+                        ))
+                    ) : (
+                        <Text style={styles.hint}>
+                            Pending tasks for this subject show up here. You can also link a task from its own form.
+                        </Text>
+                    )}
+                </View>
+
+                {error ? (
+                    <Text style={styles.errorText}>{error}</Text>
+                ) : null}
+
+                <Button
+                    title={examId ? 'Save Changes' : 'Add Exam'}
+                    onPress={handleSave}
+                    loading={isSaving}
+                    style={styles.saveButton}
+                />
+
+                {examId && (
+                    <Button
+                        title="Delete Exam"
+                        onPress={handleDelete}
+                        variant="danger"
+                        style={styles.deleteButton}
+                    />
+                )}
+            </ScrollView>
+        </KeyboardAvoidingView>
+    );
+};
+
+/**
+ * PrepTaskRow Component
+ * A task that can be linked to the exam
+ */
+const PrepTaskRow = ({ task, linked, onPress }) => (
+    <TouchableOpacity style={styles.taskRow} onPress={onPress}>
+        <View style={[styles.checkbox, linked && styles.checkboxChecked]}>
+            {linked && <Text style={styles.checkmark}>✓</Text>}
+        </View>
+        <View style={styles.taskInfo}>
+            <Text
+                style={[styles.taskTopic, task.completed && styles.taskTopicDone]}
+                numberOfLines={1}
+            >
+                {task.topic}
+            </Text>
+            <Text style={styles.taskMeta}>
+                {task.subject} · {task.studyTime}h · Due {formatDate(task.deadline)}
+            </Text>
+        </View>
+    </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollContent: {
+        padding: 24,
+        paddingBottom: 40,
+    },
+    inputGroup: {
+        marginBottom: 20,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginBottom: 8,
+    },
+    input: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 14,
+        textAlign: 'center',
+        marginBottom: 12,
+    },
+    dateRow: {
+        flexDirection: 'row',
+    },
+    dateButton: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+    },
+    dateButtonWide: {
+        flex: 1,
+        marginRight: 12,
+    },
+    dateButtonText: {
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    hint: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    taskRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 8,
+    },
+    checkbox: {
+        width: 22,
+        height: 22,
+        borderRadius: 6,
+        borderWidth: 2,
+        borderColor: '#CBD5E0',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 12,
+    },
+    checkboxChecked: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    checkmark: {
+        color: '#FFFFFF',
+        fontSize: 13,
+        fontWeight: '700',
+    },
+    taskInfo: {
+        flex: 1,
+    },
+    taskTopic: {
+        fontSize: 15,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    taskTopicDone: {
+        color: '#A0AEC0',
+        textDecorationLine: 'line-through',
+    },
+    taskMeta: {
+        fontSize: 12,
+        color: '#718096',
+        marginTop: 2,
+    },
+    saveButton: {
+        marginTop: 8,
+    },
+    deleteButton: {
+        marginTop: 12,
+    },
+});
+
+export default ExamEditScreen;
@@ -0,0 +1,243 @@
+/**
+ * ExamsScreen.js - Exams & Submissions Screen
+ *
+ * Lists the profile's exams with a countdown and how ready you are,
+ * based on the prep tasks linked to each. Past exams are listed below
+ * the upcoming ones. Tapping an exam opens it for editing.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import ProgressBar from '../components/ProgressBar';
+import { getTasks } from '../utils/storage';
+import { formatDate, formatTime } from '../utils/helpers';
+import { getSubjects, getSubjectForTask } from '../utils/subjects';
+import {
+    getExams,
+    getUpcomingExams,
+    getExamCountdown,
+    getExamReadiness
+} from '../utils/exams';
+
+/**
+ * Exams Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const ExamsScreen = ({ navigation }) => {
+    const [exams, setExams] = useState([]);
+    const [tasks, setTasks] = useState([]);
+    const [subjects, setSubjects] = useState([]);
+
+    /**
+     * Load exams and the tasks that prepare for them
+     */
+    const loadData = async () => {
+        try {
+            setSubjects(await getSubjects());
+            setTasks(await getTasks());
+            setExams(await getExams());
+        } catch (error) {
+            console.error('Error loading exams:', error);
+        }
+    };
+
+    // Reload every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            loadData();
+        }, [])
+    );
+
+    // Upcoming exams first, then past ones (most recent first)
+    const upcoming = getUpcomingExams(exams);
+    const past = exams.filter(exam => !upcoming.includes(exam)).reverse();
+
+    /**
+     * Render a single exam
+     */
+    const renderExam = ({ item }) => {
+        const countdown = getExamCountdown(item);
+        const readiness = getExamReadiness(item, tasks);
+        const isPast = countdown.label === 'Finished';
+        const subjectColor = getSubjectForTask(subjects, item).color;
+
+        return (
+            <TouchableOpacity
+                style={[styles.examCard, { borderLeftColor: subjectColor }, isPast && styles.examCardPast]}
+                onPress={() => navigation.navigate('ExamEdit', { examId: item.id })}
+            >
+                <View style={styles.examHeader}>
+                    <View style={styles.examInfo}>
+                        <Text style={styles.examTitle} numberOfLines={1}>{item.title}</Text>
+                        <Text style={styles.examSubject} numberOfLines={1}>{item.subject}</Text>
+                    </View>
+                    <View style={styles.countdown}>
+                        {countdown.days > 1 && !isPast ? (
+                            <>
+                                <Text style={styles.countdownNumber}>{countdown.days}</Text>
+                                <Text style={styles.countdownLabel}>days</Text>
+                            </>
+                        ) : (
+                            <Text style={styles.countdownLabel}>{countdown.label}</Text>
+                        )}
+                    </View>
+                </View>
+
+                <Text style={styles.examDetails}>
+                    📅 {formatDate(item.date)} · {formatTime(item.date)}
+                    {item.location ? `  📍 ${item.location}` : ''}
+                    {item.weight != null ? `  ⚖️ ${item.weight}%` : ''}
+                </Text>
+
+                {readiness.taskCount > 0 ? (
+                    <View style={styles.readiness}>
+                        <ProgressBar progress={readiness.percent} height={8} showLabel={false} />
+                        <Text style={styles.readinessText}>
+                            {readiness.percent}% ready · {readiness.completedCount}/{readiness.taskCount} prep tasks done
+                        </Text>
+                    </View>
+                ) : (
+                    <Text style={styles.readinessText}>No prep tasks linked yet</Text>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <FlatList
+                data={[...upcoming, ...past]}
+                keyExtractor={(item) => item.id}
+                renderItem={renderExam}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Exams 🎓</Text>
+                        <Text style={styles.subtitle}>
+                            Countdowns and readiness from your linked prep tasks
+                        </Text>
+                    </View>
+                }
+                ListEmptyComponent={
+                    <Text style={styles.emptyText}>
+                        No exams yet. Add one to count down to it and track your prep.
+                    </Text>
+                }
+                ListFooterComponent={
+                    <Button
+                        title="➕ Add Exam"
+                        onPress={() => navigation.navigate('ExamEdit')}
+                        variant="outline"
+                        style={styles.addButton}
+                    />
+                }
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    listContent: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    examCard: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        borderLeftWidth: 5,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    examCardPast: {
+        opacity: 0.6,
+    },
+    examHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    examInfo: {
+        flex: 1,
+    },
+    examTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    examSubject: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 2,
+    },
+    countdown: {
+        alignItems: 'center',
+        marginLeft: 12,
+    },
+    countdownNumber: {
+        fontSize: 24,
+        fontWeight: '800',
+        color: '#4A90E2',
+    },
+    countdownLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    examDetails: {
+        fontSize: 13,
+        color: '#4A5568',
+        marginTop: 10,
+    },
+    readiness: {
+        marginTop: 12,
+    },
+    readinessText: {
+        fontSize: 12,
+        color: '#718096',
+        marginTop: 6,
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#A0AEC0',
+        textAlign: 'center',
+        marginVertical: 24,
+    },
+    addButton: {
+        marginTop: 8,
+    },
+});
+
+export default ExamsScreen;
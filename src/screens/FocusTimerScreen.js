@@ -0,0 +1,525 @@
+/**
+ * FocusTimerScreen.js - Pomodoro Study Timer
+ *
+ * Runs work/break intervals for a single task and logs every finished
+ * work interval as a study session against that task. Leaving mid-way
+ * through a work interval asks whether to log the time studied so far.
+ *
+ * Timing is based on wall-clock end times rather than counting ticks,
+ * so the timer stays correct while the app is in the background.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    ScrollView,
+    StatusBar,
+    AppState,
+    Vibration,
+    Alert
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import ProgressBar from '../components/ProgressBar';
+import { getTasks, logStudySession } from '../utils/storage';
+import { generateId, getLoggedHours, formatHours } from '../utils/helpers';
+
+// Default interval lengths in minutes
+const DEFAULT_WORK_MINUTES = '25';
+const DEFAULT_BREAK_MINUTES = '5';
+
+/**
+ * Format milliseconds as mm:ss
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string} - Clock display
+ */
+const formatClock = (ms) => {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+/**
+ * Parse a minutes input, falling back to a default
+ * @param {string} value - Text from the input
+ * @param {string} fallback - Default minutes
+ * @returns {number} - Whole minutes (at least 1)
+ */
+const parseMinutes = (value, fallback) => {
+    const minutes = parseInt(value, 10);
+    return minutes > 0 ? minutes : parseInt(fallback, 10);
+};
+
+/**
+ * Focus Timer Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Route prop containing the taskId param
+ */
+const FocusTimerScreen = ({ navigation, route }) => {
+    const { taskId } = route.params;
+
+    // Task being studied
+    const [task, setTask] = useState(null);
+
+    // Interval settings (kept as text for the inputs)
+    const [workMinutes, setWorkMinutes] = useState(DEFAULT_WORK_MINUTES);
+    const [breakMinutes, setBreakMinutes] = useState(DEFAULT_BREAK_MINUTES);
+
+    // Timer state
+    const [phase, setPhase] = useState('work'); // work, break
+    const [status, setStatus] = useState('idle'); // idle, running, paused
+    const [remainingMs, setRemainingMs] = useState(parseInt(DEFAULT_WORK_MINUTES, 10) * 60000);
+    const [sessionsLogged, setSessionsLogged] = useState(0);
+
+    // Wall-clock bookkeeping that must survive re-renders and backgrounding
+    const endsAtRef = useRef(null);
+    const phaseStartedAtRef = useRef(null);
+
+    // Set once the user has chosen to leave, so the exit isn't asked about twice
+    const leavingRef = useRef(false);
+
+    /**
+     * Load the task being studied
+     */
+    const loadTask = async () => {
+        try {
+            const storedTasks = await getTasks();
+            setTask(storedTasks.find(t => t.id === taskId) || null);
+        } catch (error) {
+            console.error('Error loading task:', error);
+        }
+    };
+
+    useFocusEffect(
+        useCallback(() => {
+            loadTask();
+        }, [taskId])
+    );
+
+    /**
+     * Get the full length of a phase in milliseconds
+     * @param {string} targetPhase - 'work' or 'break'
+     * @returns {number} - Duration in milliseconds
+     */
+    const getPhaseDuration = (targetPhase) => (
+        targetPhase === 'work'
+            ? parseMinutes(workMinutes, DEFAULT_WORK_MINUTES) * 60000
+            : parseMinutes(breakMinutes, DEFAULT_BREAK_MINUTES) * 60000
+    );
+
+    /**
+     * Save a work session of the given length against the task
+     * @param {number} minutes - Minutes studied
+     */
+    const saveSession = async (minutes) => {
+        if (minutes < 1) {
+            return;
+        }
+
+        const session = {
+            id: generateId(),
+            startedAt: new Date(phaseStartedAtRef.current || Date.now()).toISOString(),
+            endedAt: new Date().toISOString(),
+            minutes,
+        };
+
+        const success = await logStudySession(taskId, session);
+        if (success) {
+            setSessionsLogged(count => count + 1);
+            await loadTask();
+        } else {
+            Alert.alert('Error', 'Failed to save your study session.');
+        }
+    };
+
+    /**
+     * Handle the end of the current phase
+     * A finished work phase is logged and a break starts automatically.
+     */
+    const completePhase = async () => {
+        Vibration.vibrate(500);
+        endsAtRef.current = null;
+
+        if (phase === 'work') {
+            await saveSession(Math.round(getPhaseDuration('work') / 60000));
+
+            // Start the break straight away
+            const breakDuration = getPhaseDuration('break');
+            setPhase('break');
+            setRemainingMs(breakDuration);
+            phaseStartedAtRef.current = Date.now();
+            endsAtRef.current = Date.now() + breakDuration;
+            setStatus('running');
+        } else {
+            // Break is over - wait for the user to start the next focus block
+            setPhase('work');
+            setRemainingMs(getPhaseDuration('work'));
+            phaseStartedAtRef.current = null;
+            setStatus('idle');
+        }
+    };
+
+    /**
+     * Recalculate the remaining time from the wall clock
+     */
+    const syncRemaining = () => {
+        if (!endsAtRef.current) {
+            return;
+        }
+        const remaining = endsAtRef.current - Date.now();
+        if (remaining <= 0) {
+            setRemainingMs(0);
+            completePhase();
+        } else {
+            setRemainingMs(remaining);
+        }
+    };
+
+    // Tick once a second while running
+    useEffect(() => {
+        if (status !== 'running') {
+            return undefined;
+        }
+        const interval = setInterval(syncRemaining, 1000);
+        return () => clearInterval(interval);
+    }, [status, phase, workMinutes, breakMinutes]);
+
+    // Catch up immediately when the app returns to the foreground
+    useEffect(() => {
+        const subscription = AppState.addEventListener('change', (nextState) => {
+            if (nextState === 'active' && status === 'running') {
+                syncRemaining();
+            }
+        });
+        return () => subscription.remove();
+    }, [status, phase, workMinutes, breakMinutes]);
+
+    // Keep the idle display in sync with the configured interval lengths
+    useEffect(() => {
+        if (status === 'idle') {
+            setRemainingMs(getPhaseDuration(phase));
+        }
+    }, [workMinutes, breakMinutes]);
+
+    /**
+     * Start or resume the timer
+     */
+    const handleStart = () => {
+        if (status === 'idle') {
+            phaseStartedAtRef.current = Date.now();
+        }
+        endsAtRef.current = Date.now() + remainingMs;
+        setStatus('running');
+    };
+
+    /**
+     * Pause the timer, remembering how much time is left
+     */
+    const handlePause = () => {
+        if (endsAtRef.current) {
+            setRemainingMs(Math.max(0, endsAtRef.current - Date.now()));
+        }
+        endsAtRef.current = null;
+        setStatus('paused');
+    };
+
+    /**
+     * Whole minutes studied so far in the current work phase
+     * @returns {number} - Minutes (0 during a break or before starting)
+     */
+    const getStudiedMinutes = () => {
+        if (phase !== 'work' || status === 'idle') {
+            return 0;
+        }
+        const remaining = endsAtRef.current
+            ? Math.max(0, endsAtRef.current - Date.now())
+            : remainingMs;
+        return Math.floor((getPhaseDuration('work') - remaining) / 60000);
+    };
+
+    // Ask before leaving mid-way through a work phase so the time isn't lost
+    useEffect(() => {
+        const unsubscribe = navigation.addListener('beforeRemove', (event) => {
+            const studiedMinutes = getStudiedMinutes();
+            if (leavingRef.current || studiedMinutes < 1) {
+                return;
+            }
+
+            event.preventDefault();
+            Alert.alert(
+                'Leave Focus Session?',
+                `You have studied for ${studiedMinutes} ${studiedMinutes === 1 ? 'minute' : 'minutes'} in this session.`,
+                [
+                    { text: 'Keep Studying', style: 'cancel' },
+                    {
+                        text: 'Discard',
+                        style: 'destructive',
+                        onPress: () => {
+                            leavingRef.current = true;
+                            navigation.dispatch(event.data.action);
+                        },
+                    },
+                    {
+                        text: 'Log & Leave',
+                        onPress: async () => {
+                            leavingRef.current = true;
+                            endsAtRef.current = null;
+                            await saveSession(studiedMinutes);
+                            navigation.dispatch(event.data.action);
+                        },
+                    },
+                ]
+            );
+        });
+        return unsubscribe;
+    }, [navigation, status, phase, remainingMs, workMinutes]);
+
+    /**
+     * Stop the current phase early
+     * During a work phase the time studied so far is still logged.
+     */
+    const handleStop = async () => {
+        const studiedMinutes = getStudiedMinutes();
+        endsAtRef.current = null;
+
+        if (studiedMinutes > 0) {
+            await saveSession(studiedMinutes);
+        }
+
+        setPhase('work');
+        setStatus('idle');
+        setRemainingMs(getPhaseDuration('work'));
+        phaseStartedAtRef.current = null;
+    };
+
+    if (!task) {
+        return <View style={styles.container} />;
+    }
+
+    const phaseDuration = getPhaseDuration(phase);
+    const phaseProgress = Math.round(((phaseDuration - remainingMs) / phaseDuration) * 100);
+    const loggedHours = getLoggedHours(task);
+    const isWork = phase === 'work';
+
+    return (
+        <View style={[styles.container, !isWork && styles.breakContainer]}>
+            <StatusBar barStyle="light-content" backgroundColor={isWork ? '#4A90E2' : '#2ED573'} />
+
+            <ScrollView
+                contentContainerStyle={styles.content}
+                keyboardShouldPersistTaps="handled"
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Task Info */}
+                <Text style={styles.subject} numberOfLines={1}>{task.subject}</Text>
+                <Text style={styles.topic} numberOfLines={2}>{task.topic}</Text>
+
+                {/* Clock */}
+                <View style={styles.clockCircle}>
+                    <Text style={styles.phaseLabel}>{isWork ? 'FOCUS' : 'BREAK'}</Text>
+                    <Text style={styles.clock}>{formatClock(remainingMs)}</Text>
+                    <Text style={styles.statusLabel}>
+                        {status === 'paused' ? 'Paused' : status === 'running' ? 'Running' : 'Ready'}
+                    </Text>
+                </View>
+
+                <ProgressBar
+                    progress={phaseProgress}
+                    height={8}
+                    showLabel={false}
+                    style={styles.phaseProgress}
+                />
+
+                {/* Controls */}
+                <View style={styles.controls}>
+                    {status === 'running' ? (
+                        <Button title="Pause" onPress={handlePause} variant="secondary" style={styles.controlButton} />
+                    ) : (
+                        <Button
+                            title={status === 'paused' ? 'Resume' : isWork ? 'Start Focus' : 'Start Break'}
+                            onPress={handleStart}
+                            style={styles.controlButton}
+                        />
+                    )}
+                    {status !== 'idle' && (
+                        <Button
+                            title={isWork ? 'Stop & Log' : 'Skip Break'}
+                            onPress={handleStop}
+                            variant="outline"
+                            style={styles.controlButton}
+                        />
+                    )}
+                </View>
+
+                {/* Interval Settings */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Intervals (minutes)</Text>
+                    <View style={styles.settingsRow}>
+                        <View style={styles.settingItem}>
+                            <Text style={styles.settingLabel}>Focus</Text>
+                            <TextInput
+                                style={styles.settingInput}
+                                value={workMinutes}
+                                onChangeText={setWorkMinutes}
+                                keyboardType="number-pad"
+                                editable={status === 'idle'}
+                            />
+                        </View>
+                        <View style={styles.settingItem}>
+                            <Text style={styles.settingLabel}>Break</Text>
+                            <TextInput
+                                style={styles.settingInput}
+                                value={breakMinutes}
+                                onChangeText={setBreakMinutes}
+                                keyboardType="number-pad"
+                                editable={status === 'idle'}
+                            />
+                        </View>
+                    </View>
+                </View>
+
+                {/* Logged vs Planned */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Study Log</Text>
+                    <Text style={styles.logText}>
+                        {formatHours(loggedHours)} of {formatHours(task.studyTime)} planned hours logged
+                    </Text>
+                    <Text style={styles.logSubtext}>
+                        {sessionsLogged} {sessionsLogged === 1 ? 'session' : 'sessions'} this visit
+                    </Text>
+                </View>
+
+                <Button
+                    title="Done"
+                    onPress={() => navigation.goBack()}
+                    variant="outline"
+                    style={styles.doneButton}
+                />
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#4A90E2',
+    },
+    breakContainer: {
+        backgroundColor: '#2ED573',
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingTop: 60,
+        paddingBottom: 40,
+        alignItems: 'stretch',
+    },
+    subject: {
+        fontSize: 24,
+        fontWeight: '700',
+        color: '#FFFFFF',
+        textAlign: 'center',
+    },
+    topic: {
+        fontSize: 16,
+        color: 'rgba(255, 255, 255, 0.85)',
+        textAlign: 'center',
+        marginTop: 4,
+    },
+    clockCircle: {
+        alignSelf: 'center',
+        width: 220,
+        height: 220,
+        borderRadius: 110,
+        backgroundColor: 'rgba(255, 255, 255, 0.2)',
+        borderWidth: 6,
+        borderColor: 'rgba(255, 255, 255, 0.4)',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginTop: 32,
+        marginBottom: 24,
+    },
+    phaseLabel: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: 'rgba(255, 255, 255, 0.8)',
+        letterSpacing: 4,
+    },
+    clock: {
+        fontSize: 56,
+        fontWeight: '800',
+        color: '#FFFFFF',
+    },
+    statusLabel: {
+        fontSize: 14,
+        color: 'rgba(255, 255, 255, 0.8)',
+    },
+    phaseProgress: {
+        marginBottom: 24,
+    },
+    controls: {
+        marginBottom: 16,
+    },
+    controlButton: {
+        marginBottom: 12,
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 16,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cardTitle: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 12,
+    },
+    settingsRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+    },
+    settingItem: {
+        alignItems: 'center',
+    },
+    settingLabel: {
+        fontSize: 12,
+        color: '#718096',
+        marginBottom: 6,
+    },
+    settingInput: {
+        width: 80,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 10,
+        paddingVertical: 8,
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+        textAlign: 'center',
+    },
+    logText: {
+        fontSize: 15,
+        color: '#4A5568',
+    },
+    logSubtext: {
+        fontSize: 12,
+        color: '#A0AEC0',
+        marginTop: 6,
+    },
+    doneButton: {
+        backgroundColor: '#FFFFFF',
+        borderColor: '#FFFFFF',
+    },
+});
+
+export default FocusTimerScreen;
@@ -1,8 +1,9 @@
 /**
  * HomeScreen.js - Main Dashboard Screen
  * 
- * Displays welcome message, today's progress, and navigation
- * to other sections of the app.
+ * Displays welcome message, today's progress, the daily goal with its
+ * streak, spaced-repetition reviews that are due, and navigation to
+ * other sections of the app.
  */
 
 import React, { useState, useCallback } from 'react';
@@ -12,13 +13,41 @@ import {
     StyleSheet,
     ScrollView,
     StatusBar,
+    TouchableOpacity,
     RefreshControl
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import Button from '../components/Button';
 import ProgressBar from '../components/ProgressBar';
-import { getTasks } from '../utils/storage';
-import { getGreeting, calculateProgress } from '../utils/helpers';
+import ProgressRing from '../components/ProgressRing';
+import { getTasks, getActivityLog, completeReview } from '../utils/storage';
+import {
+    getGreeting,
+    calculateProgress,
+    getTodaysTasks,
+    formatHours,
+    formatDate,
+    getDaysUntilDeadline,
+    isTaskOverdue
+} from '../utils/helpers';
+import { getActiveAccount } from '../utils/auth';
+import { getPreferences } from '../utils/preferences';
+import {
+    getDayProgress,
+    getGoalPercent,
+    recordGoalProgress,
+    getStreak
+} from '../utils/streaks';
+import { REVIEW_RATINGS, getNextReview, getDueReviews } from '../utils/spacedRepetition';
+import {
+    getExams,
+    getUpcomingExams,
+    getExamCountdown,
+    getExamReadiness
+} from '../utils/exams';
+
+// Number of upcoming exams counted down on the dashboard
+const MAX_EXAM_COUNTDOWNS = 2;
 
 /**
  * Home Screen Component
@@ -28,16 +57,26 @@ const HomeScreen = ({ navigation }) => {
     // State for tasks and progress
     const [tasks, setTasks] = useState([]);
     const [progress, setProgress] = useState(0);
+    const [activity, setActivity] = useState([]);
+    const [goalHistory, setGoalHistory] = useState({});
+    const [exams, setExams] = useState([]);
     const [refreshing, setRefreshing] = useState(false);
 
     /**
-     * Load tasks from storage and calculate progress
+     * Load tasks and exams from storage, calculate progress and record today's goal
      */
     const loadTasks = async () => {
         try {
             const storedTasks = await getTasks();
             setTasks(storedTasks);
             setProgress(calculateProgress(storedTasks));
+            setExams(await getExams());
+
+            const events = await getActivityLog();
+            setActivity(events);
+
+            const { dailyGoalType, dailyGoalTarget } = getPreferences();
+            setGoalHistory(await recordGoalProgress(events, { type: dailyGoalType, target: dailyGoalTarget }));
         } catch (error) {
             console.error('Error loading tasks:', error);
         }
@@ -51,6 +90,22 @@ const HomeScreen = ({ navigation }) => {
         }, [])
     );
 
+    /**
+     * Record how well a due review was recalled; this schedules the next one
+     * @param {string} taskId - ID of the review task
+     * @param {string} rating - Value from REVIEW_RATINGS
+     */
+    const handleRateReview = async (taskId, rating) => {
+        try {
+            const success = await completeReview(taskId, rating);
+            if (success) {
+                await loadTasks();
+            }
+        } catch (error) {
+            console.error('Error rating review:', error);
+        }
+    };
+
     /**
      * Handle pull-to-refresh
      */
@@ -62,17 +117,49 @@ const HomeScreen = ({ navigation }) => {
 
     // Get appropriate greeting based on time of day
     const greeting = getGreeting();
+    const account = getActiveAccount();
 
-    // Count pending and completed tasks
-    const pendingTasks = tasks.filter(t => !t.completed).length;
+    // Count pending, overdue and completed tasks
+    const overdueTasks = tasks.filter(t => isTaskOverdue(t)).length;
+    const pendingTasks = tasks.filter(t => !t.completed).length - overdueTasks;
     const completedTasks = tasks.filter(t => t.completed).length;
 
+    // Hours still planned for today against the daily budget
+    const { dailyStudyHours, dailyGoalType, dailyGoalTarget } = getPreferences();
+    const plannedToday = getTodaysTasks(tasks)
+        .filter(t => !t.completed)
+        .reduce((sum, t) => sum + (Number(t.studyTime) || 0), 0);
+
+    // Today's progress towards the daily goal, and the streak so far
+    const goal = { type: dailyGoalType, target: dailyGoalTarget };
+    const todayProgress = getDayProgress(activity, new Date());
+    const goalPercent = getGoalPercent(todayProgress, goal);
+    const streak = getStreak(goalHistory);
+
+    // Spaced-repetition reviews due today or earlier
+    const dueReviews = getDueReviews(tasks);
+
+    // Next exams to count down to
+    const upcomingExams = getUpcomingExams(exams).slice(0, MAX_EXAM_COUNTDOWNS);
+    const goalText = dailyGoalType === 'hours'
+        ? `${formatHours(todayProgress.hours)} of ${formatHours(dailyGoalTarget)} h studied`
+        : `${todayProgress.tasks} of ${dailyGoalTarget} ${dailyGoalTarget === 1 ? 'task' : 'tasks'} done`;
+
     return (
         <View style={styles.container}>
             <StatusBar barStyle="light-content" backgroundColor="#4A90E2" />
 
             {/* Header Section */}
             <View style={styles.header}>
+                {/* Profile Switcher */}
+                {account && (
+                    <TouchableOpacity
+                        style={styles.profileChip}
+                        onPress={() => navigation.navigate('Profiles')}
+                    >
+                        <Text style={styles.profileChipText}>👤 {account.name} ▾</Text>
+                    </TouchableOpacity>
+                )}
                 <Text style={styles.greeting}>{greeting}! 🎓</Text>
                 <Text style={styles.welcomeMessage}>Ready to study today?</Text>
             </View>
@@ -91,14 +178,61 @@ const HomeScreen = ({ navigation }) => {
                     <Text style={styles.progressSubtext}>
                         {completedTasks} of {tasks.length} tasks completed
                     </Text>
+                    <Text
+                        style={[
+                            styles.budgetText,
+                            plannedToday > dailyStudyHours && styles.budgetTextOver
+                        ]}
+                    >
+                        Today: {formatHours(plannedToday)} h planned of your {formatHours(dailyStudyHours)} h budget
+                    </Text>
                 </View>
 
+                {/* Daily Goal & Streak */}
+                <TouchableOpacity
+                    style={styles.goalCard}
+                    onPress={() => navigation.navigate('Settings')}
+                    activeOpacity={0.8}
+                >
+                    <ProgressRing
+                        progress={goalPercent}
+                        size={96}
+                        thickness={10}
+                        color={goalPercent >= 100 ? '#2ED573' : '#4A90E2'}
+                    >
+                        <Text style={styles.ringPercent}>{goalPercent}%</Text>
+                        <Text style={styles.ringLabel}>today</Text>
+                    </ProgressRing>
+                    <View style={styles.goalInfo}>
+                        <Text style={styles.goalTitle}>
+                            {goalPercent >= 100 ? 'Goal reached! 🎉' : "Today's Goal"}
+                        </Text>
+                        <Text style={styles.goalText}>{goalText}</Text>
+                        <Text style={styles.streakText}>
+                            {streak.current > 0
+                                ? `🔥 ${streak.current}-day streak`
+                                : 'Meet your goal to start a streak'}
+                        </Text>
+                        {streak.best > 0 && (
+                            <Text style={styles.bestStreakText}>
+                                Best: {streak.best} {streak.best === 1 ? 'day' : 'days'}
+                            </Text>
+                        )}
+                    </View>
+                </TouchableOpacity>
+
                 {/* Quick Stats */}
                 <View style={styles.statsContainer}>
                     <View style={[styles.statCard, styles.pendingCard]}>
                         <Text style={styles.statNumber}>{pendingTasks}</Text>
                         <Text style={styles.statLabel}>Pending</Text>
                     </View>
+                    <View style={[styles.statCard, styles.overdueCard]}>
+                        <Text style={[styles.statNumber, overdueTasks > 0 && styles.overdueNumber]}>
+                            {overdueTasks}
+                        </Text>
+                        <Text style={styles.statLabel}>Overdue</Text>
+                    </View>
                     <View style={[styles.statCard, styles.completedCard]}>
                         <Text style={styles.statNumber}>{completedTasks}</Text>
                         <Text style={styles.statLabel}>Completed</Text>
@@ -109,6 +243,109 @@ const HomeScreen = ({ navigation }) => {
                     </View>
                 </View>
 
+                {/* Overdue Banner */}
+                {overdueTasks > 0 && (
+                    <TouchableOpacity
+                        style={styles.overdueBanner}
+                        onPress={() => navigation.navigate('Reschedule')}
+                    >
+                        <Text style={styles.overdueBannerText}>
+                            ⚠️ {overdueTasks} {overdueTasks === 1 ? 'task is' : 'tasks are'} past the deadline
+                        </Text>
+                        <Text style={styles.overdueBannerAction}>Reschedule ›</Text>
+                    </TouchableOpacity>
+                )}
+
+                {/* Due Reviews */}
+                {dueReviews.length > 0 && (
+                    <View style={styles.reviewsContainer}>
+                        <Text style={styles.sectionTitle}>🧠 Due Reviews ({dueReviews.length})</Text>
+                        {dueReviews.map((task) => {
+                            const daysLate = -getDaysUntilDeadline(task);
+                            return (
+                                <View key={task.id} style={styles.reviewCard}>
+                                    <TouchableOpacity
+                                        onPress={() => navigation.navigate('TaskDetail', { taskId: task.id })}
+                                    >
+                                        <Text style={styles.reviewSubject} numberOfLines={1}>{task.subject}</Text>
+                                        <Text style={styles.reviewTopic} numberOfLines={2}>{task.topic}</Text>
+                                        <Text style={styles.reviewMeta}>
+                                            Review #{task.review.number} · {daysLate > 0
+                                                ? `due ${formatDate(task.deadline)}`
+                                                : 'due today'}
+                                        </Text>
+                                    </TouchableOpacity>
+                                    <Text style={styles.reviewPrompt}>How well did you remember it?</Text>
+                                    <View style={styles.ratingRow}>
+                                        {REVIEW_RATINGS.map((rating) => (
+                                            <TouchableOpacity
+                                                key={rating.value}
+                                                style={styles.ratingButton}
+                                                onPress={() => handleRateReview(task.id, rating.value)}
+                                            >
+                                                <Text style={styles.ratingLabel}>{rating.label}</Text>
+                                                <Text style={styles.ratingInterval}>
+                                                    {getNextReview(task.review, rating.value).intervalDays}d
+                                                </Text>
+                                            </TouchableOpacity>
+                                        ))}
+                                    </View>
+                                </View>
+                            );
+                        })}
+                    </View>
+                )}
+
+                {/* Exam Countdowns */}
+                {upcomingExams.length > 0 && (
+                    <View style={styles.examsContainer}>
+                        <View style={styles.examsHeader}>
+                            <Text style={styles.sectionTitle}>🎓 Upcoming Exams</Text>
+                            <TouchableOpacity onPress={() => navigation.navigate('Exams')}>
+                                <Text style={styles.examsLink}>All exams ›</Text>
+                            </TouchableOpacity>
+                        </View>
+                        {upcomingExams.map((exam) => {
+                            const countdown = getExamCountdown(exam);
+                            const readiness = getExamReadiness(exam, tasks);
+                            return (
+                                <TouchableOpacity
+                                    key={exam.id}
+                                    style={styles.examCard}
+                                    onPress={() => navigation.navigate('ExamEdit', { examId: exam.id })}
+                                >
+                                    <View style={styles.examCountdown}>
+                                        <Text style={styles.examCountdownNumber}>
+                                            {Math.max(countdown.days, 0)}
+                                        </Text>
+                                        <Text style={styles.examCountdownUnit}>
+                                            {countdown.days === 1 ? 'day' : 'days'}
+                                        </Text>
+                                    </View>
+                                    <View style={styles.examInfo}>
+                                        <Text style={styles.examTitle} numberOfLines={1}>{exam.title}</Text>
+                                        <Text style={styles.examMeta} numberOfLines={1}>
+                                            {countdown.days > 1 ? formatDate(exam.date) : countdown.label}
+                                            {exam.location ? ` · 📍 ${exam.location}` : ''}
+                                        </Text>
+                                        <ProgressBar
+                                            progress={readiness.percent}
+                                            height={6}
+                                            showLabel={false}
+                                            style={styles.examReadinessBar}
+                                        />
+                                        <Text style={styles.examReadinessText}>
+                                            {readiness.taskCount > 0
+                                                ? `${readiness.percent}% ready · ${readiness.completedCount}/${readiness.taskCount} prep tasks`
+                                                : 'No prep tasks linked'}
+                                        </Text>
+                                    </View>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                )}
+
                 {/* Action Buttons */}
                 <View style={styles.actionsContainer}>
                     <Text style={styles.sectionTitle}>Quick Actions</Text>
@@ -126,12 +363,47 @@ const HomeScreen = ({ navigation }) => {
                         style={styles.actionButton}
                     />
 
+                    <Button
+                        title="🗓️ Study Plan"
+                        onPress={() => navigation.navigate('StudyPlan')}
+                        variant="secondary"
+                        style={styles.actionButton}
+                    />
+
+                    <Button
+                        title="📅 Calendar"
+                        onPress={() => navigation.navigate('Calendar')}
+                        variant="secondary"
+                        style={styles.actionButton}
+                    />
+
+                    <Button
+                        title="🎓 Exams"
+                        onPress={() => navigation.navigate('Exams')}
+                        variant="secondary"
+                        style={styles.actionButton}
+                    />
+
                     <Button
                         title="📊 View Progress"
                         onPress={() => navigation.navigate('Progress')}
                         variant="outline"
                         style={styles.actionButton}
                     />
+
+                    <Button
+                        title="💾 Backup & Export"
+                        onPress={() => navigation.navigate('Backup')}
+                        variant="outline"
+                        style={styles.actionButton}
+                    />
+
+                    <Button
+                        title="⚙️ Settings"
+                        onPress={() => navigation.navigate('Settings')}
+                        variant="outline"
+                        style={styles.actionButton}
+                    />
                 </View>
 
                 {/* Motivation Quote */}
@@ -159,6 +431,19 @@ const styles = StyleSheet.create({
         borderBottomLeftRadius: 30,
         borderBottomRightRadius: 30,
     },
+    profileChip: {
+        alignSelf: 'flex-end',
+        backgroundColor: 'rgba(255, 255, 255, 0.2)',
+        borderRadius: 16,
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginBottom: 8,
+    },
+    profileChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#FFFFFF',
+    },
     greeting: {
         fontSize: 28,
         fontWeight: '700',
@@ -197,6 +482,62 @@ const styles = StyleSheet.create({
         marginTop: 12,
         textAlign: 'center',
     },
+    budgetText: {
+        fontSize: 13,
+        color: '#A0AEC0',
+        marginTop: 4,
+        textAlign: 'center',
+    },
+    budgetTextOver: {
+        color: '#FF4757',
+    },
+    goalCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 20,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    ringPercent: {
+        fontSize: 20,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    ringLabel: {
+        fontSize: 11,
+        color: '#A0AEC0',
+    },
+    goalInfo: {
+        flex: 1,
+        marginLeft: 20,
+    },
+    goalTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    goalText: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    streakText: {
+        fontSize: 15,
+        fontWeight: '700',
+        color: '#FFA502',
+        marginTop: 10,
+    },
+    bestStreakText: {
+        fontSize: 12,
+        color: '#A0AEC0',
+        marginTop: 2,
+    },
     statsContainer: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -219,6 +560,10 @@ const styles = StyleSheet.create({
         borderTopWidth: 3,
         borderTopColor: '#FFA502',
     },
+    overdueCard: {
+        borderTopWidth: 3,
+        borderTopColor: '#FF4757',
+    },
     completedCard: {
         borderTopWidth: 3,
         borderTopColor: '#2ED573',
@@ -237,6 +582,156 @@ const styles = StyleSheet.create({
         color: '#718096',
         marginTop: 4,
     },
+    overdueNumber: {
+        color: '#FF4757',
+    },
+    overdueBanner: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFF5F5',
+        borderRadius: 16,
+        padding: 16,
+        marginTop: -8,
+        marginBottom: 24,
+        borderWidth: 1,
+        borderColor: '#FED7D7',
+    },
+    overdueBannerText: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#FF4757',
+    },
+    overdueBannerAction: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#4A90E2',
+        marginLeft: 8,
+    },
+    reviewsContainer: {
+        marginBottom: 12,
+    },
+    reviewCard: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        borderLeftWidth: 4,
+        borderLeftColor: '#00B8D9',
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+    },
+    reviewSubject: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    reviewTopic: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 2,
+    },
+    reviewMeta: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#00B8D9',
+        marginTop: 6,
+    },
+    reviewPrompt: {
+        fontSize: 13,
+        color: '#4A5568',
+        marginTop: 12,
+        marginBottom: 8,
+    },
+    ratingRow: {
+        flexDirection: 'row',
+    },
+    ratingButton: {
+        flex: 1,
+        alignItems: 'center',
+        paddingVertical: 8,
+        marginHorizontal: 3,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+    },
+    ratingLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    ratingInterval: {
+        fontSize: 11,
+        color: '#A0AEC0',
+        marginTop: 2,
+    },
+    examsContainer: {
+        marginBottom: 12,
+    },
+    examsHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'baseline',
+    },
+    examsLink: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    examCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        borderLeftWidth: 4,
+        borderLeftColor: '#6C5CE7',
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+    },
+    examCountdown: {
+        width: 56,
+        alignItems: 'center',
+        marginRight: 16,
+    },
+    examCountdownNumber: {
+        fontSize: 28,
+        fontWeight: '800',
+        color: '#6C5CE7',
+    },
+    examCountdownUnit: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    examInfo: {
+        flex: 1,
+    },
+    examTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    examMeta: {
+        fontSize: 13,
+        color: '#718096',
+        marginTop: 2,
+    },
+    examReadinessBar: {
+        marginTop: 10,
+    },
+    examReadinessText: {
+        fontSize: 12,
+        color: '#4A5568',
+        marginTop: 4,
+    },
     actionsContainer: {
         marginBottom: 24,
     },
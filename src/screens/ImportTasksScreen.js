@@ -0,0 +1,350 @@
+/**
+ * ImportTasksScreen.js - Bulk CSV Import Screen
+ *
+ * Loads a CSV file, lets the user map its columns to task fields,
+ * validates every row and imports only the valid ones.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    StatusBar
+} from 'react-native';
+import Button from '../components/Button';
+import { addTasks } from '../utils/storage';
+import { linkTasksToSubjects } from '../utils/subjects';
+import { pickTextFile } from '../utils/fileShare';
+import {
+    IMPORT_FIELDS,
+    parseCSV,
+    guessColumnMapping,
+    validateImportRows,
+    getMissingFields
+} from '../utils/csvImport';
+
+/**
+ * Import Tasks Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const ImportTasksScreen = ({ navigation }) => {
+    // Loaded file state
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [rows, setRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+
+    // UI state
+    const [isImporting, setIsImporting] = useState(false);
+
+    /**
+     * Pick a CSV file and guess its column mapping
+     */
+    const handleChooseFile = async () => {
+        try {
+            const file = await pickTextFile([
+                'text/csv',
+                'text/comma-separated-values',
+                'text/plain',
+                '*/*',
+            ]);
+            if (!file) {
+                return; // Picker was cancelled
+            }
+
+            const parsed = parseCSV(file.contents);
+            if (parsed.length < 2) {
+                Alert.alert('Empty File', 'The CSV needs a header row and at least one task row.');
+                return;
+            }
+
+            setFileName(file.name);
+            setHeaders(parsed[0]);
+            setRows(parsed.slice(1));
+            setMapping(guessColumnMapping(parsed[0]));
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            Alert.alert('Error', 'The file could not be read.');
+        }
+    };
+
+    // Re-validate whenever the mapping changes
+    const missingFields = getMissingFields(mapping);
+    const report = useMemo(
+        () => (headers.length > 0 && missingFields.length === 0
+            ? validateImportRows(rows, mapping)
+            : []),
+        [rows, mapping]
+    );
+    const validRows = report.filter(row => row.task);
+    const invalidRows = report.filter(row => !row.task);
+
+    /**
+     * Save every valid row as a new task
+     */
+    const handleImport = async () => {
+        setIsImporting(true);
+        // Match subject names to the catalogue, adding any new ones
+        const tasks = await linkTasksToSubjects(validRows.map(row => row.task));
+        const success = await addTasks(tasks);
+        setIsImporting(false);
+
+        if (success) {
+            Alert.alert(
+                'Import Complete 🎉',
+                `${validRows.length} ${validRows.length === 1 ? 'task was' : 'tasks were'} added.` +
+                (invalidRows.length > 0 ? ` ${invalidRows.length} rows with errors were skipped.` : ''),
+                [{ text: 'View Tasks', onPress: () => navigation.navigate('TaskList') }]
+            );
+        } else {
+            Alert.alert('Error', 'Failed to import tasks. Please try again.');
+        }
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.content}
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Header */}
+                <View style={styles.header}>
+                    <Text style={styles.title}>Import from CSV 📥</Text>
+                    <Text style={styles.subtitle}>
+                        Add a whole syllabus at once from a spreadsheet
+                    </Text>
+                </View>
+
+                {/* File Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>
+                        {fileName ? `📄 ${fileName}` : 'Choose a CSV file'}
+                    </Text>
+                    <Text style={styles.cardText}>
+                        {fileName
+                            ? `${rows.length} ${rows.length === 1 ? 'row' : 'rows'} found`
+                            : 'The first row should contain column names such as Subject, Topic, Hours, Deadline and Priority. Dates work best as YYYY-MM-DD.'}
+                    </Text>
+                    <Button
+                        title={fileName ? 'Choose Another File' : 'Choose File'}
+                        onPress={handleChooseFile}
+                        variant="outline"
+                        style={styles.cardButton}
+                    />
+                </View>
+
+                {/* Column Mapping */}
+                {headers.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Column Mapping</Text>
+                        {IMPORT_FIELDS.map((field) => (
+                            <View key={field.key} style={styles.mappingRow}>
+                                <Text style={styles.mappingLabel}>
+                                    {field.label}{field.required ? ' *' : ''}
+                                </Text>
+                                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                                    {!field.required && (
+                                        <MappingChip
+                                            label="(none)"
+                                            active={mapping[field.key] == null}
+                                            onPress={() => setMapping({ ...mapping, [field.key]: null })}
+                                        />
+                                    )}
+                                    {headers.map((header, index) => (
+                                        <MappingChip
+                                            key={`${field.key}-${index}`}
+                                            label={header || `Column ${index + 1}`}
+                                            active={mapping[field.key] === index}
+                                            onPress={() => setMapping({ ...mapping, [field.key]: index })}
+                                        />
+                                    ))}
+                                </ScrollView>
+                            </View>
+                        ))}
+                        {missingFields.length > 0 && (
+                            <Text style={styles.errorText}>
+                                Choose a column for: {missingFields.join(', ')}
+                            </Text>
+                        )}
+                    </View>
+                )}
+
+                {/* Validation Report */}
+                {report.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>Validation Report</Text>
+                        <View style={styles.summaryRow}>
+                            <Text style={[styles.summaryText, styles.validText]}>
+                                ✓ {validRows.length} valid
+                            </Text>
+                            <Text style={[styles.summaryText, styles.invalidText]}>
+                                ✕ {invalidRows.length} with errors
+                            </Text>
+                        </View>
+
+                        {invalidRows.map((row) => (
+                            <View key={row.rowNumber} style={styles.errorRow}>
+                                <Text style={styles.errorRowTitle}>Row {row.rowNumber}</Text>
+                                {row.errors.map((message) => (
+                                    <Text key={message} style={styles.errorRowText}>• {message}</Text>
+                                ))}
+                            </View>
+                        ))}
+
+                        <Button
+                            title={`Import ${validRows.length} ${validRows.length === 1 ? 'Task' : 'Tasks'}`}
+                            onPress={handleImport}
+                            loading={isImporting}
+                            disabled={validRows.length === 0}
+                            style={styles.cardButton}
+                        />
+                    </View>
+                )}
+            </ScrollView>
+        </View>
+    );
+};
+
+/**
+ * Mapping Chip Component
+ * Selectable column name for a field
+ */
+const MappingChip = ({ label, active, onPress }) => (
+    <TouchableOpacity
+        style={[styles.chip, active && styles.chipActive]}
+        onPress={onPress}
+    >
+        <Text style={[styles.chipText, active && styles.chipTextActive]} numberOfLines={1}>
+            {label}
+        </Text>
+    </TouchableOpacity>
+);
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 16,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cardTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    cardText: {
+        fontSize: 14,
+        color: '#718096',
+        lineHeight: 20,
+    },
+    cardButton: {
+        marginTop: 16,
+    },
+    mappingRow: {
+        marginBottom: 12,
+    },
+    mappingLabel: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginBottom: 6,
+    },
+    chip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        marginRight: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        backgroundColor: '#FFFFFF',
+        maxWidth: 160,
+    },
+    chipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    chipText: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    chipTextActive: {
+        color: '#FFFFFF',
+        fontWeight: '600',
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginBottom: 12,
+    },
+    summaryText: {
+        fontSize: 15,
+        fontWeight: '600',
+    },
+    validText: {
+        color: '#2ED573',
+    },
+    invalidText: {
+        color: '#FF4757',
+    },
+    errorRow: {
+        backgroundColor: '#FFF5F5',
+        borderRadius: 10,
+        padding: 10,
+        marginBottom: 8,
+    },
+    errorRowTitle: {
+        fontSize: 13,
+        fontWeight: '700',
+        color: '#C53030',
+        marginBottom: 2,
+    },
+    errorRowText: {
+        fontSize: 12,
+        color: '#C53030',
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 4,
+    },
+});
+
+export default ImportTasksScreen;
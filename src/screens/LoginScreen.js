@@ -1,8 +1,8 @@
 /**
  * LoginScreen.js - User Authentication Screen
  * 
- * Handles user login with email and password validation.
- * Navigates to Home screen on successful login.
+ * Handles user login with email and password validation against the
+ * accounts stored on this device. Navigates to Home screen on successful login.
  */
 
 import React, { useState } from 'react';
@@ -14,24 +14,26 @@ import {
     KeyboardAvoidingView,
     Platform,
     TouchableOpacity,
-    StatusBar,
-    Alert
+    StatusBar
 } from 'react-native';
 import Button from '../components/Button';
 import { isValidEmail } from '../utils/helpers';
+import { signIn } from '../utils/auth';
 
 /**
  * Login Screen Component
  * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Optional params: { email } to prefill when switching profiles
  */
-const LoginScreen = ({ navigation }) => {
+const LoginScreen = ({ navigation, route }) => {
     // State for form inputs
-    const [email, setEmail] = useState('');
+    const [email, setEmail] = useState(route?.params?.email || '');
     const [password, setPassword] = useState('');
 
     // State for error messages
     const [emailError, setEmailError] = useState('');
     const [passwordError, setPasswordError] = useState('');
+    const [authError, setAuthError] = useState('');
 
     // Loading state for button
     const [isLoading, setIsLoading] = useState(false);
@@ -46,6 +48,7 @@ const LoginScreen = ({ navigation }) => {
         // Reset previous errors
         setEmailError('');
         setPasswordError('');
+        setAuthError('');
 
         // Validate email
         if (!email.trim()) {
@@ -57,12 +60,9 @@ const LoginScreen = ({ navigation }) => {
         }
 
         // Validate password
-        if (!password.trim()) {
+        if (!password) {
             setPasswordError('Password is required');
             isValid = false;
-        } else if (password.length < 6) {
-            setPasswordError('Password must be at least 6 characters');
-            isValid = false;
         }
 
         return isValid;
@@ -70,24 +70,27 @@ const LoginScreen = ({ navigation }) => {
 
     /**
      * Handle login button press
-     * Validates inputs and navigates to Home on success
+     * Checks credentials and navigates to Home on success
      */
-    const handleLogin = () => {
+    const handleLogin = async () => {
         // Validate inputs before proceeding
         if (!validateInputs()) {
             return;
         }
 
         setIsLoading(true);
+        const { account, error } = await signIn(email, password);
+        setIsLoading(false);
 
-        // Simulate API call delay (in a real app, this would be an actual auth call)
-        setTimeout(() => {
-            setIsLoading(false);
+        if (!account) {
+            setAuthError(error);
+            setPassword('');
+            return;
+        }
 
-            // Navigate to Home screen, replacing Login in stack
-            // This prevents going back to Login with back button
-            navigation.replace('Home');
-        }, 1000);
+        // Start fresh on Home so the previous profile's screens are dropped
+        // This also prevents going back to Login with back button
+        navigation.reset({ index: 0, routes: [{ name: 'Home' }] });
     };
 
     return (
@@ -118,6 +121,7 @@ const LoginScreen = ({ navigation }) => {
                         onChangeText={(text) => {
                             setEmail(text);
                             setEmailError(''); // Clear error when user types
+                            setAuthError('');
                         }}
                         keyboardType="email-address"
                         autoCapitalize="none"
@@ -140,6 +144,7 @@ const LoginScreen = ({ navigation }) => {
                         onChangeText={(text) => {
                             setPassword(text);
                             setPasswordError(''); // Clear error when user types
+                            setAuthError('');
                         }}
                         secureTextEntry={true}
                     />
@@ -149,6 +154,13 @@ const LoginScreen = ({ navigation }) => {
                     ) : null}
                 </View>
 
+                {/* Sign-in error (wrong password, lockout...) */}
+                {authError ? (
+                    <View style={styles.authErrorBox}>
+                        <Text style={styles.authErrorText}>{authError}</Text>
+                    </View>
+                ) : null}
+
                 {/* Login Button */}
                 <Button
                     title="Sign In"
@@ -157,12 +169,25 @@ const LoginScreen = ({ navigation }) => {
                     style={styles.loginButton}
                 />
 
-                {/* Demo hint for grading */}
-                <View style={styles.demoHint}>
-                    <Text style={styles.demoText}>
-                        💡 For demo: Use any valid email and 6+ character password
+                {/* Sign-up link */}
+                <TouchableOpacity
+                    style={styles.signUpLink}
+                    onPress={() => navigation.navigate('SignUp')}
+                >
+                    <Text style={styles.signUpText}>
+                        New here? <Text style={styles.signUpTextBold}>Create an account</Text>
                     </Text>
-                </View>
+                </TouchableOpacity>
+
+                {/* Cancel a profile switch */}
+                {navigation.canGoBack() && (
+                    <TouchableOpacity
+                        style={styles.signUpLink}
+                        onPress={() => navigation.goBack()}
+                    >
+                        <Text style={styles.signUpText}>Cancel</Text>
+                    </TouchableOpacity>
+                )}
             </View>
 
             {/* Footer */}
@@ -227,22 +252,33 @@ const styles = StyleSheet.create({
         marginTop: 6,
         marginLeft: 4,
     },
-    loginButton: {
-        marginTop: 16,
-    },
-    demoHint: {
-        marginTop: 24,
-        padding: 16,
-        backgroundColor: 'rgba(74, 144, 226, 0.1)',
+    authErrorBox: {
+        padding: 12,
+        backgroundColor: 'rgba(255, 71, 87, 0.1)',
         borderRadius: 12,
         borderLeftWidth: 4,
-        borderLeftColor: '#4A90E2',
+        borderLeftColor: '#FF4757',
     },
-    demoText: {
+    authErrorText: {
         fontSize: 13,
-        color: '#4A5568',
+        color: '#C53030',
         lineHeight: 20,
     },
+    loginButton: {
+        marginTop: 16,
+    },
+    signUpLink: {
+        marginTop: 24,
+        alignItems: 'center',
+    },
+    signUpText: {
+        fontSize: 14,
+        color: '#718096',
+    },
+    signUpTextBold: {
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
     footer: {
         alignItems: 'center',
         paddingBottom: 32,
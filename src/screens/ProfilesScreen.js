@@ -0,0 +1,230 @@
+/**
+ * ProfilesScreen.js - Profile Switcher Screen
+ *
+ * Lists every profile on this device. Switching to another profile asks
+ * for its password, then shows only that profile's tasks and settings.
+ * Signing out ends the saved session and returns to the login screen.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    Alert,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import { getAccounts, getActiveAccount, signOut } from '../utils/auth';
+
+/**
+ * Profiles Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const ProfilesScreen = ({ navigation }) => {
+    const [accounts, setAccounts] = useState([]);
+    const activeAccount = getActiveAccount();
+
+    // Reload profiles every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            getAccounts().then(setAccounts);
+        }, [])
+    );
+
+    /**
+     * Switch to another profile after it signs in
+     * @param {object} account - Profile to switch to
+     */
+    const handleSelect = (account) => {
+        if (activeAccount && account.id === activeAccount.id) {
+            navigation.goBack();
+            return;
+        }
+        navigation.navigate('Login', { email: account.email });
+    };
+
+    /**
+     * Confirm, then sign out and clear the navigation history
+     */
+    const handleSignOut = () => {
+        Alert.alert(
+            'Sign Out?',
+            'You will need your password to open this profile again.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Sign Out',
+                    style: 'destructive',
+                    onPress: async () => {
+                        const success = await signOut();
+                        if (success) {
+                            navigation.reset({ index: 0, routes: [{ name: 'Login' }] });
+                        } else {
+                            Alert.alert('Error', 'Failed to sign out. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Render a single profile row
+     */
+    const renderAccount = ({ item }) => {
+        const isActive = activeAccount && item.id === activeAccount.id;
+        return (
+            <TouchableOpacity
+                style={[styles.profileCard, isActive && styles.profileCardActive]}
+                onPress={() => handleSelect(item)}
+            >
+                <View style={[styles.avatar, isActive && styles.avatarActive]}>
+                    <Text style={styles.avatarText}>{item.name.charAt(0).toUpperCase()}</Text>
+                </View>
+                <View style={styles.profileInfo}>
+                    <Text style={styles.profileName}>{item.name}</Text>
+                    <Text style={styles.profileEmail}>{item.email}</Text>
+                </View>
+                {isActive ? (
+                    <Text style={styles.activeLabel}>Signed in</Text>
+                ) : (
+                    <Text style={styles.switchLabel}>Switch ›</Text>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <FlatList
+                data={accounts}
+                keyExtractor={(item) => item.id}
+                renderItem={renderAccount}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Profiles 👥</Text>
+                        <Text style={styles.subtitle}>
+                            Each profile has its own tasks, reminders and progress
+                        </Text>
+                    </View>
+                }
+                ListFooterComponent={
+                    <View>
+                        <Button
+                            title="➕ Add Profile"
+                            onPress={() => navigation.navigate('SignUp')}
+                            variant="outline"
+                            style={styles.addButton}
+                        />
+                        {activeAccount && (
+                            <Button
+                                title="Sign Out"
+                                onPress={handleSignOut}
+                                variant="danger"
+                                style={styles.signOutButton}
+                            />
+                        )}
+                    </View>
+                }
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    listContent: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    profileCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        borderWidth: 2,
+        borderColor: 'transparent',
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    profileCardActive: {
+        borderColor: '#4A90E2',
+    },
+    avatar: {
+        width: 44,
+        height: 44,
+        borderRadius: 22,
+        backgroundColor: '#A0AEC0',
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginRight: 12,
+    },
+    avatarActive: {
+        backgroundColor: '#4A90E2',
+    },
+    avatarText: {
+        fontSize: 18,
+        fontWeight: '700',
+        color: '#FFFFFF',
+    },
+    profileInfo: {
+        flex: 1,
+    },
+    profileName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    profileEmail: {
+        fontSize: 13,
+        color: '#718096',
+        marginTop: 2,
+    },
+    activeLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    switchLabel: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    addButton: {
+        marginTop: 8,
+    },
+    signOutButton: {
+        marginTop: 12,
+    },
+});
+
+export default ProfilesScreen;
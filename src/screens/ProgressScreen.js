@@ -1,8 +1,9 @@
 /**
  * ProgressScreen.js - Progress Overview Screen
  * 
- * Displays overall study progress with visual progress bar
- * and detailed statistics about completed vs pending tasks.
+ * Displays overall study progress with visual progress bar,
+ * detailed statistics about completed vs pending tasks, and charts
+ * of how the work went over the last week, month or whole term.
  */
 
 import React, { useState, useCallback } from 'react';
@@ -12,13 +13,29 @@ import {
     StyleSheet,
     ScrollView,
     RefreshControl,
+    TouchableOpacity,
     StatusBar
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import ProgressBar from '../components/ProgressBar';
+import BarChart from '../components/BarChart';
 import Button from '../components/Button';
-import { getTasks } from '../utils/storage';
-import { calculateProgress } from '../utils/helpers';
+import { getTasks, getActivityLog } from '../utils/storage';
+import {
+    calculateProgress,
+    getLoggedHours,
+    formatHours,
+    formatDate,
+    isTaskOverdue
+} from '../utils/helpers';
+import {
+    SUBJECT_SORT_OPTIONS,
+    getSubjects,
+    summarizeSubjects,
+    sortSubjectSummaries
+} from '../utils/subjects';
+import { getPreferences } from '../utils/preferences';
+import { HISTORY_RANGE_OPTIONS, buildProgressHistory } from '../utils/progressHistory';
 
 /**
  * Progress Screen Component
@@ -27,7 +44,11 @@ import { calculateProgress } from '../utils/helpers';
 const ProgressScreen = ({ navigation }) => {
     // State
     const [tasks, setTasks] = useState([]);
+    const [subjects, setSubjects] = useState([]);
+    const [activity, setActivity] = useState([]);
     const [progress, setProgress] = useState(0);
+    const [historyRange, setHistoryRange] = useState('week');
+    const [subjectSort, setSubjectSort] = useState('lagging');
     const [refreshing, setRefreshing] = useState(false);
 
     /**
@@ -35,9 +56,11 @@ const ProgressScreen = ({ navigation }) => {
      */
     const loadData = async () => {
         try {
+            setSubjects(await getSubjects());
             const storedTasks = await getTasks();
             setTasks(storedTasks);
             setProgress(calculateProgress(storedTasks));
+            setActivity(await getActivityLog());
         } catch (error) {
             console.error('Error loading progress data:', error);
         }
@@ -62,7 +85,8 @@ const ProgressScreen = ({ navigation }) => {
     // Calculate statistics
     const totalTasks = tasks.length;
     const completedTasks = tasks.filter(t => t.completed).length;
-    const pendingTasks = totalTasks - completedTasks;
+    const overdueTasks = tasks.filter(t => isTaskOverdue(t)).length;
+    const pendingTasks = totalTasks - completedTasks - overdueTasks;
 
     // Calculate total study hours
     const totalHours = tasks.reduce((sum, t) => sum + (t.studyTime || 0), 0);
@@ -70,6 +94,10 @@ const ProgressScreen = ({ navigation }) => {
         .filter(t => t.completed)
         .reduce((sum, t) => sum + (t.studyTime || 0), 0);
 
+    // Hours actually logged with the focus timer
+    const loggedHours = tasks.reduce((sum, t) => sum + getLoggedHours(t), 0);
+    const loggedPercent = totalHours > 0 ? Math.round((loggedHours / totalHours) * 100) : 0;
+
     // Get motivational message based on progress
     const getMotivationalMessage = () => {
         if (progress === 100) {
@@ -89,6 +117,14 @@ const ProgressScreen = ({ navigation }) => {
 
     const motivation = getMotivationalMessage();
 
+    // Completion, hours and deadlines per subject
+    const subjectSummaries = sortSubjectSummaries(summarizeSubjects(tasks, subjects), subjectSort);
+
+    // Completions, hours and burn-up over the chosen range
+    const history = buildProgressHistory(tasks, activity, historyRange, { weekStartsOn: getPreferences().weekStartsOn });
+    const perDay = historyRange === 'week';
+    const latestPoint = history[history.length - 1];
+
     return (
         <View style={styles.container}>
             <StatusBar barStyle="light-content" backgroundColor="#6C5CE7" />
@@ -147,12 +183,34 @@ const ProgressScreen = ({ navigation }) => {
                         <Text style={styles.statLabel}>Pending</Text>
                     </View>
 
+                    <View style={[styles.statCard, styles.statRed]}>
+                        <Text style={[styles.statNumber, overdueTasks > 0 && styles.statNumberRed]}>
+                            {overdueTasks}
+                        </Text>
+                        <Text style={styles.statLabel}>Overdue</Text>
+                    </View>
+
                     <View style={[styles.statCard, styles.statBlue]}>
                         <Text style={styles.statNumber}>{totalHours}</Text>
                         <Text style={styles.statLabel}>Total Hours</Text>
                     </View>
+
+                    <View style={[styles.statCard, styles.statTeal]}>
+                        <Text style={styles.statNumber}>{formatHours(loggedHours)}</Text>
+                        <Text style={styles.statLabel}>Hours Logged</Text>
+                    </View>
                 </View>
 
+                {/* Overdue Reminder */}
+                {overdueTasks > 0 && (
+                    <Button
+                        title={`⚠️ Reschedule ${overdueTasks} overdue ${overdueTasks === 1 ? 'task' : 'tasks'}`}
+                        onPress={() => navigation.navigate('Reschedule')}
+                        variant="danger"
+                        style={styles.rescheduleButton}
+                    />
+                )}
+
                 {/* Study Hours Card */}
                 <View style={styles.card}>
                     <Text style={styles.cardTitle}>Study Hours</Text>
@@ -181,6 +239,150 @@ const ProgressScreen = ({ navigation }) => {
                     </View>
                 </View>
 
+                {/* Logged vs Planned Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Logged vs Planned</Text>
+                    <View style={styles.hoursContainer}>
+                        <View style={styles.hoursStat}>
+                            <Text style={styles.hoursNumber}>{formatHours(loggedHours)}</Text>
+                            <Text style={styles.hoursLabel}>Hours Logged</Text>
+                        </View>
+                        <View style={styles.hoursDivider} />
+                        <View style={styles.hoursStat}>
+                            <Text style={styles.hoursNumber}>{formatHours(totalHours)}</Text>
+                            <Text style={styles.hoursLabel}>Hours Planned</Text>
+                        </View>
+                    </View>
+
+                    <View style={styles.hoursProgressContainer}>
+                        <ProgressBar
+                            progress={loggedPercent}
+                            height={10}
+                            showLabel={false}
+                        />
+                        <Text style={styles.hoursProgressText}>
+                            {loggedPercent}% of planned time logged with the focus timer
+                        </Text>
+                    </View>
+                </View>
+
+                {/* History Card */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>History</Text>
+                    <View style={styles.rangeRow}>
+                        {HISTORY_RANGE_OPTIONS.map((option) => (
+                            <TouchableOpacity
+                                key={option.value}
+                                style={[styles.rangeTab, historyRange === option.value && styles.rangeTabActive]}
+                                onPress={() => setHistoryRange(option.value)}
+                            >
+                                <Text style={[styles.rangeText, historyRange === option.value && styles.rangeTextActive]}>
+                                    {option.label}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+
+                    <Text style={styles.chartTitle}>Tasks completed per {perDay ? 'day' : 'week'}</Text>
+                    <BarChart
+                        data={history.map(point => ({ key: point.key, label: point.label, value: point.completed }))}
+                        color="#2ED573"
+                    />
+
+                    <Text style={styles.chartTitle}>Hours studied per {perDay ? 'day' : 'week'}</Text>
+                    <BarChart
+                        data={history.map(point => ({ key: point.key, label: point.label, value: point.hours }))}
+                        color="#00B8D9"
+                        formatValue={formatHours}
+                    />
+
+                    <Text style={styles.chartTitle}>Burn-up</Text>
+                    <BarChart
+                        data={history.map(point => ({
+                            key: point.key,
+                            label: point.label,
+                            value: point.completedHours,
+                            backgroundValue: point.plannedHours,
+                        }))}
+                        color="#6C5CE7"
+                        backgroundColor="rgba(108, 92, 231, 0.2)"
+                        formatValue={formatHours}
+                    />
+                    <View style={styles.legend}>
+                        <View style={[styles.legendDot, styles.legendCompleted]} />
+                        <Text style={styles.legendText}>Hours completed</Text>
+                        <View style={[styles.legendDot, styles.legendPlanned]} />
+                        <Text style={styles.legendText}>Hours planned</Text>
+                    </View>
+                    {latestPoint && (
+                        <Text style={styles.hoursProgressText}>
+                            {formatHours(latestPoint.completedHours)} of {formatHours(latestPoint.plannedHours)} planned hours done
+                        </Text>
+                    )}
+                </View>
+
+                {/* By Subject Card */}
+                {subjectSummaries.length > 0 && (
+                    <View style={styles.card}>
+                        <Text style={styles.cardTitle}>By Subject</Text>
+                        <ScrollView
+                            horizontal
+                            showsHorizontalScrollIndicator={false}
+                            contentContainerStyle={styles.sortRow}
+                        >
+                            {SUBJECT_SORT_OPTIONS.map((option) => (
+                                <TouchableOpacity
+                                    key={option.value}
+                                    style={[styles.sortChip, subjectSort === option.value && styles.sortChipActive]}
+                                    onPress={() => setSubjectSort(option.value)}
+                                >
+                                    <Text style={[styles.sortChipText, subjectSort === option.value && styles.sortChipTextActive]}>
+                                        {option.label}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </ScrollView>
+
+                        {subjectSummaries.map((summary) => (
+                            <TouchableOpacity
+                                key={summary.subject.id || summary.subject.name}
+                                style={styles.subjectRow}
+                                onPress={() => navigation.navigate('TaskList', { subjectId: summary.subject.id })}
+                                disabled={!summary.subject.id}
+                            >
+                                <View style={styles.subjectHeader}>
+                                    <View style={[styles.subjectDot, { backgroundColor: summary.subject.color }]} />
+                                    <Text style={styles.subjectName} numberOfLines={1}>
+                                        {summary.subject.name}
+                                    </Text>
+                                    <Text style={styles.subjectCount}>
+                                        {summary.completedCount}/{summary.tasks.length} · {summary.progress}%
+                                    </Text>
+                                </View>
+                                <ProgressBar
+                                    progress={summary.progress}
+                                    height={8}
+                                    showLabel={false}
+                                    color={summary.subject.color}
+                                />
+                                <View style={styles.subjectDetails}>
+                                    <Text style={styles.subjectDetailText}>
+                                        {formatHours(summary.completedHours)} h done · {formatHours(summary.remainingHours)} h left
+                                    </Text>
+                                    {summary.overdueCount > 0 && (
+                                        <Text style={styles.subjectOverdue}>⚠️ {summary.overdueCount} overdue</Text>
+                                    )}
+                                </View>
+                                <Text style={styles.subjectDetailText}>
+                                    {summary.nextDeadline
+                                        ? `Next deadline: ${formatDate(summary.nextDeadline)}`
+                                        : 'No upcoming deadlines'}
+                                </Text>
+                            </TouchableOpacity>
+                        ))}
+                    </View>
+                )}
+
                 {/* Action Buttons */}
                 <View style={styles.actionsContainer}>
                     <Button
@@ -284,6 +486,124 @@ const styles = StyleSheet.create({
         color: '#2D3748',
         marginBottom: 16,
     },
+    rangeRow: {
+        flexDirection: 'row',
+        backgroundColor: '#F7FAFC',
+        borderRadius: 12,
+        padding: 4,
+        marginBottom: 8,
+    },
+    rangeTab: {
+        flex: 1,
+        paddingVertical: 8,
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    rangeTabActive: {
+        backgroundColor: '#6C5CE7',
+    },
+    rangeText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    rangeTextActive: {
+        color: '#FFFFFF',
+    },
+    chartTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginTop: 16,
+        marginBottom: 8,
+    },
+    legend: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: 12,
+    },
+    legendDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 6,
+    },
+    legendCompleted: {
+        backgroundColor: '#6C5CE7',
+    },
+    legendPlanned: {
+        backgroundColor: 'rgba(108, 92, 231, 0.2)',
+        marginLeft: 16,
+    },
+    legendText: {
+        fontSize: 12,
+        color: '#718096',
+    },
+    sortRow: {
+        paddingBottom: 12,
+    },
+    sortChip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        marginRight: 8,
+    },
+    sortChipActive: {
+        backgroundColor: '#6C5CE7',
+        borderColor: '#6C5CE7',
+    },
+    sortChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#718096',
+    },
+    sortChipTextActive: {
+        color: '#FFFFFF',
+    },
+    subjectRow: {
+        paddingVertical: 10,
+        borderTopWidth: 1,
+        borderTopColor: '#F7FAFC',
+    },
+    subjectDetails: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        marginTop: 6,
+    },
+    subjectDetailText: {
+        fontSize: 12,
+        color: '#718096',
+        marginTop: 2,
+    },
+    subjectOverdue: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#FF4757',
+    },
+    subjectHeader: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 6,
+    },
+    subjectDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 8,
+    },
+    subjectName: {
+        flex: 1,
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    subjectCount: {
+        fontSize: 13,
+        color: '#718096',
+    },
     cardSubtext: {
         fontSize: 14,
         color: '#718096',
@@ -325,6 +645,20 @@ const styles = StyleSheet.create({
         borderLeftWidth: 4,
         borderLeftColor: '#4A90E2',
     },
+    statRed: {
+        borderLeftWidth: 4,
+        borderLeftColor: '#FF4757',
+    },
+    statTeal: {
+        borderLeftWidth: 4,
+        borderLeftColor: '#00B8D9',
+    },
+    statNumberRed: {
+        color: '#FF4757',
+    },
+    rescheduleButton: {
+        marginBottom: 16,
+    },
     statNumber: {
         fontSize: 32,
         fontWeight: '700',
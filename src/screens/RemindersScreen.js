@@ -0,0 +1,292 @@
+/**
+ * RemindersScreen.js - Reminder Settings Screen
+ *
+ * Turns deadline reminders and the morning digest on or off, and sets
+ * how early reminders arrive and when the digest is delivered.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Switch,
+    Alert,
+    Platform,
+    StatusBar
+} from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+    LEAD_TIME_OPTIONS,
+    DEADLINE_HOUR,
+    DEFAULT_NOTIFICATION_SETTINGS,
+    getNotificationSettings,
+    saveNotificationSettings,
+    requestNotificationPermission
+} from '../utils/notifications';
+
+/**
+ * Format an hour and minute as a clock time
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute (0-59)
+ * @returns {string} - e.g. "8:00 AM"
+ */
+const formatClockTime = (hour, minute) => {
+    const date = new Date();
+    date.setHours(hour, minute, 0, 0);
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+};
+
+/**
+ * Reminders Screen Component
+ */
+const RemindersScreen = () => {
+    const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_SETTINGS);
+    const [showTimePicker, setShowTimePicker] = useState(false);
+
+    // Load saved settings on mount
+    useEffect(() => {
+        getNotificationSettings().then(setSettings);
+    }, []);
+
+    /**
+     * Save a settings change, asking for permission when turning something on
+     * @param {object} changes - Settings fields to update
+     */
+    const updateSettings = async (changes) => {
+        const enabling = changes.remindersEnabled === true || changes.digestEnabled === true;
+        if (enabling && !(await requestNotificationPermission())) {
+            Alert.alert(
+                'Notifications Off',
+                'Allow notifications for Smart Study Planner in your device settings to get reminders.'
+            );
+            return;
+        }
+
+        const updated = { ...settings, ...changes };
+        setSettings(updated);
+        const success = await saveNotificationSettings(updated);
+        if (!success) {
+            Alert.alert('Error', 'Failed to update reminders. Please try again.');
+        }
+    };
+
+    /**
+     * Handle digest time picker change
+     */
+    const onTimeChange = (event, selectedTime) => {
+        setShowTimePicker(Platform.OS === 'ios');
+        if (selectedTime) {
+            updateSettings({
+                digestHour: selectedTime.getHours(),
+                digestMinute: selectedTime.getMinutes(),
+            });
+        }
+    };
+
+    const digestTime = new Date();
+    digestTime.setHours(settings.digestHour, settings.digestMinute, 0, 0);
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.content}
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Header */}
+                <View style={styles.header}>
+                    <Text style={styles.title}>Reminders 🔔</Text>
+                    <Text style={styles.subtitle}>
+                        Get a nudge before deadlines, even with the app closed
+                    </Text>
+                </View>
+
+                {/* Deadline Reminders Card */}
+                <View style={styles.card}>
+                    <View style={styles.switchRow}>
+                        <View style={styles.switchText}>
+                            <Text style={styles.cardTitle}>Deadline Reminders</Text>
+                            <Text style={styles.cardText}>
+                                One notification per pending task. Tasks count as due at{' '}
+                                {formatClockTime(DEADLINE_HOUR, 0)} on their deadline.
+                            </Text>
+                        </View>
+                        <Switch
+                            value={settings.remindersEnabled}
+                            onValueChange={(value) => updateSettings({ remindersEnabled: value })}
+                            trackColor={{ false: '#E2E8F0', true: '#4A90E2' }}
+                            thumbColor="#FFFFFF"
+                        />
+                    </View>
+
+                    {settings.remindersEnabled && (
+                        <View style={styles.optionRow}>
+                            {LEAD_TIME_OPTIONS.map((option) => (
+                                <TouchableOpacity
+                                    key={option.value}
+                                    style={[
+                                        styles.optionChip,
+                                        settings.leadTimeMinutes === option.value && styles.optionChipActive
+                                    ]}
+                                    onPress={() => updateSettings({ leadTimeMinutes: option.value })}
+                                >
+                                    <Text
+                                        style={[
+                                            styles.optionText,
+                                            settings.leadTimeMinutes === option.value && styles.optionTextActive
+                                        ]}
+                                    >
+                                        {option.label}
+                                    </Text>
+                                </TouchableOpacity>
+                            ))}
+                        </View>
+                    )}
+                </View>
+
+                {/* Morning Digest Card */}
+                <View style={styles.card}>
+                    <View style={styles.switchRow}>
+                        <View style={styles.switchText}>
+                            <Text style={styles.cardTitle}>Morning Digest</Text>
+                            <Text style={styles.cardText}>
+                                A daily summary of the tasks due that day. Skipped on days with nothing due.
+                            </Text>
+                        </View>
+                        <Switch
+                            value={settings.digestEnabled}
+                            onValueChange={(value) => updateSettings({ digestEnabled: value })}
+                            trackColor={{ false: '#E2E8F0', true: '#4A90E2' }}
+                            thumbColor="#FFFFFF"
+                        />
+                    </View>
+
+                    {settings.digestEnabled && (
+                        <TouchableOpacity
+                            style={styles.timeButton}
+                            onPress={() => setShowTimePicker(true)}
+                        >
+                            <Text style={styles.timeText}>
+                                ⏰ {formatClockTime(settings.digestHour, settings.digestMinute)}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+
+                    {showTimePicker && (
+                        <DateTimePicker
+                            value={digestTime}
+                            mode="time"
+                            display="default"
+                            onChange={onTimeChange}
+                        />
+                    )}
+                </View>
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 16,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cardTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    cardText: {
+        fontSize: 14,
+        color: '#718096',
+        lineHeight: 20,
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    switchText: {
+        flex: 1,
+        marginRight: 12,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 16,
+    },
+    optionChip: {
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        marginRight: 8,
+        marginBottom: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+    },
+    optionChipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    optionText: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    optionTextActive: {
+        color: '#FFFFFF',
+        fontWeight: '600',
+    },
+    timeButton: {
+        marginTop: 16,
+        paddingVertical: 14,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        backgroundColor: '#F7FAFC',
+        alignItems: 'center',
+    },
+    timeText: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+});
+
+export default RemindersScreen;
@@ -0,0 +1,361 @@
+/**
+ * RescheduleScreen.js - Reschedule Overdue Tasks Screen
+ *
+ * Lists every overdue task with quick options to move it to a new day,
+ * plus one-tap buttons that move all of them at once. Moves keep each
+ * deadline's time of day and can be undone from the snackbar.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import Button from '../components/Button';
+import Snackbar from '../components/Snackbar';
+import { getTasks, updateTasks } from '../utils/storage';
+import {
+    formatDate,
+    getOverdueTasks,
+    getDaysUntilDeadline,
+    getPriorityColor,
+    moveDeadlineToDay
+} from '../utils/helpers';
+import { addDays, startOfDay } from '../utils/recurrence';
+
+// Quick targets, as days from today
+const QUICK_OPTIONS = [
+    { days: 0, label: 'Today' },
+    { days: 1, label: 'Tomorrow' },
+    { days: 7, label: 'Next week' },
+];
+
+/**
+ * Reschedule Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const RescheduleScreen = ({ navigation }) => {
+    const [overdueTasks, setOverdueTasks] = useState([]);
+    const [pickerTaskId, setPickerTaskId] = useState(null);
+
+    // Last move, kept so it can be undone: { message, previous: { id: { deadline } } }
+    const [lastMove, setLastMove] = useState(null);
+
+    /**
+     * Load the overdue tasks
+     */
+    const loadTasks = async () => {
+        try {
+            setOverdueTasks(getOverdueTasks(await getTasks()));
+        } catch (error) {
+            console.error('Error loading overdue tasks:', error);
+        }
+    };
+
+    // Reload tasks every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            loadTasks();
+        }, [])
+    );
+
+    /**
+     * Move tasks to a day and offer to undo it
+     * @param {Array} tasksToMove - Tasks to reschedule
+     * @param {Date} day - New deadline day
+     */
+    const moveTasks = async (tasksToMove, day) => {
+        const updates = {};
+        const previous = {};
+        tasksToMove.forEach(task => {
+            updates[task.id] = { deadline: moveDeadlineToDay(task.deadline, day) };
+            previous[task.id] = { deadline: task.deadline };
+        });
+
+        const success = await updateTasks(updates);
+        if (success) {
+            const count = tasksToMove.length;
+            setLastMove({
+                message: `Moved ${count} ${count === 1 ? 'task' : 'tasks'} to ${formatDate(day)}`,
+                previous,
+            });
+            await loadTasks();
+        }
+    };
+
+    /**
+     * Put the last moved tasks back on their old deadlines
+     */
+    const handleUndo = async () => {
+        if (!lastMove) {
+            return;
+        }
+        const success = await updateTasks(lastMove.previous);
+        setLastMove(null);
+        if (success) {
+            await loadTasks();
+        }
+    };
+
+    /**
+     * Handle a date chosen for a single task
+     */
+    const onDateChange = (event, selectedDate) => {
+        const task = overdueTasks.find(t => t.id === pickerTaskId);
+        setPickerTaskId(null);
+        if (selectedDate && task) {
+            moveTasks([task], selectedDate);
+        }
+    };
+
+    const today = startOfDay(new Date());
+
+    /**
+     * Render a single overdue task with its move options
+     */
+    const renderTask = ({ item }) => {
+        const daysOverdue = -getDaysUntilDeadline(item);
+        return (
+            <View style={[styles.taskCard, { borderLeftColor: getPriorityColor(item.priority) }]}>
+                <Text style={styles.taskSubject} numberOfLines={1}>{item.subject}</Text>
+                <Text style={styles.taskTopic} numberOfLines={2}>{item.topic}</Text>
+                <Text style={styles.taskDue}>
+                    Was due {formatDate(item.deadline)} · {daysOverdue} {daysOverdue === 1 ? 'day' : 'days'} ago
+                </Text>
+                <View style={styles.optionRow}>
+                    {QUICK_OPTIONS.map((option) => (
+                        <TouchableOpacity
+                            key={option.label}
+                            style={styles.optionChip}
+                            onPress={() => moveTasks([item], addDays(today, option.days))}
+                        >
+                            <Text style={styles.optionChipText}>{option.label}</Text>
+                        </TouchableOpacity>
+                    ))}
+                    <TouchableOpacity
+                        style={styles.optionChip}
+                        onPress={() => setPickerTaskId(item.id)}
+                        accessibilityLabel="Pick a date"
+                    >
+                        <Text style={styles.optionChipText}>📅 Pick</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    /**
+     * Render the one-tap options for every overdue task
+     */
+    const renderHeader = () => (
+        <View>
+            <View style={styles.header}>
+                <Text style={styles.title}>Overdue Tasks ⚠️</Text>
+                <Text style={styles.subtitle}>
+                    Pick a new day for each task, or move them all at once
+                </Text>
+            </View>
+
+            {overdueTasks.length > 1 && (
+                <View style={styles.bulkCard}>
+                    <Text style={styles.bulkTitle}>
+                        Move all {overdueTasks.length} tasks to
+                    </Text>
+                    <View style={styles.bulkRow}>
+                        {QUICK_OPTIONS.map((option) => (
+                            <Button
+                                key={option.label}
+                                title={option.label}
+                                onPress={() => moveTasks(overdueTasks, addDays(today, option.days))}
+                                variant={option.days === 0 ? 'primary' : 'outline'}
+                                style={styles.bulkButton}
+                            />
+                        ))}
+                    </View>
+                </View>
+            )}
+        </View>
+    );
+
+    /**
+     * Render the state shown once nothing is overdue
+     */
+    const renderEmptyState = () => (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>🎉</Text>
+            <Text style={styles.emptyTitle}>All caught up!</Text>
+            <Text style={styles.emptySubtext}>No tasks are past their deadline</Text>
+            <Button
+                title="Back to Dashboard"
+                onPress={() => navigation.goBack()}
+                variant="outline"
+                style={styles.emptyButton}
+            />
+        </View>
+    );
+
+    const pickerTask = overdueTasks.find(t => t.id === pickerTaskId);
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <FlatList
+                data={overdueTasks}
+                renderItem={renderTask}
+                keyExtractor={(item) => item.id}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={renderHeader}
+                ListEmptyComponent={renderEmptyState}
+                showsVerticalScrollIndicator={false}
+            />
+
+            {/* Date Picker for a single task */}
+            {pickerTask && (
+                <DateTimePicker
+                    value={today}
+                    mode="date"
+                    display="default"
+                    onChange={onDateChange}
+                    minimumDate={today}
+                />
+            )}
+
+            {/* Undo Move Snackbar */}
+            <Snackbar
+                visible={!!lastMove}
+                message={lastMove ? lastMove.message : ''}
+                actionLabel="Undo"
+                onAction={handleUndo}
+                onDismiss={() => setLastMove(null)}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    listContent: {
+        paddingHorizontal: 24,
+        paddingBottom: 100,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    bulkCard: {
+        backgroundColor: '#FFF5F5',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: '#FED7D7',
+    },
+    bulkTitle: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#FF4757',
+        marginBottom: 12,
+    },
+    bulkRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    bulkButton: {
+        flex: 1,
+        marginHorizontal: 4,
+        paddingHorizontal: 8,
+    },
+    taskCard: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        borderLeftWidth: 5,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    taskSubject: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    taskTopic: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 2,
+    },
+    taskDue: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#FF4757',
+        marginTop: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 12,
+    },
+    optionChip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#4A90E2',
+        marginRight: 8,
+        marginBottom: 8,
+    },
+    optionChipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 60,
+    },
+    emptyIcon: {
+        fontSize: 60,
+        marginBottom: 16,
+    },
+    emptyTitle: {
+        fontSize: 20,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    emptySubtext: {
+        fontSize: 14,
+        color: '#718096',
+        textAlign: 'center',
+        marginBottom: 24,
+    },
+    emptyButton: {
+        paddingHorizontal: 32,
+    },
+});
+
+export default RescheduleScreen;
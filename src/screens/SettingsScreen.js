@@ -0,0 +1,559 @@
+/**
+ * SettingsScreen.js - Study Preferences Screen
+ *
+ * Lets the signed-in profile change task defaults, date display, the
+ * daily study budget and rest days, the daily goal, reminders and the splash screen, and
+ * holds the sign-out and reset actions.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Alert,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import { clearAllTasks } from '../utils/storage';
+import { DATE_FORMATS, formatDate, formatHours, getPriorityColor } from '../utils/helpers';
+import { getActiveAccount, signOut } from '../utils/auth';
+import {
+    WEEK_START_OPTIONS,
+    DEFAULT_STUDY_TIME_OPTIONS,
+    SPLASH_DURATION_OPTIONS,
+    DAILY_GOAL_TYPE_OPTIONS,
+    DAILY_GOAL_TARGET_OPTIONS,
+    getPreferences,
+    updatePreferences,
+    resetPreferences
+} from '../utils/preferences';
+import { LEAD_TIME_OPTIONS, getNotificationSettings } from '../utils/notifications';
+import { WEEKDAY_LABELS } from '../utils/recurrence';
+
+// Priority options
+const PRIORITY_OPTIONS = ['Low', 'Medium', 'High'];
+
+// Limits for the daily study budget (hours)
+const MIN_DAILY_HOURS = 1;
+const MAX_DAILY_HOURS = 12;
+
+/**
+ * Settings Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const SettingsScreen = ({ navigation }) => {
+    const [preferences, setPreferences] = useState(getPreferences());
+    const [notificationSettings, setNotificationSettings] = useState(null);
+    const account = getActiveAccount();
+
+    // Reminder settings can change on the Reminders screen, so reload on focus
+    useFocusEffect(
+        useCallback(() => {
+            setPreferences(getPreferences());
+            getNotificationSettings().then(setNotificationSettings);
+        }, [])
+    );
+
+    /**
+     * Save a preference change
+     * @param {object} changes - Preference fields to change
+     */
+    const handleChange = async (changes) => {
+        setPreferences(current => ({ ...current, ...changes }));
+        const success = await updatePreferences(changes);
+        if (!success) {
+            Alert.alert('Error', 'Failed to save your settings. Please try again.');
+            setPreferences(getPreferences());
+        }
+    };
+
+    /**
+     * Mark a weekday as a rest day, or make it a study day again
+     * @param {number} day - JS day number (0 = Sunday)
+     */
+    const handleToggleRestDay = (day) => {
+        const { restDays } = preferences;
+        handleChange({
+            restDays: restDays.includes(day)
+                ? restDays.filter(restDay => restDay !== day)
+                : [...restDays, day].sort(),
+        });
+    };
+
+    /**
+     * Switch what the daily goal counts, starting from a matching target
+     * @param {string} type - 'hours' or 'tasks'
+     */
+    const handleGoalTypeChange = (type) => {
+        if (type !== preferences.dailyGoalType) {
+            handleChange({ dailyGoalType: type, dailyGoalTarget: DAILY_GOAL_TARGET_OPTIONS[type][1].value });
+        }
+    };
+
+    // Weekdays in display order, starting on the chosen first day
+    const orderedWeekdays = Array.from({ length: 7 }, (_, offset) => (offset + preferences.weekStartsOn) % 7);
+
+    /**
+     * Confirm, then sign out and clear the navigation history
+     */
+    const handleSignOut = () => {
+        Alert.alert(
+            'Sign Out?',
+            'You will need your password to open this profile again.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Sign Out',
+                    style: 'destructive',
+                    onPress: async () => {
+                        const success = await signOut();
+                        if (success) {
+                            navigation.reset({ index: 0, routes: [{ name: 'Login' }] });
+                        } else {
+                            Alert.alert('Error', 'Failed to sign out. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Confirm, then restore default preferences
+     */
+    const handleResetPreferences = () => {
+        Alert.alert(
+            'Reset Settings?',
+            'All preferences on this screen will go back to their defaults. Your tasks are kept.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Reset',
+                    onPress: async () => {
+                        await resetPreferences();
+                        setPreferences(getPreferences());
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Confirm, then delete every task of this profile
+     */
+    const handleDeleteTasks = () => {
+        Alert.alert(
+            'Delete All Tasks?',
+            'Every task, checklist and study session in this profile will be removed. This cannot be undone.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete All',
+                    style: 'destructive',
+                    onPress: async () => {
+                        const success = await clearAllTasks();
+                        if (!success) {
+                            Alert.alert('Error', 'Failed to delete tasks. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    /**
+     * Summarise the reminder settings in one line
+     * @returns {string} - e.g. "1 day before · digest at 8:00 AM"
+     */
+    const describeNotifications = () => {
+        if (!notificationSettings) {
+            return '';
+        }
+
+        const parts = [];
+        if (notificationSettings.remindersEnabled) {
+            const leadTime = LEAD_TIME_OPTIONS.find(
+                option => option.value === notificationSettings.leadTimeMinutes
+            );
+            parts.push(leadTime ? leadTime.label : 'Deadline reminders on');
+        }
+        if (notificationSettings.digestEnabled) {
+            const digestTime = new Date();
+            digestTime.setHours(notificationSettings.digestHour, notificationSettings.digestMinute, 0, 0);
+            parts.push(`digest at ${digestTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`);
+        }
+
+        return parts.length > 0 ? parts.join(' · ') : 'Off';
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                style={styles.scrollView}
+                contentContainerStyle={styles.content}
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Header */}
+                <View style={styles.header}>
+                    <Text style={styles.title}>Settings ⚙️</Text>
+                    <Text style={styles.subtitle}>
+                        {account ? `Preferences for ${account.name}` : 'Study preferences'}
+                    </Text>
+                </View>
+
+                {/* Task Defaults */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>New Task Defaults</Text>
+
+                    <Text style={styles.label}>Priority</Text>
+                    <View style={styles.optionRow}>
+                        {PRIORITY_OPTIONS.map((option) => {
+                            const isActive = preferences.defaultPriority === option;
+                            return (
+                                <TouchableOpacity
+                                    key={option}
+                                    style={[
+                                        styles.optionChip,
+                                        isActive && {
+                                            backgroundColor: getPriorityColor(option),
+                                            borderColor: getPriorityColor(option),
+                                        }
+                                    ]}
+                                    onPress={() => handleChange({ defaultPriority: option })}
+                                >
+                                    <Text style={[styles.optionText, isActive && styles.optionTextActive]}>
+                                        {option}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+
+                    <Text style={styles.label}>Study Time</Text>
+                    <OptionRow
+                        options={DEFAULT_STUDY_TIME_OPTIONS}
+                        selected={preferences.defaultStudyTime}
+                        onSelect={(value) => handleChange({ defaultStudyTime: value })}
+                    />
+                </View>
+
+                {/* Calendar & Dates */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Calendar & Dates</Text>
+
+                    <Text style={styles.label}>Week Starts On</Text>
+                    <OptionRow
+                        options={WEEK_START_OPTIONS}
+                        selected={preferences.weekStartsOn}
+                        onSelect={(value) => handleChange({ weekStartsOn: value })}
+                    />
+
+                    <Text style={styles.label}>Date Format</Text>
+                    <OptionRow
+                        options={DATE_FORMATS.map(format => ({
+                            value: format,
+                            label: formatDate(new Date(), format),
+                        }))}
+                        selected={preferences.dateFormat}
+                        onSelect={(value) => handleChange({ dateFormat: value })}
+                    />
+                </View>
+
+                {/* Daily Budget */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Daily Study Budget</Text>
+                    <Text style={styles.cardText}>
+                        How many hours you aim to study on a typical day.
+                    </Text>
+                    <View style={styles.stepper}>
+                        <TouchableOpacity
+                            style={styles.stepperButton}
+                            onPress={() => handleChange({
+                                dailyStudyHours: Math.max(MIN_DAILY_HOURS, preferences.dailyStudyHours - 1),
+                            })}
+                        >
+                            <Text style={styles.stepperButtonText}>−</Text>
+                        </TouchableOpacity>
+                        <Text style={styles.stepperValue}>{formatHours(preferences.dailyStudyHours)} h</Text>
+                        <TouchableOpacity
+                            style={styles.stepperButton}
+                            onPress={() => handleChange({
+                                dailyStudyHours: Math.min(MAX_DAILY_HOURS, preferences.dailyStudyHours + 1),
+                            })}
+                        >
+                            <Text style={styles.stepperButtonText}>+</Text>
+                        </TouchableOpacity>
+                    </View>
+
+                    <Text style={[styles.cardText, styles.restDaysLabel]}>
+                        Rest days — the study plan leaves these free.
+                    </Text>
+                    <View style={[styles.optionRow, styles.restDaysRow]}>
+                        {orderedWeekdays.map((day) => {
+                            const isRest = preferences.restDays.includes(day);
+                            return (
+                                <TouchableOpacity
+                                    key={day}
+                                    style={[styles.optionChip, isRest && styles.optionChipActive]}
+                                    onPress={() => handleToggleRestDay(day)}
+                                >
+                                    <Text style={[styles.optionText, isRest && styles.optionTextActive]}>
+                                        {WEEKDAY_LABELS[day]}
+                                    </Text>
+                                </TouchableOpacity>
+                            );
+                        })}
+                    </View>
+                </View>
+
+                {/* Daily Goal */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Daily Goal</Text>
+                    <Text style={styles.cardText}>
+                        Meet it every day to build a streak on the dashboard.
+                    </Text>
+
+                    <Text style={styles.label}>Count</Text>
+                    <OptionRow
+                        options={DAILY_GOAL_TYPE_OPTIONS}
+                        selected={preferences.dailyGoalType}
+                        onSelect={handleGoalTypeChange}
+                    />
+
+                    <Text style={styles.label}>Target</Text>
+                    <OptionRow
+                        options={DAILY_GOAL_TARGET_OPTIONS[preferences.dailyGoalType]}
+                        selected={preferences.dailyGoalTarget}
+                        onSelect={(value) => handleChange({ dailyGoalTarget: value })}
+                    />
+                </View>
+
+                {/* Subjects */}
+                <TouchableOpacity
+                    style={[styles.card, styles.linkCard]}
+                    onPress={() => navigation.navigate('Subjects')}
+                >
+                    <View style={styles.linkText}>
+                        <Text style={styles.cardTitle}>Subjects 📚</Text>
+                        <Text style={styles.cardText}>Colors, instructors and credits</Text>
+                    </View>
+                    <Text style={styles.chevron}>›</Text>
+                </TouchableOpacity>
+
+                {/* Notifications */}
+                <TouchableOpacity
+                    style={[styles.card, styles.linkCard]}
+                    onPress={() => navigation.navigate('Reminders')}
+                >
+                    <View style={styles.linkText}>
+                        <Text style={styles.cardTitle}>Notifications 🔔</Text>
+                        <Text style={styles.cardText}>{describeNotifications()}</Text>
+                    </View>
+                    <Text style={styles.chevron}>›</Text>
+                </TouchableOpacity>
+
+                {/* Splash Screen */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Splash Screen</Text>
+                    <OptionRow
+                        options={SPLASH_DURATION_OPTIONS}
+                        selected={preferences.splashDurationMs}
+                        onSelect={(value) => handleChange({ splashDurationMs: value })}
+                    />
+                </View>
+
+                {/* Account & Reset */}
+                <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Account</Text>
+                    {account && (
+                        <Text style={styles.cardText}>Signed in as {account.email}</Text>
+                    )}
+                    <Button
+                        title="Reset Settings"
+                        onPress={handleResetPreferences}
+                        variant="outline"
+                        style={styles.cardButton}
+                    />
+                    <Button
+                        title="Delete All My Tasks"
+                        onPress={handleDeleteTasks}
+                        variant="outline"
+                        style={styles.stackedButton}
+                    />
+                    {account && (
+                        <Button
+                            title="Sign Out"
+                            onPress={handleSignOut}
+                            variant="danger"
+                            style={styles.stackedButton}
+                        />
+                    )}
+                </View>
+            </ScrollView>
+        </View>
+    );
+};
+
+/**
+ * Option Row Component
+ * Row of selectable chips for a single preference
+ */
+const OptionRow = ({ options, selected, onSelect }) => (
+    <View style={styles.optionRow}>
+        {options.map((option) => {
+            const isActive = option.value === selected;
+            return (
+                <TouchableOpacity
+                    key={String(option.value)}
+                    style={[styles.optionChip, isActive && styles.optionChipActive]}
+                    onPress={() => onSelect(option.value)}
+                >
+                    <Text style={[styles.optionText, isActive && styles.optionTextActive]}>
+                        {option.label}
+                    </Text>
+                </TouchableOpacity>
+            );
+        })}
+    </View>
+);
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollView: {
+        flex: 1,
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    card: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 20,
+        padding: 20,
+        marginBottom: 16,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    cardTitle: {
+        fontSize: 18,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    cardText: {
+        fontSize: 14,
+        color: '#718096',
+        lineHeight: 20,
+    },
+    cardButton: {
+        marginTop: 16,
+    },
+    stackedButton: {
+        marginTop: 12,
+    },
+    label: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    optionRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    restDaysLabel: {
+        marginTop: 16,
+    },
+    restDaysRow: {
+        marginTop: 12,
+    },
+    optionChip: {
+        paddingVertical: 8,
+        paddingHorizontal: 14,
+        marginRight: 8,
+        marginBottom: 8,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+    },
+    optionChipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    optionText: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    optionTextActive: {
+        color: '#FFFFFF',
+        fontWeight: '600',
+    },
+    stepper: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: 16,
+    },
+    stepperButton: {
+        width: 44,
+        height: 44,
+        borderRadius: 22,
+        backgroundColor: '#F7FAFC',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        justifyContent: 'center',
+        alignItems: 'center',
+    },
+    stepperButtonText: {
+        fontSize: 22,
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+    stepperValue: {
+        fontSize: 22,
+        fontWeight: '700',
+        color: '#2D3748',
+        minWidth: 100,
+        textAlign: 'center',
+    },
+    linkCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+    },
+    linkText: {
+        flex: 1,
+    },
+    chevron: {
+        fontSize: 28,
+        color: '#A0AEC0',
+    },
+});
+
+export default SettingsScreen;
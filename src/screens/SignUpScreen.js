@@ -0,0 +1,275 @@
+/**
+ * SignUpScreen.js - Account Creation Screen
+ *
+ * Creates a local account on this device with a name, email and password.
+ * Navigates to Home screen once the account is created.
+ */
+
+import React, { useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    KeyboardAvoidingView,
+    ScrollView,
+    Platform,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import Button from '../components/Button';
+import { isValidEmail } from '../utils/helpers';
+import { createAccount, validatePassword, PASSWORD_MIN_LENGTH } from '../utils/auth';
+
+/**
+ * Sign Up Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const SignUpScreen = ({ navigation }) => {
+    // State for form inputs
+    const [values, setValues] = useState({
+        name: '',
+        email: '',
+        password: '',
+        confirmPassword: '',
+    });
+
+    // State for error messages
+    const [errors, setErrors] = useState({});
+    const [authError, setAuthError] = useState('');
+
+    // Loading state for button
+    const [isLoading, setIsLoading] = useState(false);
+
+    /**
+     * Update one input and clear its error
+     */
+    const handleChange = (field, value) => {
+        setValues(current => ({ ...current, [field]: value }));
+        setErrors(current => ({ ...current, [field]: '' }));
+        setAuthError('');
+    };
+
+    /**
+     * Validate form inputs
+     * @returns {boolean} - True if all validations pass
+     */
+    const validateInputs = () => {
+        const newErrors = {};
+
+        if (!values.name.trim()) {
+            newErrors.name = 'Name is required';
+        }
+
+        if (!values.email.trim()) {
+            newErrors.email = 'Email is required';
+        } else if (!isValidEmail(values.email.trim())) {
+            newErrors.email = 'Please enter a valid email';
+        }
+
+        const passwordError = validatePassword(values.password);
+        if (passwordError) {
+            newErrors.password = passwordError;
+        }
+
+        if (values.confirmPassword !== values.password) {
+            newErrors.confirmPassword = 'Passwords do not match';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    /**
+     * Handle sign up button press
+     * Creates the account and navigates to Home on success
+     */
+    const handleSignUp = async () => {
+        if (!validateInputs()) {
+            return;
+        }
+
+        setIsLoading(true);
+        const { account, error } = await createAccount(values);
+        setIsLoading(false);
+
+        if (!account) {
+            setAuthError(error);
+            return;
+        }
+
+        // Start fresh on Home so back doesn't return to the auth screens
+        navigation.reset({ index: 0, routes: [{ name: 'Home' }] });
+    };
+
+    /**
+     * Render a labelled input with its error message
+     */
+    const renderInput = (field, label, props) => (
+        <View style={styles.inputContainer}>
+            <Text style={styles.label}>{label}</Text>
+            <TextInput
+                style={[styles.input, errors[field] && styles.inputError]}
+                placeholderTextColor="#A0AEC0"
+                value={values[field]}
+                onChangeText={(text) => handleChange(field, text)}
+                {...props}
+            />
+            {errors[field] ? (
+                <Text style={styles.errorText}>{errors[field]}</Text>
+            ) : null}
+        </View>
+    );
+
+    return (
+        <KeyboardAvoidingView
+            style={styles.container}
+            behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        >
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                contentContainerStyle={styles.content}
+                keyboardShouldPersistTaps="handled"
+                showsVerticalScrollIndicator={false}
+            >
+                {/* Header Section */}
+                <View style={styles.header}>
+                    <Text style={styles.welcomeText}>Create Account ✨</Text>
+                    <Text style={styles.subtitle}>
+                        Your plan stays on this device, protected by your password
+                    </Text>
+                </View>
+
+                {/* Form Section */}
+                {renderInput('name', 'Name', {
+                    placeholder: 'Enter your name',
+                    autoCapitalize: 'words',
+                })}
+                {renderInput('email', 'Email Address', {
+                    placeholder: 'Enter your email',
+                    keyboardType: 'email-address',
+                    autoCapitalize: 'none',
+                    autoCorrect: false,
+                })}
+                {renderInput('password', 'Password', {
+                    placeholder: `At least ${PASSWORD_MIN_LENGTH} characters, with a number`,
+                    secureTextEntry: true,
+                })}
+                {renderInput('confirmPassword', 'Confirm Password', {
+                    placeholder: 'Enter your password again',
+                    secureTextEntry: true,
+                })}
+
+                {/* Sign-up error (e.g. email already registered) */}
+                {authError ? (
+                    <View style={styles.authErrorBox}>
+                        <Text style={styles.authErrorText}>{authError}</Text>
+                    </View>
+                ) : null}
+
+                {/* Sign Up Button */}
+                <Button
+                    title="Create Account"
+                    onPress={handleSignUp}
+                    loading={isLoading}
+                    style={styles.signUpButton}
+                />
+
+                {/* Back to sign in */}
+                <TouchableOpacity
+                    style={styles.signInLink}
+                    onPress={() => navigation.goBack()}
+                >
+                    <Text style={styles.signInText}>
+                        Already have an account? <Text style={styles.signInTextBold}>Sign in</Text>
+                    </Text>
+                </TouchableOpacity>
+            </ScrollView>
+        </KeyboardAvoidingView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    content: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        marginTop: 60,
+        marginBottom: 32,
+    },
+    welcomeText: {
+        fontSize: 32,
+        fontWeight: '700',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    subtitle: {
+        fontSize: 16,
+        color: '#718096',
+        lineHeight: 24,
+    },
+    inputContainer: {
+        marginBottom: 20,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginBottom: 8,
+    },
+    input: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    inputError: {
+        borderColor: '#FF4757',
+        borderWidth: 2,
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 6,
+        marginLeft: 4,
+    },
+    authErrorBox: {
+        padding: 12,
+        backgroundColor: 'rgba(255, 71, 87, 0.1)',
+        borderRadius: 12,
+        borderLeftWidth: 4,
+        borderLeftColor: '#FF4757',
+    },
+    authErrorText: {
+        fontSize: 13,
+        color: '#C53030',
+        lineHeight: 20,
+    },
+    signUpButton: {
+        marginTop: 16,
+    },
+    signInLink: {
+        marginTop: 24,
+        alignItems: 'center',
+    },
+    signInText: {
+        fontSize: 14,
+        color: '#718096',
+    },
+    signInTextBold: {
+        fontWeight: '600',
+        color: '#4A90E2',
+    },
+});
+
+export default SignUpScreen;
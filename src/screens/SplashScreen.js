@@ -2,7 +2,8 @@
  * SplashScreen.js - App Entry/Splash Screen
  * 
  * Displays the app name with a fade-in animation.
- * Automatically navigates to the Login screen after 2 seconds.
+ * After the preferred delay (2 seconds by default), goes straight to Home
+ * if a saved session is still valid, otherwise to the Login screen.
  */
 
 import React, { useEffect, useRef } from 'react';
@@ -13,6 +14,8 @@ import {
     Animated,
     StatusBar
 } from 'react-native';
+import { restoreSession } from '../utils/auth';
+import { getPreferences } from '../utils/preferences';
 
 /**
  * Splash Screen Component
@@ -41,13 +44,26 @@ const SplashScreen = ({ navigation }) => {
             }),
         ]).start();
 
-        // Navigate to Login screen after 2 seconds
-        const timer = setTimeout(() => {
-            navigation.replace('Login');
-        }, 2000);
+        // Check the saved session while the animation plays
+        let cancelled = false;
+        let timer = null;
+        const startedAt = Date.now();
+
+        restoreSession().then((account) => {
+            // Restoring loads the profile's preferred splash duration
+            const remaining = Math.max(0, getPreferences().splashDurationMs - (Date.now() - startedAt));
+            timer = setTimeout(() => {
+                if (!cancelled) {
+                    navigation.replace(account ? 'Home' : 'Login');
+                }
+            }, remaining);
+        });
 
         // Cleanup timer on unmount
-        return () => clearTimeout(timer);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
     }, [navigation, fadeAnim, scaleAnim]);
 
     return (
@@ -0,0 +1,385 @@
+/**
+ * StudyPlanScreen.js - Day-by-Day Study Plan Screen
+ *
+ * Shows when to study each pending task: its remaining hours are spread
+ * over the days before its deadline within the daily budget, skipping
+ * rest days. The plan is rebuilt whenever tasks change, and deadlines
+ * that can't be met are flagged at the top.
+ */
+
+import React, { useState, useCallback, useEffect } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import { getTasks, onTasksChanged } from '../utils/storage';
+import { formatDate, formatHours } from '../utils/helpers';
+import { getPreferences } from '../utils/preferences';
+import { getSubjects, getSubjectForTask } from '../utils/subjects';
+import { buildStudyPlan } from '../utils/scheduler';
+import { WEEKDAY_LABELS, addDays, startOfDay } from '../utils/recurrence';
+
+/**
+ * Label a plan day relative to today
+ * @param {Date} date - Plan day
+ * @returns {string} - "Today", "Tomorrow" or the weekday
+ */
+const getDayLabel = (date) => {
+    const today = startOfDay(new Date());
+    if (date.getTime() === today.getTime()) {
+        return 'Today';
+    }
+    if (date.getTime() === addDays(today, 1).getTime()) {
+        return 'Tomorrow';
+    }
+    return WEEKDAY_LABELS[date.getDay()];
+};
+
+/**
+ * Study Plan Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const StudyPlanScreen = ({ navigation }) => {
+    const [tasks, setTasks] = useState([]);
+    const [subjects, setSubjects] = useState([]);
+    const [preferences, setPreferences] = useState(getPreferences());
+
+    /**
+     * Load tasks, subjects and the planning preferences
+     */
+    const loadData = async () => {
+        try {
+            setSubjects(await getSubjects());
+            setTasks(await getTasks());
+            setPreferences(getPreferences());
+        } catch (error) {
+            console.error('Error loading study plan:', error);
+        }
+    };
+
+    // Reload every time screen comes into focus (budget or rest days may have changed)
+    useFocusEffect(
+        useCallback(() => {
+            loadData();
+        }, [])
+    );
+
+    // Rebuild the plan as soon as tasks change
+    useEffect(() => onTasksChanged(setTasks), []);
+
+    const { dailyStudyHours, restDays } = preferences;
+    const plan = buildStudyPlan(tasks, { dailyHours: dailyStudyHours, restDays });
+    const hasOverdue = plan.atRisk.some(item => item.reason === 'overdue');
+
+    /**
+     * Describe why a task's deadline is at risk
+     * @param {object} item - Entry from plan.atRisk
+     * @returns {string} - Short explanation
+     */
+    const describeRisk = ({ task, reason, unplannedHours }) => {
+        if (reason === 'overdue') {
+            return unplannedHours > 0
+                ? `Overdue since ${formatDate(task.deadline)} · ${formatHours(unplannedHours)} h won't fit this week`
+                : `Overdue since ${formatDate(task.deadline)} · caught up over the next days`;
+        }
+        return `${formatHours(unplannedHours)} h won't fit before ${formatDate(task.deadline)}`;
+    };
+
+    /**
+     * Render the summary and the at-risk deadlines
+     */
+    const renderHeader = () => (
+        <View>
+            <View style={styles.header}>
+                <Text style={styles.title}>Study Plan 🗓️</Text>
+                <Text style={styles.subtitle}>
+                    {plan.plannedHours > 0
+                        ? `${formatHours(plan.plannedHours)} h planned over ${plan.days.length} ${plan.days.length === 1 ? 'day' : 'days'}`
+                        : 'Nothing left to plan'}
+                </Text>
+            </View>
+
+            {/* Budget Summary */}
+            <TouchableOpacity
+                style={styles.budgetCard}
+                onPress={() => navigation.navigate('Settings')}
+            >
+                <Text style={styles.budgetText}>
+                    Up to {formatHours(dailyStudyHours)} h a day
+                    {restDays.length > 0
+                        ? ` · Rest: ${restDays.map(day => WEEKDAY_LABELS[day]).join(', ')}`
+                        : ' · No rest days'}
+                </Text>
+                <Text style={styles.budgetLink}>Change ›</Text>
+            </TouchableOpacity>
+
+            {/* Deadlines at Risk */}
+            {plan.atRisk.length > 0 && (
+                <View style={styles.riskCard}>
+                    <Text style={styles.riskTitle}>⚠️ Deadlines at risk</Text>
+                    {plan.atRisk.map((item) => (
+                        <TouchableOpacity
+                            key={item.task.id}
+                            style={styles.riskRow}
+                            onPress={() => navigation.navigate('TaskDetail', { taskId: item.task.id })}
+                        >
+                            <Text style={styles.riskTask} numberOfLines={1}>
+                                {item.task.subject} – {item.task.topic}
+                            </Text>
+                            <Text style={styles.riskReason}>{describeRisk(item)}</Text>
+                        </TouchableOpacity>
+                    ))}
+                    {hasOverdue && (
+                        <Button
+                            title="Reschedule Overdue"
+                            onPress={() => navigation.navigate('Reschedule')}
+                            variant="danger"
+                            style={styles.riskButton}
+                        />
+                    )}
+                </View>
+            )}
+        </View>
+    );
+
+    /**
+     * Render one day of the plan
+     */
+    const renderDay = ({ item }) => (
+        <View style={styles.dayCard}>
+            <View style={styles.dayHeader}>
+                <Text style={styles.dayTitle}>
+                    {getDayLabel(item.date)}
+                    <Text style={styles.dayDate}>  {formatDate(item.date)}</Text>
+                </Text>
+                <Text style={styles.dayHours}>
+                    {formatHours(item.hours)} / {formatHours(dailyStudyHours)} h
+                </Text>
+            </View>
+            {item.sessions.map(({ task, hours }) => (
+                <TouchableOpacity
+                    key={task.id}
+                    style={styles.sessionRow}
+                    onPress={() => navigation.navigate('TaskDetail', { taskId: task.id })}
+                >
+                    <View
+                        style={[
+                            styles.sessionDot,
+                            { backgroundColor: getSubjectForTask(subjects, task).color }
+                        ]}
+                    />
+                    <View style={styles.sessionInfo}>
+                        <Text style={styles.sessionSubject} numberOfLines={1}>{task.subject}</Text>
+                        <Text style={styles.sessionTopic} numberOfLines={1}>{task.topic}</Text>
+                    </View>
+                    <Text style={styles.sessionHours}>{formatHours(hours)} h</Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    );
+
+    /**
+     * Render the state shown when there is nothing to plan
+     */
+    const renderEmptyState = () => (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>🎉</Text>
+            <Text style={styles.emptyTitle}>All planned out!</Text>
+            <Text style={styles.emptySubtext}>
+                Pending tasks with study time left will show up here
+            </Text>
+            <Button
+                title="Add Study Task"
+                onPress={() => navigation.navigate('AddTask')}
+                style={styles.emptyButton}
+            />
+        </View>
+    );
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <FlatList
+                data={plan.days}
+                renderItem={renderDay}
+                keyExtractor={(item) => item.key}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={renderHeader}
+                ListEmptyComponent={renderEmptyState}
+                showsVerticalScrollIndicator={false}
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    listContent: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    budgetCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: 'rgba(74, 144, 226, 0.1)',
+        borderRadius: 12,
+        padding: 12,
+        marginBottom: 16,
+    },
+    budgetText: {
+        flex: 1,
+        fontSize: 13,
+        color: '#4A5568',
+    },
+    budgetLink: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A90E2',
+        marginLeft: 8,
+    },
+    riskCard: {
+        backgroundColor: '#FFF5F5',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 16,
+        borderWidth: 1,
+        borderColor: '#FED7D7',
+    },
+    riskTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#FF4757',
+        marginBottom: 8,
+    },
+    riskRow: {
+        paddingVertical: 8,
+        borderBottomWidth: 1,
+        borderBottomColor: '#FED7D7',
+    },
+    riskTask: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    riskReason: {
+        fontSize: 12,
+        color: '#FF4757',
+        marginTop: 2,
+    },
+    riskButton: {
+        marginTop: 12,
+    },
+    dayCard: {
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    dayHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: 8,
+    },
+    dayTitle: {
+        fontSize: 16,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    dayDate: {
+        fontSize: 13,
+        fontWeight: '400',
+        color: '#A0AEC0',
+    },
+    dayHours: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#6C5CE7',
+    },
+    sessionRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 8,
+        borderTopWidth: 1,
+        borderTopColor: '#F7FAFC',
+    },
+    sessionDot: {
+        width: 10,
+        height: 10,
+        borderRadius: 5,
+        marginRight: 12,
+    },
+    sessionInfo: {
+        flex: 1,
+    },
+    sessionSubject: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    sessionTopic: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    sessionHours: {
+        fontSize: 14,
+        fontWeight: '700',
+        color: '#4A5568',
+        marginLeft: 8,
+    },
+    emptyContainer: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingVertical: 60,
+    },
+    emptyIcon: {
+        fontSize: 60,
+        marginBottom: 16,
+    },
+    emptyTitle: {
+        fontSize: 20,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 8,
+    },
+    emptySubtext: {
+        fontSize: 14,
+        color: '#718096',
+        textAlign: 'center',
+        marginBottom: 24,
+    },
+    emptyButton: {
+        paddingHorizontal: 32,
+    },
+});
+
+export default StudyPlanScreen;
@@ -0,0 +1,269 @@
+/**
+ * SubjectEditScreen.js - Add / Edit Subject Screen
+ *
+ * Edits a subject's name, color, instructor and credit weight, or
+ * archives it. Renaming a subject also renames it on its tasks.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    StyleSheet,
+    ScrollView,
+    TouchableOpacity,
+    Switch,
+    KeyboardAvoidingView,
+    Platform,
+    StatusBar
+} from 'react-native';
+import Button from '../components/Button';
+import {
+    SUBJECT_COLORS,
+    getSubjects,
+    addSubject,
+    updateSubject
+} from '../utils/subjects';
+
+/**
+ * Subject Edit Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Route params ({ subjectId } when editing)
+ */
+const SubjectEditScreen = ({ navigation, route }) => {
+    const subjectId = route.params ? route.params.subjectId : null;
+
+    // Form state
+    const [name, setName] = useState('');
+    const [color, setColor] = useState(SUBJECT_COLORS[0]);
+    const [instructor, setInstructor] = useState('');
+    const [credits, setCredits] = useState('');
+    const [archived, setArchived] = useState(false);
+    const [error, setError] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+
+    // Load the subject being edited
+    useEffect(() => {
+        if (!subjectId) {
+            return;
+        }
+        getSubjects().then(subjects => {
+            const subject = subjects.find(item => item.id === subjectId);
+            if (subject) {
+                setName(subject.name);
+                setColor(subject.color);
+                setInstructor(subject.instructor || '');
+                setCredits(subject.credits != null ? String(subject.credits) : '');
+                setArchived(!!subject.archived);
+            }
+        });
+    }, [subjectId]);
+
+    /**
+     * Validate and save the subject
+     */
+    const handleSave = async () => {
+        const creditValue = credits.trim() === '' ? null : parseFloat(credits);
+        if (creditValue !== null && (isNaN(creditValue) || creditValue < 0)) {
+            setError('Credits must be a positive number');
+            return;
+        }
+
+        setIsSaving(true);
+        const fields = {
+            name,
+            color,
+            instructor: instructor.trim(),
+            credits: creditValue,
+            archived,
+        };
+        const result = subjectId
+            ? await updateSubject(subjectId, fields)
+            : await addSubject(fields);
+        setIsSaving(false);
+
+        if (result.error) {
+            setError(result.error);
+            return;
+        }
+        navigation.goBack();
+    };
+
+    return (
+        <KeyboardAvoidingView
+            style={styles.container}
+            behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                contentContainerStyle={styles.scrollContent}
+                keyboardShouldPersistTaps="handled"
+            >
+                {/* Name */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Subject Name *</Text>
+                    <TextInput
+                        style={[styles.input, error && styles.inputError]}
+                        placeholder="e.g., Mathematics"
+                        placeholderTextColor="#A0AEC0"
+                        value={name}
+                        onChangeText={(text) => {
+                            setName(text);
+                            setError('');
+                        }}
+                    />
+                    {error ? (
+                        <Text style={styles.errorText}>{error}</Text>
+                    ) : null}
+                </View>
+
+                {/* Color */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Color</Text>
+                    <View style={styles.colorRow}>
+                        {SUBJECT_COLORS.map((option) => (
+                            <TouchableOpacity
+                                key={option}
+                                style={[
+                                    styles.colorSwatch,
+                                    { backgroundColor: option },
+                                    color === option && styles.colorSwatchSelected,
+                                ]}
+                                onPress={() => setColor(option)}
+                            />
+                        ))}
+                    </View>
+                </View>
+
+                {/* Instructor */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Instructor</Text>
+                    <TextInput
+                        style={styles.input}
+                        placeholder="e.g., Dr. Sharma"
+                        placeholderTextColor="#A0AEC0"
+                        value={instructor}
+                        onChangeText={setInstructor}
+                    />
+                </View>
+
+                {/* Credits */}
+                <View style={styles.inputGroup}>
+                    <Text style={styles.label}>Credits</Text>
+                    <TextInput
+                        style={styles.input}
+                        placeholder="e.g., 4"
+                        placeholderTextColor="#A0AEC0"
+                        value={credits}
+                        onChangeText={(text) => {
+                            setCredits(text);
+                            setError('');
+                        }}
+                        keyboardType="decimal-pad"
+                    />
+                </View>
+
+                {/* Archived */}
+                {subjectId && (
+                    <View style={styles.switchRow}>
+                        <View style={styles.switchText}>
+                            <Text style={styles.label}>Archived</Text>
+                            <Text style={styles.hint}>
+                                Archived subjects keep their tasks but are no longer suggested.
+                            </Text>
+                        </View>
+                        <Switch
+                            value={archived}
+                            onValueChange={setArchived}
+                            trackColor={{ false: '#E2E8F0', true: '#4A90E2' }}
+                            thumbColor="#FFFFFF"
+                        />
+                    </View>
+                )}
+
+                <Button
+                    title={subjectId ? 'Save Changes' : 'Add Subject'}
+                    onPress={handleSave}
+                    loading={isSaving}
+                    style={styles.saveButton}
+                />
+            </ScrollView>
+        </KeyboardAvoidingView>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    scrollContent: {
+        padding: 24,
+        paddingBottom: 40,
+    },
+    inputGroup: {
+        marginBottom: 20,
+    },
+    label: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+        marginBottom: 8,
+    },
+    input: {
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 16,
+        paddingVertical: 14,
+        fontSize: 16,
+        color: '#2D3748',
+    },
+    inputError: {
+        borderColor: '#FF4757',
+        borderWidth: 2,
+    },
+    errorText: {
+        color: '#FF4757',
+        fontSize: 12,
+        marginTop: 6,
+        marginLeft: 4,
+    },
+    colorRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    colorSwatch: {
+        width: 36,
+        height: 36,
+        borderRadius: 18,
+        marginRight: 12,
+        marginBottom: 12,
+        borderWidth: 3,
+        borderColor: 'transparent',
+    },
+    colorSwatchSelected: {
+        borderColor: '#2D3748',
+    },
+    switchRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginBottom: 20,
+    },
+    switchText: {
+        flex: 1,
+        marginRight: 12,
+    },
+    hint: {
+        fontSize: 13,
+        color: '#718096',
+    },
+    saveButton: {
+        marginTop: 8,
+    },
+});
+
+export default SubjectEditScreen;
@@ -0,0 +1,202 @@
+/**
+ * SubjectsScreen.js - Subject Catalogue Screen
+ *
+ * Lists the profile's subjects with their color, instructor and credit
+ * weight. Tapping a subject opens it for editing; archived subjects stay
+ * on their tasks but are no longer suggested when adding new ones.
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    FlatList,
+    TouchableOpacity,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import { getSubjects } from '../utils/subjects';
+import { getTasks } from '../utils/storage';
+
+/**
+ * Subjects Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ */
+const SubjectsScreen = ({ navigation }) => {
+    const [subjects, setSubjects] = useState([]);
+    const [taskCounts, setTaskCounts] = useState({});
+
+    // Reload subjects every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            loadSubjects();
+        }, [])
+    );
+
+    /**
+     * Load the catalogue and count the tasks linked to each subject
+     */
+    const loadSubjects = async () => {
+        const storedSubjects = await getSubjects();
+        const tasks = await getTasks();
+        const counts = {};
+        tasks.forEach(task => {
+            if (task.subjectId) {
+                counts[task.subjectId] = (counts[task.subjectId] || 0) + 1;
+            }
+        });
+
+        // Active subjects first, archived ones at the bottom
+        setSubjects([
+            ...storedSubjects.filter(subject => !subject.archived),
+            ...storedSubjects.filter(subject => subject.archived),
+        ]);
+        setTaskCounts(counts);
+    };
+
+    /**
+     * Render a single subject row
+     */
+    const renderSubject = ({ item }) => {
+        const count = taskCounts[item.id] || 0;
+        const details = [
+            item.instructor,
+            item.credits != null ? `${item.credits} credits` : null,
+            `${count} ${count === 1 ? 'task' : 'tasks'}`,
+        ].filter(Boolean).join(' • ');
+
+        return (
+            <TouchableOpacity
+                style={[styles.subjectCard, item.archived && styles.subjectCardArchived]}
+                onPress={() => navigation.navigate('SubjectEdit', { subjectId: item.id })}
+            >
+                <View style={[styles.colorDot, { backgroundColor: item.color }]} />
+                <View style={styles.subjectInfo}>
+                    <Text style={styles.subjectName}>{item.name}</Text>
+                    <Text style={styles.subjectDetails}>{details}</Text>
+                </View>
+                {item.archived ? (
+                    <Text style={styles.archivedLabel}>Archived</Text>
+                ) : (
+                    <Text style={styles.chevron}>›</Text>
+                )}
+            </TouchableOpacity>
+        );
+    };
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <FlatList
+                data={subjects}
+                keyExtractor={(item) => item.id}
+                renderItem={renderSubject}
+                contentContainerStyle={styles.listContent}
+                ListHeaderComponent={
+                    <View style={styles.header}>
+                        <Text style={styles.title}>Subjects 📚</Text>
+                        <Text style={styles.subtitle}>
+                            Colors and details shown on your tasks and progress
+                        </Text>
+                    </View>
+                }
+                ListEmptyComponent={
+                    <Text style={styles.emptyText}>
+                        No subjects yet. They are added as you create tasks, or you can add one below.
+                    </Text>
+                }
+                ListFooterComponent={
+                    <Button
+                        title="➕ Add Subject"
+                        onPress={() => navigation.navigate('SubjectEdit')}
+                        variant="outline"
+                        style={styles.addButton}
+                    />
+                }
+            />
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    listContent: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    header: {
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    subjectCard: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginBottom: 12,
+        elevation: 4,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.1,
+        shadowRadius: 8,
+    },
+    subjectCardArchived: {
+        opacity: 0.6,
+    },
+    colorDot: {
+        width: 16,
+        height: 16,
+        borderRadius: 8,
+        marginRight: 14,
+    },
+    subjectInfo: {
+        flex: 1,
+    },
+    subjectName: {
+        fontSize: 16,
+        fontWeight: '600',
+        color: '#2D3748',
+    },
+    subjectDetails: {
+        fontSize: 13,
+        color: '#718096',
+        marginTop: 2,
+    },
+    archivedLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#A0AEC0',
+    },
+    chevron: {
+        fontSize: 28,
+        color: '#A0AEC0',
+    },
+    emptyText: {
+        fontSize: 14,
+        color: '#A0AEC0',
+        textAlign: 'center',
+        marginVertical: 24,
+    },
+    addButton: {
+        marginTop: 8,
+    },
+});
+
+export default SubjectsScreen;
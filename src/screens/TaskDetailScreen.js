@@ -0,0 +1,355 @@
+/**
+ * TaskDetailScreen.js - View and Edit Task Screen
+ *
+ * Shows every field of an existing study task and lets the user
+ * edit it using the same validation rules as the Add Task screen,
+ * or delete it (with undo offered back on the task list).
+ */
+
+import React, { useState, useCallback } from 'react';
+import {
+    View,
+    Text,
+    StyleSheet,
+    ScrollView,
+    Alert,
+    StatusBar
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import Button from '../components/Button';
+import TaskForm from '../components/TaskForm';
+import { getTasks, updateTask, deleteTask } from '../utils/storage';
+import { formatDate, validateTaskFields, getFormSubtasks } from '../utils/helpers';
+import { normalizeRecurrence, recurrenceToFormValue } from '../utils/recurrence';
+import { getOrCreateSubject } from '../utils/subjects';
+
+/**
+ * Convert a stored task into editable form values
+ * @param {object} task - Stored task object
+ * @returns {object} - Form values
+ */
+const taskToValues = (task) => ({
+    subject: task.subject || '',
+    subjectId: task.subjectId || null,
+    topic: task.topic || '',
+    notes: task.notes || '',
+    studyTime: task.studyTime != null ? String(task.studyTime) : '',
+    deadline: new Date(task.deadline),
+    priority: task.priority || 'Medium',
+    recurrence: recurrenceToFormValue(task.recurrence),
+    examId: task.examId || null,
+    spacedRepetition: !!task.spacedRepetition,
+    subtasks: task.subtasks || [],
+    newSubtask: '',
+});
+
+/**
+ * Task Detail Screen Component
+ * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Route prop containing the taskId param
+ */
+const TaskDetailScreen = ({ navigation, route }) => {
+    const { taskId } = route.params;
+
+    // Task and form state
+    const [task, setTask] = useState(null);
+    const [values, setValues] = useState(null);
+    const [errors, setErrors] = useState({});
+
+    // UI state
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [isLoading, setIsLoading] = useState(false);
+
+    /**
+     * Load the task being viewed from storage
+     */
+    const loadTask = async () => {
+        try {
+            const storedTasks = await getTasks();
+            const storedTask = storedTasks.find(t => t.id === taskId);
+            setTask(storedTask || null);
+            setValues(storedTask ? taskToValues(storedTask) : null);
+            setErrors({});
+        } catch (error) {
+            console.error('Error loading task:', error);
+        } finally {
+            setIsLoaded(true);
+        }
+    };
+
+    // Reload the task every time screen comes into focus
+    useFocusEffect(
+        useCallback(() => {
+            loadTask();
+        }, [taskId])
+    );
+
+    /**
+     * Update a single form field and clear its error
+     * @param {string} field - Field name
+     * @param {*} value - New field value
+     */
+    const handleChange = (field, value) => {
+        setValues(prev => ({ ...prev, [field]: value }));
+        setErrors(prev => ({ ...prev, [field]: '' }));
+    };
+
+    /**
+     * Validate and save the edited task
+     */
+    const handleSave = async () => {
+        const newErrors = validateTaskFields(values, task.deadline);
+        setErrors(newErrors);
+        if (Object.keys(newErrors).length > 0) {
+            return;
+        }
+
+        setIsLoading(true);
+
+        try {
+            // Link the subject to the catalogue, adding it if it's new
+            const subject = await getOrCreateSubject(values.subject);
+
+            const success = await updateTask(taskId, {
+                subject: subject ? subject.name : values.subject.trim(),
+                subjectId: subject ? subject.id : null,
+                topic: values.topic.trim(),
+                notes: values.notes.trim(),
+                studyTime: parseFloat(values.studyTime),
+                deadline: values.deadline.toISOString(),
+                priority: values.priority,
+                subtasks: getFormSubtasks(values),
+                recurrence: normalizeRecurrence(values.recurrence),
+                examId: values.examId,
+                spacedRepetition: values.spacedRepetition,
+            });
+
+            if (success) {
+                Alert.alert(
+                    'Saved ✅',
+                    'Your changes have been saved.',
+                    [{ text: 'OK', onPress: () => navigation.goBack() }]
+                );
+            } else {
+                Alert.alert('Error', 'Failed to save changes. Please try again.');
+            }
+        } catch (error) {
+            console.error('Error updating task:', error);
+            Alert.alert('Error', 'An unexpected error occurred.');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    /**
+     * Delete the task and return to the list, which offers an undo
+     */
+    const handleDelete = async () => {
+        try {
+            // Remember the task's storage position so undo can restore it
+            const storedTasks = await getTasks();
+            const index = storedTasks.findIndex(t => t.id === taskId);
+
+            const success = await deleteTask(taskId);
+            if (success) {
+                navigation.navigate('TaskList', {
+                    deletedTask: index !== -1 ? storedTasks[index] : task,
+                    deletedIndex: index,
+                });
+            } else {
+                Alert.alert('Error', 'Failed to delete task. Please try again.');
+            }
+        } catch (error) {
+            console.error('Error deleting task:', error);
+            Alert.alert('Error', 'An unexpected error occurred.');
+        }
+    };
+
+    // Wait for the first load before deciding the task is missing
+    if (!isLoaded) {
+        return <View style={styles.container} />;
+    }
+
+    // Task may have been removed since the list was loaded
+    if (!task || !values) {
+        return (
+            <View style={[styles.container, styles.centered]}>
+                <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+                <Text style={styles.emptyIcon}>🔍</Text>
+                <Text style={styles.emptyTitle}>Task not found</Text>
+                <Button
+                    title="Back to Tasks"
+                    onPress={() => navigation.goBack()}
+                    variant="outline"
+                    style={styles.emptyButton}
+                />
+            </View>
+        );
+    }
+
+    return (
+        <View style={styles.container}>
+            <StatusBar barStyle="dark-content" backgroundColor="#F7FAFC" />
+
+            <ScrollView
+                style={styles.scrollView}
+                showsVerticalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+            >
+                {/* Header */}
+                <View style={styles.header}>
+                    <Text style={styles.title}>Task Details ✏️</Text>
+                    <Text style={styles.subtitle}>
+                        Update any field and save your changes
+                    </Text>
+                </View>
+
+                {/* Task Metadata */}
+                <View style={styles.metaCard}>
+                    <View style={styles.metaItem}>
+                        <Text style={styles.metaLabel}>Status</Text>
+                        <Text
+                            style={[
+                                styles.metaValue,
+                                task.completed ? styles.metaCompleted : styles.metaPending
+                            ]}
+                        >
+                            {task.completed ? 'Completed' : 'Pending'}
+                        </Text>
+                    </View>
+                    <View style={styles.metaItem}>
+                        <Text style={styles.metaLabel}>Created</Text>
+                        <Text style={styles.metaValue}>
+                            {task.createdAt ? formatDate(task.createdAt) : '—'}
+                        </Text>
+                    </View>
+                </View>
+
+                {/* Form */}
+                <View style={styles.form}>
+                    <TaskForm
+                        values={values}
+                        errors={errors}
+                        onChange={handleChange}
+                        isEditing
+                    />
+
+                    {/* Save Button */}
+                    <Button
+                        title="Save Changes"
+                        onPress={handleSave}
+                        loading={isLoading}
+                        style={styles.saveButton}
+                    />
+
+                    {/* Cancel Button */}
+                    <Button
+                        title="Cancel"
+                        onPress={() => navigation.goBack()}
+                        variant="outline"
+                        style={styles.cancelButton}
+                    />
+
+                    {/* Delete Button */}
+                    <Button
+                        title="Delete Task"
+                        onPress={handleDelete}
+                        variant="danger"
+                        style={styles.deleteButton}
+                    />
+                </View>
+            </ScrollView>
+        </View>
+    );
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: '#F7FAFC',
+    },
+    centered: {
+        alignItems: 'center',
+        justifyContent: 'center',
+        paddingHorizontal: 24,
+    },
+    scrollView: {
+        flex: 1,
+    },
+    header: {
+        paddingHorizontal: 24,
+        paddingTop: 20,
+        paddingBottom: 16,
+    },
+    title: {
+        fontSize: 28,
+        fontWeight: '700',
+        color: '#2D3748',
+    },
+    subtitle: {
+        fontSize: 14,
+        color: '#718096',
+        marginTop: 4,
+    },
+    metaCard: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        padding: 16,
+        marginHorizontal: 24,
+        marginBottom: 20,
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 1 },
+        shadowOpacity: 0.1,
+        shadowRadius: 4,
+    },
+    metaItem: {
+        flexDirection: 'column',
+    },
+    metaLabel: {
+        fontSize: 12,
+        color: '#A0AEC0',
+        marginBottom: 4,
+    },
+    metaValue: {
+        fontSize: 14,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    metaCompleted: {
+        color: '#2ED573',
+    },
+    metaPending: {
+        color: '#FFA502',
+    },
+    form: {
+        paddingHorizontal: 24,
+        paddingBottom: 40,
+    },
+    saveButton: {
+        marginTop: 24,
+    },
+    cancelButton: {
+        marginTop: 12,
+    },
+    deleteButton: {
+        marginTop: 32,
+    },
+    emptyIcon: {
+        fontSize: 60,
+        marginBottom: 16,
+    },
+    emptyTitle: {
+        fontSize: 20,
+        fontWeight: '600',
+        color: '#2D3748',
+        marginBottom: 24,
+    },
+    emptyButton: {
+        paddingHorizontal: 32,
+    },
+});
+
+export default TaskDetailScreen;
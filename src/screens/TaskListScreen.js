@@ -2,43 +2,86 @@
  * TaskListScreen.js - View All Tasks Screen
  * 
  * Displays all study tasks in a card layout with the ability
- * to mark tasks as completed and view task details.
+ * to mark tasks as completed, open a task to view or edit it,
+ * and delete tasks with a short undo window. A search bar narrows the
+ * list by subject, topic or notes and works alongside the filters.
+ * The chosen sort order and filters are remembered per profile.
  */
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useDeferredValue } from 'react';
 import {
     View,
     Text,
+    TextInput,
     StyleSheet,
     FlatList,
+    ScrollView,
     RefreshControl,
-    StatusBar
+    StatusBar,
+    TouchableOpacity,
+    Alert
 } from 'react-native';
 import { useFocusEffect } from '@react-navigation/native';
 import TaskCard from '../components/TaskCard';
 import Button from '../components/Button';
-import { getTasks, updateTask } from '../utils/storage';
-import { sortByPriority } from '../utils/helpers';
+import Snackbar from '../components/Snackbar';
+import {
+    getTasks,
+    setTaskCompleted,
+    deleteTask,
+    restoreTask,
+    clearAllTasks
+} from '../utils/storage';
+import { toggleSubtask } from '../utils/helpers';
+import { getSubjects, getSubjectForTask } from '../utils/subjects';
+import { buildSearchIndex, searchTasks } from '../utils/search';
+import { getPreferences, updatePreferences } from '../utils/preferences';
+import {
+    SORT_OPTIONS,
+    DEADLINE_RANGE_OPTIONS,
+    PRIORITY_FILTER_OPTIONS,
+    DEFAULT_TASK_FILTERS,
+    filterTasks,
+    sortTasks,
+    countActiveFilters
+} from '../utils/taskFilters';
 
 /**
  * Task List Screen Component
  * @param {object} navigation - React Navigation prop for screen navigation
+ * @param {object} route - Route prop; may carry a deletedTask/deletedIndex pair,
+ *   or a subjectId to show only that subject's tasks
  */
-const TaskListScreen = ({ navigation }) => {
+const TaskListScreen = ({ navigation, route }) => {
     // State for tasks
     const [tasks, setTasks] = useState([]);
+    const [subjects, setSubjects] = useState([]);
     const [refreshing, setRefreshing] = useState(false);
-    const [filter, setFilter] = useState('all'); // all, pending, completed
+    const [query, setQuery] = useState('');
+
+    // Sort and filters, restored from the last visit
+    const [sortMode, setSortMode] = useState(() => getPreferences().taskListSort);
+    const [filters, setFilters] = useState(() => ({
+        ...DEFAULT_TASK_FILTERS,
+        ...getPreferences().taskListFilters,
+    }));
+    const [showOptions, setShowOptions] = useState(false);
+
+    // Let typing stay responsive while a long list is being searched
+    const searchQuery = useDeferredValue(query);
+
+    // Most recently deleted task, kept so the delete can be undone
+    const [lastDeleted, setLastDeleted] = useState(null); // { task, index }
 
     /**
      * Load tasks from AsyncStorage
      */
     const loadTasks = async () => {
         try {
+            // Subjects first: the first load links older tasks to the catalogue
+            setSubjects(await getSubjects());
             const storedTasks = await getTasks();
-            // Sort tasks by priority (High > Medium > Low)
-            const sortedTasks = sortByPriority(storedTasks);
-            setTasks(sortedTasks);
+            setTasks(storedTasks);
         } catch (error) {
             console.error('Error loading tasks:', error);
         }
@@ -51,6 +94,54 @@ const TaskListScreen = ({ navigation }) => {
         }, [])
     );
 
+    // Show the undo snackbar for a task deleted from the detail screen
+    useEffect(() => {
+        const deletedTask = route.params?.deletedTask;
+        if (deletedTask) {
+            setLastDeleted({ task: deletedTask, index: route.params.deletedIndex });
+            navigation.setParams({ deletedTask: undefined, deletedIndex: undefined });
+        }
+    }, [route.params?.deletedTask]);
+
+    // Opened for one subject (e.g. from the progress breakdown): show all of its tasks
+    useEffect(() => {
+        const subjectId = route.params?.subjectId;
+        if (subjectId) {
+            handleFilterChange({ ...DEFAULT_TASK_FILTERS, subjectId });
+            navigation.setParams({ subjectId: undefined });
+        }
+    }, [route.params?.subjectId]);
+
+    /**
+     * Change some filters and remember them for next time
+     * @param {object} changes - Filter fields to change
+     */
+    const handleFilterChange = (changes) => {
+        const updated = { ...filters, ...changes };
+        setFilters(updated);
+        updatePreferences({ taskListFilters: updated });
+    };
+
+    /**
+     * Change the sort order and remember it for next time
+     * @param {string} mode - Sort mode from SORT_OPTIONS
+     */
+    const handleSortChange = (mode) => {
+        setSortMode(mode);
+        updatePreferences({ taskListSort: mode });
+    };
+
+    /**
+     * Clear the subject, priority and deadline filters
+     */
+    const handleResetFilters = () => {
+        handleFilterChange({
+            subjectId: DEFAULT_TASK_FILTERS.subjectId,
+            priority: DEFAULT_TASK_FILTERS.priority,
+            deadlineRange: DEFAULT_TASK_FILTERS.deadlineRange,
+        });
+    };
+
     /**
      * Handle pull-to-refresh
      */
@@ -69,7 +160,7 @@ const TaskListScreen = ({ navigation }) => {
             // Find the task and toggle its completed status
             const task = tasks.find(t => t.id === taskId);
             if (task) {
-                const success = await updateTask(taskId, { completed: !task.completed });
+                const success = await setTaskCompleted(taskId, !task.completed);
                 if (success) {
                     // Reload tasks to reflect changes
                     await loadTasks();
@@ -81,21 +172,122 @@ const TaskListScreen = ({ navigation }) => {
     };
 
     /**
-     * Filter tasks based on selected filter
-     * @returns {Array} - Filtered tasks array
+     * Tick or untick a checklist step; the parent completes when all steps are done
+     * @param {string} taskId - ID of the parent task
+     * @param {string} subtaskId - ID of the subtask to toggle
      */
-    const getFilteredTasks = () => {
-        switch (filter) {
-            case 'pending':
-                return tasks.filter(t => !t.completed);
-            case 'completed':
-                return tasks.filter(t => t.completed);
-            default:
-                return tasks;
+    const handleToggleSubtask = async (taskId, subtaskId) => {
+        try {
+            const task = tasks.find(t => t.id === taskId);
+            if (task) {
+                const { completed, subtasks } = toggleSubtask(task, subtaskId);
+                const success = await setTaskCompleted(taskId, completed, { subtasks });
+                if (success) {
+                    await loadTasks();
+                }
+            }
+        } catch (error) {
+            console.error('Error toggling subtask:', error);
         }
     };
 
-    const filteredTasks = getFilteredTasks();
+    /**
+     * Delete a task and offer to undo it
+     * @param {string} taskId - ID of the task to delete
+     */
+    const handleDelete = async (taskId) => {
+        try {
+            // Remember the task and its storage position for undo
+            const storedTasks = await getTasks();
+            const index = storedTasks.findIndex(t => t.id === taskId);
+            if (index === -1) {
+                return;
+            }
+
+            const success = await deleteTask(taskId);
+            if (success) {
+                setLastDeleted({ task: storedTasks[index], index });
+                await loadTasks();
+            }
+        } catch (error) {
+            console.error('Error deleting task:', error);
+        }
+    };
+
+    /**
+     * Undo the most recent delete, restoring the task exactly as it was
+     */
+    const handleUndoDelete = async () => {
+        if (!lastDeleted) {
+            return;
+        }
+
+        try {
+            const success = await restoreTask(lastDeleted.task, lastDeleted.index);
+            setLastDeleted(null);
+            if (success) {
+                await loadTasks();
+            } else {
+                Alert.alert('Error', 'Failed to restore task. Please try again.');
+            }
+        } catch (error) {
+            console.error('Error restoring task:', error);
+        }
+    };
+
+    /**
+     * Ask for confirmation, then remove every task
+     */
+    const handleClearAll = () => {
+        Alert.alert(
+            'Clear All Tasks?',
+            'This will permanently delete all of your study tasks. This cannot be undone.',
+            [
+                { text: 'Cancel', style: 'cancel' },
+                {
+                    text: 'Delete All',
+                    style: 'destructive',
+                    onPress: async () => {
+                        const success = await clearAllTasks();
+                        if (success) {
+                            setLastDeleted(null);
+                            await loadTasks();
+                        } else {
+                            Alert.alert('Error', 'Failed to clear tasks. Please try again.');
+                        }
+                    },
+                },
+            ]
+        );
+    };
+
+    // Folded search text is rebuilt only when the tasks change
+    const searchIndex = useMemo(() => buildSearchIndex(tasks), [tasks]);
+    const matchingTasks = useMemo(
+        () => searchTasks(searchIndex, searchQuery),
+        [searchIndex, searchQuery]
+    );
+    const isSearching = searchQuery.trim().length > 0;
+    const activeFilterCount = countActiveFilters(filters);
+    const { weekStartsOn } = getPreferences();
+
+    // Search results narrowed by subject, priority and deadline
+    const narrowedTasks = useMemo(
+        () => filterTasks(matchingTasks, { ...filters, status: 'all' }, weekStartsOn),
+        [matchingTasks, filters, weekStartsOn]
+    );
+
+    // Then by status, in the chosen order
+    const filteredTasks = useMemo(
+        () => sortTasks(filterTasks(narrowedTasks, { status: filters.status }), sortMode),
+        [narrowedTasks, filters.status, sortMode]
+    );
+
+    // Subjects offered as filters: active ones, plus the selected one if archived
+    const subjectOptions = subjects.filter(
+        subject => !subject.archived || subject.id === filters.subjectId
+    );
+    const sortLabel = (SORT_OPTIONS.find(option => option.value === sortMode) || SORT_OPTIONS[0]).label;
 
     /**
      * Render individual task card
@@ -103,33 +295,58 @@ const TaskListScreen = ({ navigation }) => {
     const renderTaskCard = ({ item }) => (
         <TaskCard
             task={item}
+            subjectInfo={getSubjectForTask(subjects, item)}
+            highlight={searchQuery}
             onToggleComplete={handleToggleComplete}
-            onPress={() => {
-                // Could navigate to task details screen if needed
-                console.log('Task pressed:', item.id);
-            }}
+            onPress={() => navigation.navigate('TaskDetail', { taskId: item.id })}
+            onDelete={handleDelete}
+            onToggleSubtask={handleToggleSubtask}
+            onStartFocus={(taskId) => navigation.navigate('FocusTimer', { taskId })}
         />
     );
 
     /**
      * Render empty state when no tasks exist
      */
-    const renderEmptyState = () => (
+    const renderEmptyState = () => isSearching ? (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>🔍</Text>
+            <Text style={styles.emptyTitle}>No matching tasks</Text>
+            <Text style={styles.emptySubtext}>
+                Nothing matches "{searchQuery.trim()}"
+                {filters.status !== 'all' || activeFilterCount > 0 ? ' with these filters' : ''}
+            </Text>
+        </View>
+    ) : activeFilterCount > 0 ? (
+        <View style={styles.emptyContainer}>
+            <Text style={styles.emptyIcon}>🗂️</Text>
+            <Text style={styles.emptyTitle}>No tasks match your filters</Text>
+            <Text style={styles.emptySubtext}>
+                Try a different subject, priority or deadline
+            </Text>
+            <Button
+                title="Reset Filters"
+                onPress={handleResetFilters}
+                variant="outline"
+                style={styles.emptyButton}
+            />
+        </View>
+    ) : (
         <View style={styles.emptyContainer}>
             <Text style={styles.emptyIcon}>📋</Text>
             <Text style={styles.emptyTitle}>
-                {filter === 'all'
+                {filters.status === 'all'
                     ? 'No tasks yet!'
-                    : filter === 'pending'
+                    : filters.status === 'pending'
                         ? 'No pending tasks!'
                         : 'No completed tasks!'}
             </Text>
             <Text style={styles.emptySubtext}>
-                {filter === 'all'
+                {filters.status === 'all'
                     ? 'Start by adding your first study task'
                     : 'Try changing the filter to see other tasks'}
             </Text>
-            {filter === 'all' && (
+            {filters.status === 'all' && (
                 <Button
                     title="Add Your First Task"
                     onPress={() => navigation.navigate('AddTask')}
@@ -139,9 +356,9 @@ const TaskListScreen = ({ navigation }) => {
         </View>
     );
 
-    // Count tasks for filter badges
-    const pendingCount = tasks.filter(t => !t.completed).length;
-    const completedCount = tasks.filter(t => t.completed).length;
+    // Count filtered results for the status badges
+    const pendingCount = narrowedTasks.filter(t => !t.completed).length;
+    const completedCount = narrowedTasks.filter(t => t.completed).length;
 
     return (
         <View style={styles.container}>
@@ -149,32 +366,159 @@ const TaskListScreen = ({ navigation }) => {
 
             {/* Header */}
             <View style={styles.header}>
-                <Text style={styles.title}>Your Tasks 📚</Text>
-                <Text style={styles.subtitle}>
-                    {tasks.length} {tasks.length === 1 ? 'task' : 'tasks'} total
-                </Text>
+                <View style={styles.headerText}>
+                    <Text style={styles.title}>Your Tasks 📚</Text>
+                    <Text style={styles.subtitle}>
+                        {tasks.length} {tasks.length === 1 ? 'task' : 'tasks'} total
+                    </Text>
+                </View>
+                {tasks.length > 0 && (
+                    <TouchableOpacity onPress={handleClearAll} style={styles.clearButton}>
+                        <Text style={styles.clearButtonText}>Clear All</Text>
+                    </TouchableOpacity>
+                )}
             </View>
 
+            {/* Search Bar */}
+            {tasks.length > 0 && (
+                <View style={styles.searchContainer}>
+                    <View style={styles.searchBar}>
+                        <Text style={styles.searchIcon}>🔍</Text>
+                        <TextInput
+                            style={styles.searchInput}
+                            placeholder="Search subjects, topics and notes"
+                            placeholderTextColor="#A0AEC0"
+                            value={query}
+                            onChangeText={setQuery}
+                            autoCorrect={false}
+                            returnKeyType="search"
+                        />
+                        {query.length > 0 && (
+                            <TouchableOpacity
+                                onPress={() => setQuery('')}
+                                style={styles.searchClear}
+                                accessibilityLabel="Clear search"
+                            >
+                                <Text style={styles.searchClearText}>✕</Text>
+                            </TouchableOpacity>
+                        )}
+                    </View>
+                </View>
+            )}
+
+            {/* Sort & Filter Toolbar */}
+            {tasks.length > 0 && (
+                <View style={styles.toolbar}>
+                    <TouchableOpacity
+                        style={styles.toolbarButton}
+                        onPress={() => setShowOptions(!showOptions)}
+                    >
+                        <Text style={styles.toolbarText}>↕ Sort: {sortLabel}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        style={[styles.toolbarButton, activeFilterCount > 0 && styles.toolbarButtonActive]}
+                        onPress={() => setShowOptions(!showOptions)}
+                    >
+                        <Text style={[styles.toolbarText, activeFilterCount > 0 && styles.toolbarTextActive]}>
+                            Filters{activeFilterCount > 0 ? ` (${activeFilterCount})` : ''} {showOptions ? '▴' : '▾'}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            )}
+
+            {/* Sort & Filter Options */}
+            {tasks.length > 0 && showOptions && (
+                <View style={styles.optionsPanel}>
+                    <Text style={styles.optionsLabel}>Sort by</Text>
+                    <View style={styles.chipRow}>
+                        {SORT_OPTIONS.map((option) => (
+                            <Chip
+                                key={option.value}
+                                label={option.label}
+                                active={sortMode === option.value}
+                                onPress={() => handleSortChange(option.value)}
+                            />
+                        ))}
+                    </View>
+
+                    {subjectOptions.length > 0 && (
+                        <View>
+                            <Text style={styles.optionsLabel}>Subject</Text>
+                            <ScrollView
+                                horizontal
+                                showsHorizontalScrollIndicator={false}
+                                contentContainerStyle={styles.chipScroll}
+                            >
+                                <Chip
+                                    label="All"
+                                    active={!filters.subjectId}
+                                    onPress={() => handleFilterChange({ subjectId: null })}
+                                />
+                                {subjectOptions.map((subject) => (
+                                    <Chip
+                                        key={subject.id}
+                                        label={subject.name}
+                                        color={subject.color}
+                                        active={filters.subjectId === subject.id}
+                                        onPress={() => handleFilterChange({ subjectId: subject.id })}
+                                    />
+                                ))}
+                            </ScrollView>
+                        </View>
+                    )}
+
+                    <Text style={styles.optionsLabel}>Priority</Text>
+                    <View style={styles.chipRow}>
+                        {PRIORITY_FILTER_OPTIONS.map((option) => (
+                            <Chip
+                                key={option.label}
+                                label={option.label}
+                                active={filters.priority === option.value}
+                                onPress={() => handleFilterChange({ priority: option.value })}
+                            />
+                        ))}
+                    </View>
+
+                    <Text style={styles.optionsLabel}>Deadline</Text>
+                    <View style={styles.chipRow}>
+                        {DEADLINE_RANGE_OPTIONS.map((option) => (
+                            <Chip
+                                key={option.value}
+                                label={option.label}
+                                active={filters.deadlineRange === option.value}
+                                onPress={() => handleFilterChange({ deadlineRange: option.value })}
+                            />
+                        ))}
+                    </View>
+
+                    {activeFilterCount > 0 && (
+                        <TouchableOpacity onPress={handleResetFilters} style={styles.resetLink}>
+                            <Text style={styles.resetLinkText}>Reset filters</Text>
+                        </TouchableOpacity>
+                    )}
+                </View>
+            )}
+
             {/* Filter Tabs */}
             <View style={styles.filterContainer}>
                 <View style={styles.filterTabs}>
                     <FilterTab
                         label="All"
-                        count={tasks.length}
-                        active={filter === 'all'}
-                        onPress={() => setFilter('all')}
+                        count={narrowedTasks.length}
+                        active={filters.status === 'all'}
+                        onPress={() => handleFilterChange({ status: 'all' })}
                     />
                     <FilterTab
                         label="Pending"
                         count={pendingCount}
-                        active={filter === 'pending'}
-                        onPress={() => setFilter('pending')}
+                        active={filters.status === 'pending'}
+                        onPress={() => handleFilterChange({ status: 'pending' })}
                     />
                     <FilterTab
                         label="Done"
                         count={completedCount}
-                        active={filter === 'completed'}
-                        onPress={() => setFilter('completed')}
+                        active={filters.status === 'completed'}
+                        onPress={() => handleFilterChange({ status: 'completed' })}
                     />
                 </View>
             </View>
@@ -186,6 +530,7 @@ const TaskListScreen = ({ navigation }) => {
                 keyExtractor={(item) => item.id}
                 contentContainerStyle={styles.listContent}
                 showsVerticalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
                 ListEmptyComponent={renderEmptyState}
                 refreshControl={
                     <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
@@ -202,6 +547,16 @@ const TaskListScreen = ({ navigation }) => {
                     />
                 </View>
             )}
+
+            {/* Undo Delete Snackbar */}
+            <Snackbar
+                visible={!!lastDeleted}
+                message={lastDeleted ? `Deleted "${lastDeleted.task.topic}"` : ''}
+                actionLabel="Undo"
+                onAction={handleUndoDelete}
+                onDismiss={() => setLastDeleted(null)}
+                style={tasks.length > 0 && styles.snackbarAboveFab}
+            />
         </View>
     );
 };
@@ -229,16 +584,48 @@ const FilterTab = ({ label, count, active, onPress }) => (
     </View>
 );
 
+/**
+ * Chip Component
+ * Used for the sort and filter options
+ */
+const Chip = ({ label, active, color, onPress }) => (
+    <TouchableOpacity
+        style={[styles.chip, active && styles.chipActive]}
+        onPress={onPress}
+    >
+        {color ? <View style={[styles.chipDot, { backgroundColor: color }]} /> : null}
+        <Text style={[styles.chipText, active && styles.chipTextActive]} numberOfLines={1}>
+            {label}
+        </Text>
+    </TouchableOpacity>
+);
+
 const styles = StyleSheet.create({
     container: {
         flex: 1,
         backgroundColor: '#F7FAFC',
     },
     header: {
+        flexDirection: 'row',
+        alignItems: 'center',
         paddingHorizontal: 24,
         paddingTop: 20,
         paddingBottom: 8,
     },
+    headerText: {
+        flex: 1,
+    },
+    clearButton: {
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 8,
+        backgroundColor: '#FFF5F5',
+    },
+    clearButtonText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#FF4757',
+    },
     title: {
         fontSize: 28,
         fontWeight: '700',
@@ -249,6 +636,123 @@ const styles = StyleSheet.create({
         color: '#718096',
         marginTop: 4,
     },
+    searchContainer: {
+        paddingHorizontal: 24,
+        paddingTop: 12,
+    },
+    searchBar: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: '#FFFFFF',
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        borderRadius: 12,
+        paddingHorizontal: 12,
+    },
+    searchIcon: {
+        fontSize: 14,
+        marginRight: 8,
+    },
+    searchInput: {
+        flex: 1,
+        paddingVertical: 10,
+        fontSize: 15,
+        color: '#2D3748',
+    },
+    searchClear: {
+        padding: 6,
+    },
+    searchClearText: {
+        fontSize: 14,
+        color: '#A0AEC0',
+    },
+    toolbar: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        paddingHorizontal: 24,
+        paddingTop: 12,
+    },
+    toolbarButton: {
+        paddingVertical: 6,
+        paddingHorizontal: 10,
+        borderRadius: 8,
+        backgroundColor: '#E2E8F0',
+    },
+    toolbarButtonActive: {
+        backgroundColor: '#FFFFFF',
+    },
+    toolbarText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    toolbarTextActive: {
+        color: '#4A90E2',
+    },
+    optionsPanel: {
+        marginHorizontal: 24,
+        marginTop: 12,
+        padding: 16,
+        backgroundColor: '#FFFFFF',
+        borderRadius: 16,
+        elevation: 2,
+        shadowColor: '#000',
+        shadowOffset: { width: 0, height: 2 },
+        shadowOpacity: 0.08,
+        shadowRadius: 6,
+    },
+    optionsLabel: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#A0AEC0',
+        marginBottom: 8,
+    },
+    chipRow: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginBottom: 8,
+    },
+    chipScroll: {
+        paddingBottom: 8,
+    },
+    chip: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 16,
+        borderWidth: 1,
+        borderColor: '#E2E8F0',
+        marginRight: 8,
+        marginBottom: 8,
+        maxWidth: 160,
+    },
+    chipActive: {
+        backgroundColor: '#4A90E2',
+        borderColor: '#4A90E2',
+    },
+    chipDot: {
+        width: 8,
+        height: 8,
+        borderRadius: 4,
+        marginRight: 6,
+    },
+    chipText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#4A5568',
+    },
+    chipTextActive: {
+        color: '#FFFFFF',
+    },
+    resetLink: {
+        alignSelf: 'flex-start',
+    },
+    resetLinkText: {
+        fontSize: 13,
+        fontWeight: '600',
+        color: '#FF4757',
+    },
     filterContainer: {
         paddingHorizontal: 24,
         paddingVertical: 16,
@@ -339,6 +843,9 @@ const styles = StyleSheet.create({
         shadowRadius: 10,
         elevation: 8,
     },
+    snackbarAboveFab: {
+        bottom: 96,
+    },
 });
 
 export default TaskListScreen;
@@ -0,0 +1,366 @@
+/**
+ * auth.js - Local Account Management
+ *
+ * Stores user accounts on the device with salted, key-stretched password
+ * hashes (the password itself is never saved), checks credentials on
+ * sign-in and locks an email for a while after repeated failed sign-ins
+ * (whether or not it has an account, so lockouts don't reveal which do).
+ *
+ * Signing in or creating an account makes it the active profile, points
+ * task storage at that profile's namespace and starts a session that lets
+ * the app skip the login screen until it expires or the user signs out.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { generateId, isValidEmail } from './helpers';
+import { setStorageNamespace } from './storage';
+import { loadPreferences } from './preferences';
+import { ensureSubjectCatalogue } from './subjects';
+
+// Key used to store accounts in AsyncStorage
+const ACCOUNTS_STORAGE_KEY = '@smart_study_planner_accounts';
+
+// Key used to store the signed-in session
+const SESSION_STORAGE_KEY = '@smart_study_planner_session';
+
+// Key used to store failed sign-in attempts, by normalised email
+const SIGN_IN_ATTEMPTS_STORAGE_KEY = '@smart_study_planner_sign_in_attempts';
+
+// How long a session stays valid after signing in
+export const SESSION_DAYS = 14;
+
+// Random salt length in bytes
+const SALT_BYTES = 16;
+
+// SHA-256 rounds applied to each password (stored per account so it can be raised later).
+// expo-crypto only digests asynchronously, so each round is a native call and
+// hashing takes a noticeable moment; sign-in and sign-up show a loading button meanwhile.
+const HASH_ITERATIONS = 1000;
+
+// Salt hashed against for unknown emails, so they take as long to reject as wrong passwords
+const UNKNOWN_ACCOUNT_SALT = '0'.repeat(SALT_BYTES * 2);
+
+// Failed sign-ins allowed for an email before it is locked
+export const MAX_FAILED_ATTEMPTS = 5;
+
+// How long a locked email stays locked
+export const LOCKOUT_MINUTES = 5;
+
+// Shown for an unknown email and a wrong password alike, so sign-in
+// doesn't reveal which emails have accounts
+const INVALID_CREDENTIALS_ERROR = 'Incorrect email or password';
+
+// Minimum length for new passwords
+export const PASSWORD_MIN_LENGTH = 8;
+
+// Profile currently signed in (public fields only)
+let activeAccount = null;
+
+/**
+ * Convert bytes to a hex string
+ * @param {Uint8Array} bytes - Bytes to convert
+ * @returns {string} - Lower-case hex
+ */
+const toHex = (bytes) =>
+    Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Hash a password with a salt using iterated SHA-256
+ * Each round awaits a native digest, so expect this to take a moment
+ * (HASH_ITERATIONS round trips) - callers should show progress.
+ * @param {string} password - Plain-text password
+ * @param {string} salt - Hex salt
+ * @param {number} iterations - Number of hashing rounds
+ * @returns {Promise<string>} - Hex digest
+ */
+const hashPassword = async (password, salt, iterations) => {
+    let digest = `${salt}:${password}`;
+    for (let i = 0; i < iterations; i++) {
+        digest = await Crypto.digestStringAsync(
+            Crypto.CryptoDigestAlgorithm.SHA256,
+            `${salt}${digest}`
+        );
+    }
+    return digest;
+};
+
+/**
+ * Normalise an email so lookups ignore case and stray spaces
+ * @param {string} email - Email as typed
+ * @returns {string} - Normalised email
+ */
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+/**
+ * Strip secrets from a stored account before handing it to screens
+ * @param {object} account - Stored account
+ * @returns {object} - { id, name, email, createdAt }
+ */
+const toPublicAccount = ({ id, name, email, createdAt }) => ({ id, name, email, createdAt });
+
+/**
+ * Read all stored accounts
+ * @returns {Promise<Array>} - Stored accounts (empty array if none)
+ */
+const readAccounts = async () => {
+    const jsonValue = await AsyncStorage.getItem(ACCOUNTS_STORAGE_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : [];
+};
+
+/**
+ * Write all accounts back to storage
+ * @param {Array} accounts - Accounts to store
+ */
+const writeAccounts = async (accounts) => {
+    await AsyncStorage.setItem(ACCOUNTS_STORAGE_KEY, JSON.stringify(accounts));
+};
+
+/**
+ * Read failed sign-in attempts
+ * @returns {Promise<object>} - { [email]: { failedAttempts, lockedUntil } }
+ */
+const readSignInAttempts = async () => {
+    const jsonValue = await AsyncStorage.getItem(SIGN_IN_ATTEMPTS_STORAGE_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+};
+
+/**
+ * Write failed sign-in attempts back to storage
+ * @param {object} attempts - Attempts by normalised email
+ */
+const writeSignInAttempts = async (attempts) => {
+    await AsyncStorage.setItem(SIGN_IN_ATTEMPTS_STORAGE_KEY, JSON.stringify(attempts));
+};
+
+/**
+ * Get every profile stored on this device
+ * @returns {Promise<Array>} - Public account objects, oldest first
+ */
+export const getAccounts = async () => {
+    try {
+        return (await readAccounts()).map(toPublicAccount);
+    } catch (error) {
+        console.error('Error getting accounts:', error);
+        return [];
+    }
+};
+
+/**
+ * Get the signed-in profile
+ * @returns {object|null} - Public account object, or null when signed out
+ */
+export const getActiveAccount = () => activeAccount;
+
+/**
+ * Make an account the active profile, switch storage to its namespace
+ * and make sure it has a subject catalogue
+ * @param {object} account - Public account object
+ */
+const activateAccount = async (account) => {
+    activeAccount = account;
+    await setStorageNamespace(account.id);
+    await ensureSubjectCatalogue();
+    await loadPreferences();
+};
+
+/**
+ * Persist a new session for an account
+ * @param {object} account - Public account object
+ */
+const startSession = async (account) => {
+    const session = {
+        accountId: account.id,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    };
+    await AsyncStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+};
+
+/**
+ * Resume the saved session if it is still valid
+ * Expired sessions, or ones whose account no longer exists, are cleared.
+ * @returns {Promise<object|null>} - Signed-in account, or null if the user must log in
+ */
+export const restoreSession = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(SESSION_STORAGE_KEY);
+        if (jsonValue == null) {
+            return null;
+        }
+
+        const session = JSON.parse(jsonValue);
+        const account = (await readAccounts()).find(item => item.id === session.accountId);
+        if (!account || !(new Date(session.expiresAt) > new Date())) {
+            await AsyncStorage.removeItem(SESSION_STORAGE_KEY);
+            return null;
+        }
+
+        await activateAccount(toPublicAccount(account));
+        return toPublicAccount(account);
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        return null;
+    }
+};
+
+/**
+ * Sign out: end the session and stop reading the profile's data
+ * @returns {Promise<boolean>} - Returns true if sign-out was successful
+ */
+export const signOut = async () => {
+    try {
+        await AsyncStorage.removeItem(SESSION_STORAGE_KEY);
+        activeAccount = null;
+        await setStorageNamespace(null);
+        await loadPreferences();
+        return true;
+    } catch (error) {
+        console.error('Error signing out:', error);
+        return false;
+    }
+};
+
+/**
+ * Validate a new password
+ * @param {string} password - Password to check
+ * @returns {string} - Error message, or '' if the password is acceptable
+ */
+export const validatePassword = (password) => {
+    if (!password) {
+        return 'Password is required';
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+    }
+    if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+        return 'Password must contain a letter and a number';
+    }
+    return '';
+};
+
+/**
+ * Create a new local account
+ * @param {object} details - { name, email, password }
+ * @returns {Promise<{account: object|null, error: string}>} - New account, or an error message
+ */
+export const createAccount = async ({ name, email, password }) => {
+    try {
+        if (!name.trim()) {
+            return { account: null, error: 'Name is required' };
+        }
+        if (!isValidEmail(email.trim())) {
+            return { account: null, error: 'Please enter a valid email' };
+        }
+        const passwordError = validatePassword(password);
+        if (passwordError) {
+            return { account: null, error: passwordError };
+        }
+
+        const accounts = await readAccounts();
+        const normalizedEmail = normalizeEmail(email);
+        if (accounts.some(account => account.email === normalizedEmail)) {
+            return { account: null, error: 'An account with this email already exists' };
+        }
+
+        const salt = toHex(await Crypto.getRandomBytesAsync(SALT_BYTES));
+        const account = {
+            id: generateId(),
+            name: name.trim(),
+            email: normalizedEmail,
+            salt,
+            iterations: HASH_ITERATIONS,
+            passwordHash: await hashPassword(password, salt, HASH_ITERATIONS),
+            createdAt: new Date().toISOString(),
+        };
+
+        await writeAccounts([...accounts, account]);
+        await activateAccount(toPublicAccount(account));
+        await startSession(account);
+        return { account: toPublicAccount(account), error: '' };
+    } catch (error) {
+        console.error('Error creating account:', error);
+        return { account: null, error: 'Could not create the account. Please try again.' };
+    }
+};
+
+/**
+ * Describe the time left on a lockout
+ * @param {string} lockedUntil - ISO time the lock ends
+ * @returns {string} - e.g. "3 minutes"
+ */
+const describeLockout = (lockedUntil) => {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil) - Date.now()) / 60000));
+    return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+};
+
+/**
+ * Check credentials and sign in
+ * Failed sign-ins count towards a temporary lockout of the email, whether
+ * or not an account uses it.
+ * @param {string} email - Account email
+ * @param {string} password - Plain-text password
+ * @returns {Promise<{account: object|null, error: string}>} - Signed-in account, or an error message
+ */
+export const signIn = async (email, password) => {
+    try {
+        const normalizedEmail = normalizeEmail(email);
+        const attempts = await readSignInAttempts();
+        const record = attempts[normalizedEmail];
+
+        // Still locked from earlier failures
+        if (record && record.lockedUntil && new Date(record.lockedUntil) > new Date()) {
+            return {
+                account: null,
+                error: `Too many failed attempts. Try again in ${describeLockout(record.lockedUntil)}.`,
+            };
+        }
+
+        const accounts = await readAccounts();
+        const index = accounts.findIndex(account => account.email === normalizedEmail);
+        const account = accounts[index];
+
+        // Unknown emails are hashed too, so they aren't rejected noticeably faster
+        const passwordHash = account
+            ? await hashPassword(password, account.salt, account.iterations)
+            : await hashPassword(password, UNKNOWN_ACCOUNT_SALT, HASH_ITERATIONS);
+
+        if (!account || passwordHash !== account.passwordHash) {
+            const failedAttempts = (record && !record.lockedUntil ? record.failedAttempts : 0) + 1;
+            const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+            attempts[normalizedEmail] = {
+                failedAttempts: locked ? 0 : failedAttempts,
+                lockedUntil: locked
+                    ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+                    : null,
+            };
+            await writeSignInAttempts(attempts);
+
+            if (locked) {
+                return {
+                    account: null,
+                    error: `Too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes.`,
+                };
+            }
+
+            return { account: null, error: INVALID_CREDENTIALS_ERROR };
+        }
+
+        // Correct password - clear any failure history
+        if (record) {
+            delete attempts[normalizedEmail];
+            await writeSignInAttempts(attempts);
+        }
+
+        accounts[index] = { ...account, lastSignInAt: new Date().toISOString() };
+        await writeAccounts(accounts);
+        await activateAccount(toPublicAccount(account));
+        await startSession(account);
+
+        return { account: toPublicAccount(account), error: '' };
+    } catch (error) {
+        console.error('Error signing in:', error);
+        return { account: null, error: 'Could not sign in. Please try again.' };
+    }
+};
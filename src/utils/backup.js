@@ -0,0 +1,279 @@
+/**
+ * backup.js - JSON Backup Export and Restore
+ *
+ * Exports every stored task, along with the subject catalogue and exams, to a
+ * versioned JSON file that can be shared off the device, and
+ * validates/previews/applies such a file on restore.
+ */
+
+import {
+    getTasks,
+    saveTasks,
+    migrateTaskList,
+    SCHEMA_VERSION
+} from './storage';
+import { getSubjects, saveSubjects, planSubjectRestore } from './subjects';
+import { getExams, saveExams, planExamRestore } from './exams';
+import { shareTextFile, pickTextFile, getFileDateStamp } from './fileShare';
+
+// Identifies files written by this app
+export const BACKUP_FORMAT = 'smart-study-planner-backup';
+
+// Version of the backup file layout (separate from the task schema version)
+// v2 adds the subject catalogue and exams; v1 files are still read.
+export const BACKUP_VERSION = 2;
+
+/**
+ * Build the backup document for a list of tasks
+ * @param {Array} tasks - Tasks to include
+ * @param {Array} subjects - Subject catalogue to include
+ * @param {Array} exams - Exams to include
+ * @returns {Object} - Backup document
+ */
+export const buildBackup = (tasks, subjects = [], exams = []) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    taskCount: tasks.length,
+    tasks,
+    subjects,
+    exams,
+});
+
+/**
+ * Export all tasks to a JSON file and open the share sheet
+ * @returns {Promise<boolean>} - Returns true if the file was shared
+ */
+export const exportBackup = async () => {
+    try {
+        const tasks = await getTasks();
+        const subjects = await getSubjects();
+        const exams = await getExams();
+        const json = JSON.stringify(buildBackup(tasks, subjects, exams), null, 2);
+        return await shareTextFile(
+            `smart-study-planner-backup-${getFileDateStamp()}.json`,
+            json,
+            {
+                mimeType: 'application/json',
+                uti: 'public.json',
+                dialogTitle: 'Save your study planner backup',
+            }
+        );
+    } catch (error) {
+        console.error('Error exporting backup:', error);
+        return false;
+    }
+};
+
+/**
+ * Check that a value looks like a stored task
+ * @param {Object} task - Candidate task
+ * @returns {boolean} - True if the core fields are present
+ */
+const isValidTask = (task) =>
+    !!task &&
+    typeof task === 'object' &&
+    typeof task.id === 'string' &&
+    typeof task.subject === 'string' &&
+    typeof task.topic === 'string' &&
+    !isNaN(new Date(task.deadline).getTime());
+
+/**
+ * Check that a value looks like a stored subject
+ * @param {Object} subject - Candidate subject
+ * @returns {boolean} - True if the core fields are present
+ */
+const isValidSubject = (subject) =>
+    !!subject &&
+    typeof subject === 'object' &&
+    typeof subject.id === 'string' &&
+    typeof subject.name === 'string' &&
+    !!subject.name.trim();
+
+/**
+ * Check that a value looks like a stored exam
+ * @param {Object} exam - Candidate exam
+ * @returns {boolean} - True if the core fields are present
+ */
+const isValidExam = (exam) =>
+    !!exam &&
+    typeof exam === 'object' &&
+    typeof exam.id === 'string' &&
+    typeof exam.title === 'string' &&
+    typeof exam.subject === 'string' &&
+    !isNaN(new Date(exam.date).getTime());
+
+/**
+ * Parse and validate the contents of a backup file
+ * Tasks from older schema versions are upgraded to the current shape, and
+ * files from before subjects and exams were backed up get empty lists.
+ * @param {string} json - Raw file contents
+ * @returns {{backup: Object|null, error: string}} - Parsed backup, or an error message
+ */
+export const parseBackup = (json) => {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (error) {
+        return { backup: null, error: 'The file is not valid JSON.' };
+    }
+
+    if (!data || data.format !== BACKUP_FORMAT) {
+        return { backup: null, error: 'This file is not a Smart Study Planner backup.' };
+    }
+    if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+        return { backup: null, error: 'This backup was made by a newer version of the app.' };
+    }
+    if ((data.schemaVersion || 1) > SCHEMA_VERSION) {
+        return { backup: null, error: 'This backup uses a newer task format than this app supports.' };
+    }
+    if (!Array.isArray(data.tasks)) {
+        return { backup: null, error: 'The backup does not contain a task list.' };
+    }
+
+    const invalidCount = data.tasks.filter(task => !isValidTask(task)).length;
+    if (invalidCount > 0) {
+        return {
+            backup: null,
+            error: `${invalidCount} ${invalidCount === 1 ? 'task is' : 'tasks are'} missing required fields.`,
+        };
+    }
+
+    const ids = new Set(data.tasks.map(task => task.id));
+    if (ids.size !== data.tasks.length) {
+        return { backup: null, error: 'The backup contains duplicate task IDs.' };
+    }
+
+    const subjects = Array.isArray(data.subjects) ? data.subjects : [];
+    if (!subjects.every(isValidSubject)) {
+        return { backup: null, error: 'The backup contains subjects with missing names.' };
+    }
+
+    const exams = Array.isArray(data.exams) ? data.exams : [];
+    if (!exams.every(isValidExam)) {
+        return { backup: null, error: 'The backup contains exams with missing fields.' };
+    }
+
+    return {
+        backup: {
+            ...data,
+            tasks: migrateTaskList(data.tasks, data.schemaVersion || 1),
+            subjects,
+            exams,
+        },
+        error: '',
+    };
+};
+
+/**
+ * Let the user pick a backup file and validate it
+ * @returns {Promise<{backup: Object|null, error: string}|null>} - Parse result, or null if cancelled
+ */
+export const pickBackup = async () => {
+    try {
+        const file = await pickTextFile(['application/json', 'text/plain', '*/*']);
+        if (!file) {
+            return null;
+        }
+        return parseBackup(file.contents);
+    } catch (error) {
+        console.error('Error reading backup file:', error);
+        return { backup: null, error: 'The file could not be read.' };
+    }
+};
+
+/**
+ * Compare backup tasks against the current ones
+ * @param {Array} currentTasks - Tasks currently stored
+ * @param {Array} incomingTasks - Tasks from the backup
+ * @returns {Object} - { added, updated, unchanged, onlyLocal } arrays of tasks
+ */
+export const previewRestore = (currentTasks, incomingTasks) => {
+    const currentById = new Map(currentTasks.map(task => [task.id, task]));
+    const incomingIds = new Set(incomingTasks.map(task => task.id));
+
+    const preview = { added: [], updated: [], unchanged: [], onlyLocal: [] };
+
+    incomingTasks.forEach(task => {
+        const existing = currentById.get(task.id);
+        if (!existing) {
+            preview.added.push(task);
+        } else if (JSON.stringify(existing) !== JSON.stringify(task)) {
+            preview.updated.push(task);
+        } else {
+            preview.unchanged.push(task);
+        }
+    });
+
+    preview.onlyLocal = currentTasks.filter(task => !incomingIds.has(task.id));
+
+    return preview;
+};
+
+/**
+ * Combine the stored tasks with a backup's tasks
+ * @param {Array} incomingTasks - Tasks from the backup
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<Array>} - Tasks to store
+ */
+const getRestoredTasks = async (incomingTasks, mode) => {
+    if (mode === 'replace') {
+        return incomingTasks;
+    }
+
+    const currentTasks = await getTasks();
+    const incomingById = new Map(incomingTasks.map(task => [task.id, task]));
+    const currentIds = new Set(currentTasks.map(task => task.id));
+
+    return [
+        ...currentTasks.map(task => incomingById.get(task.id) || task),
+        ...incomingTasks.filter(task => !currentIds.has(task.id)),
+    ];
+};
+
+/**
+ * Apply a validated backup
+ * 'merge' keeps local-only tasks and overwrites matching IDs with the backup;
+ * 'replace' makes the stored tasks exactly the backup's tasks. Subjects
+ * follow the same mode (matched by name, see planSubjectRestore); the
+ * backup's exams are added and local-only ones are kept.
+ * Tasks are saved first; if the subjects or exams then fail to save, all
+ * three are put back as they were.
+ * @param {Object} backup - Parsed backup ({ tasks, subjects, exams })
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {Promise<boolean>} - Returns true if the restore was saved
+ */
+export const applyRestore = async (backup, mode) => {
+    try {
+        const previousTasks = await getTasks();
+        const previousSubjects = await getSubjects();
+        const previousExams = await getExams();
+
+        // Work everything out before writing anything
+        const tasks = await getRestoredTasks(backup.tasks, mode);
+        const subjectPlan = planSubjectRestore(previousSubjects, backup.subjects || [], tasks, mode);
+        const exams = (backup.exams || []).map(exam => (
+            subjectPlan.subjectIdMap[exam.subjectId]
+                ? { ...exam, subjectId: subjectPlan.subjectIdMap[exam.subjectId] }
+                : exam
+        ));
+        const examPlan = planExamRestore(previousExams, exams, subjectPlan.tasks);
+
+        if (!(await saveTasks(examPlan.tasks))) {
+            return false;
+        }
+        if ((await saveSubjects(subjectPlan.subjects)) && (await saveExams(examPlan.exams))) {
+            return true;
+        }
+
+        // Roll back so tasks never point at subjects or exams that weren't saved
+        await saveTasks(previousTasks);
+        await saveSubjects(previousSubjects);
+        await saveExams(previousExams);
+        return false;
+    } catch (error) {
+        console.error('Error restoring backup:', error);
+        return false;
+    }
+};
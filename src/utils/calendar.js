@@ -0,0 +1,77 @@
+/**
+ * calendar.js - Calendar Grid Helpers
+ *
+ * Builds the days shown in the month and week views and works out what
+ * is due on each of them. "Due on a day" uses the same rules as
+ * getTodaysTasks, so repeating tasks show on every day their rule lands on.
+ */
+
+import { startOfDay, addDays } from './recurrence';
+import { getTodaysTasks, getDayKey, sortByPriority } from './helpers';
+
+export const MONTH_LABELS = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+/**
+ * Get the first day of the week containing a date
+ * @param {Date} date - Any day in the week
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @returns {Date} - Start of the week (midnight)
+ */
+export const getWeekStart = (date, weekStartsOn = 0) => {
+    const day = startOfDay(date);
+    return addDays(day, -((day.getDay() - weekStartsOn + 7) % 7));
+};
+
+/**
+ * Get the seven days of the week containing a date
+ * @param {Date} date - Any day in the week
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @returns {Array<Date>} - Days in order
+ */
+export const getWeekDays = (date, weekStartsOn = 0) => {
+    const start = getWeekStart(date, weekStartsOn);
+    return Array.from({ length: 7 }, (_, offset) => addDays(start, offset));
+};
+
+/**
+ * Get the weeks shown for a month, padded with days from the months
+ * either side so every row is a full week
+ * @param {Date} date - Any day in the month
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @returns {Array<Array<Date>>} - Rows of seven days
+ */
+export const getMonthWeeks = (date, weekStartsOn = 0) => {
+    const firstOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    const lastOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+
+    const weeks = [];
+    let weekStart = getWeekStart(firstOfMonth, weekStartsOn);
+    while (weekStart <= lastOfMonth) {
+        weeks.push(getWeekDays(weekStart, weekStartsOn));
+        weekStart = addDays(weekStart, 7);
+    }
+    return weeks;
+};
+
+/**
+ * Work out what is due on each of a set of days
+ * @param {Array} tasks - Array of task objects
+ * @param {Array<Date>} days - Days to summarise
+ * @returns {object} - Map of day key to { tasks, pendingHours }
+ */
+export const summarizeDays = (tasks, days) => {
+    const summaries = {};
+    days.forEach(day => {
+        const dueTasks = sortByPriority(getTodaysTasks(tasks, day));
+        summaries[getDayKey(day)] = {
+            tasks: dueTasks,
+            pendingHours: dueTasks
+                .filter(task => !task.completed)
+                .reduce((sum, task) => sum + (Number(task.studyTime) || 0), 0),
+        };
+    });
+    return summaries;
+};
@@ -0,0 +1,190 @@
+/**
+ * csvImport.js - Bulk CSV Import of Study Tasks
+ *
+ * Parses a CSV file (e.g. a syllabus spreadsheet), maps its columns to
+ * task fields and validates each row with the same rules as the
+ * Add Task form, producing a per-row error report.
+ */
+
+import { createTask, validateTaskFields } from './helpers';
+
+// Task fields that can be mapped to a CSV column
+export const IMPORT_FIELDS = [
+    { key: 'subject', label: 'Subject', required: true },
+    { key: 'topic', label: 'Topic', required: true },
+    { key: 'studyTime', label: 'Study Time (hours)', required: true },
+    { key: 'deadline', label: 'Deadline', required: true },
+    { key: 'priority', label: 'Priority', required: false },
+    { key: 'notes', label: 'Notes', required: false },
+];
+
+// Header names recognised for each field when guessing the mapping
+const HEADER_ALIASES = {
+    subject: ['subject', 'course', 'module', 'class'],
+    topic: ['topic', 'title', 'task', 'chapter', 'description'],
+    studyTime: ['studytime', 'study time', 'hours', 'time', 'duration', 'estimate'],
+    deadline: ['deadline', 'due', 'due date', 'date', 'duedate'],
+    priority: ['priority', 'importance'],
+    notes: ['notes', 'note', 'comments', 'details'],
+};
+
+const PRIORITY_VALUES = ['Low', 'Medium', 'High'];
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells, escaped quotes ("") and CRLF/LF line endings.
+ * Blank lines are skipped.
+ * @param {string} text - Raw CSV text
+ * @returns {Array<Array<string>>} - Parsed rows
+ */
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark written by some spreadsheet apps
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endRow = () => {
+        row.push(cell);
+        if (row.some(value => value.trim() !== '')) {
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+
+    // Last row may not end with a newline
+    if (cell !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return rows;
+};
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {object} - Map of field key to column index (or null if not found)
+ */
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(header => header.trim().toLowerCase());
+    const mapping = {};
+
+    IMPORT_FIELDS.forEach(({ key }) => {
+        const index = normalized.findIndex(header => HEADER_ALIASES[key].includes(header));
+        mapping[key] = index === -1 ? null : index;
+    });
+
+    return mapping;
+};
+
+/**
+ * Parse a deadline cell
+ * Plain YYYY-MM-DD dates are read as local calendar days.
+ * @param {string} value - Cell text
+ * @returns {Date} - Parsed date (may be invalid)
+ */
+const parseDeadline = (value) => {
+    const trimmed = (value || '').trim();
+    const isoDate = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (isoDate) {
+        return new Date(Number(isoDate[1]), Number(isoDate[2]) - 1, Number(isoDate[3]));
+    }
+    return new Date(trimmed);
+};
+
+/**
+ * Normalise a priority cell to Low/Medium/High
+ * @param {string} value - Cell text
+ * @returns {string|null} - Priority, 'Medium' if blank, or null if unrecognised
+ */
+const parsePriority = (value) => {
+    const trimmed = (value || '').trim();
+    if (!trimmed) {
+        return 'Medium';
+    }
+    return PRIORITY_VALUES.find(option => option.toLowerCase() === trimmed.toLowerCase()) || null;
+};
+
+/**
+ * Validate data rows against a column mapping
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {object} mapping - Map of field key to column index
+ * @param {number} firstRowNumber - Spreadsheet row number of the first data row
+ * @returns {Array<object>} - One report per row: { rowNumber, errors, task }
+ */
+export const validateImportRows = (rows, mapping, firstRowNumber = 2) =>
+    rows.map((row, index) => {
+        const cell = (key) => (mapping[key] != null ? (row[mapping[key]] || '') : '');
+
+        const values = {
+            subject: cell('subject'),
+            topic: cell('topic'),
+            studyTime: cell('studyTime'),
+            deadline: parseDeadline(cell('deadline')),
+        };
+
+        // Same rules as the Add Task form
+        const errors = validateTaskFields(values);
+
+        const priority = parsePriority(cell('priority'));
+        if (!priority) {
+            errors.priority = 'Priority must be Low, Medium or High';
+        }
+
+        const messages = Object.values(errors);
+
+        return {
+            rowNumber: firstRowNumber + index,
+            errors: messages,
+            task: messages.length === 0
+                ? createTask({
+                    subject: values.subject.trim(),
+                    topic: values.topic.trim(),
+                    notes: cell('notes').trim(),
+                    studyTime: parseFloat(values.studyTime),
+                    deadline: values.deadline.toISOString(),
+                    priority,
+                })
+                : null,
+        };
+    });
+
+/**
+ * Check that every required field has a column
+ * @param {object} mapping - Map of field key to column index
+ * @returns {Array<string>} - Labels of required fields that are unmapped
+ */
+export const getMissingFields = (mapping) =>
+    IMPORT_FIELDS
+        .filter(field => field.required && mapping[field.key] == null)
+        .map(field => field.label);
@@ -0,0 +1,235 @@
+/**
+ * exams.js - Exams & Submissions
+ *
+ * Exams are stored once per profile with a title, subject, date and time,
+ * location and grade weight. Prep tasks point at an exam through `examId`;
+ * an exam's readiness is worked out from those tasks, so it always
+ * reflects the latest progress.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getTasks, saveTasks, getScopedKey } from './storage';
+import { generateId, getLoggedHours, formatTime } from './helpers';
+import { startOfDay } from './recurrence';
+
+// Key used to store exams in AsyncStorage (scoped per profile)
+const EXAMS_STORAGE_KEY = '@smart_study_planner_exams';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Check exam fields before saving
+ * @param {object} fields - { title, subject, date, weight }
+ * @returns {string} - Error message, or '' if the fields are valid
+ */
+export const validateExamFields = ({ title, subject, date, weight }) => {
+    if (!title || !title.trim()) {
+        return 'Exam title is required';
+    }
+    if (!subject || !subject.trim()) {
+        return 'Subject is required';
+    }
+    if (!date || isNaN(new Date(date).getTime())) {
+        return 'Please pick a date';
+    }
+    if (weight != null && (isNaN(weight) || weight < 0 || weight > 100)) {
+        return 'Weight must be between 0 and 100';
+    }
+    return '';
+};
+
+/**
+ * Save the exam list
+ * @param {Array} exams - Exams to store
+ * @returns {Promise<boolean>} - Returns true if save was successful
+ */
+export const saveExams = async (exams) => {
+    try {
+        await AsyncStorage.setItem(getScopedKey(EXAMS_STORAGE_KEY), JSON.stringify(exams));
+        return true;
+    } catch (error) {
+        console.error('Error saving exams:', error);
+        return false;
+    }
+};
+
+/**
+ * Get every exam, soonest first
+ * @returns {Promise<Array>} - Exams (past ones included)
+ */
+export const getExams = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(getScopedKey(EXAMS_STORAGE_KEY));
+        const exams = jsonValue != null ? JSON.parse(jsonValue) : [];
+        return exams.sort((a, b) => new Date(a.date) - new Date(b.date));
+    } catch (error) {
+        console.error('Error loading exams:', error);
+        return [];
+    }
+};
+
+/**
+ * Add an exam
+ * @param {object} fields - { title, subject, subjectId, date, location, weight }
+ * @returns {Promise<{exam: object|null, error: string}>} - New exam, or an error message
+ */
+export const addExam = async (fields) => {
+    const error = validateExamFields(fields);
+    if (error) {
+        return { exam: null, error };
+    }
+
+    const exam = {
+        id: generateId(),
+        subjectId: null,
+        location: '',
+        weight: null,
+        createdAt: new Date().toISOString(),
+        ...fields,
+        title: fields.title.trim(),
+        subject: fields.subject.trim(),
+    };
+    const success = await saveExams([...(await getExams()), exam]);
+    return success
+        ? { exam, error: '' }
+        : { exam: null, error: 'Failed to save the exam. Please try again.' };
+};
+
+/**
+ * Update an exam
+ * @param {string} examId - ID of the exam to update
+ * @param {object} updates - Fields to change
+ * @returns {Promise<{exam: object|null, error: string}>} - Updated exam, or an error message
+ */
+export const updateExam = async (examId, updates) => {
+    const exams = await getExams();
+    const current = exams.find(exam => exam.id === examId);
+    if (!current) {
+        return { exam: null, error: 'Exam not found' };
+    }
+
+    const exam = { ...current, ...updates };
+    const error = validateExamFields(exam);
+    if (error) {
+        return { exam: null, error };
+    }
+
+    exam.title = exam.title.trim();
+    exam.subject = exam.subject.trim();
+    const success = await saveExams(exams.map(item => (item.id === examId ? exam : item)));
+    return success
+        ? { exam, error: '' }
+        : { exam: null, error: 'Failed to save the exam. Please try again.' };
+};
+
+/**
+ * Delete an exam and unlink its prep tasks (the tasks are kept)
+ * @param {string} examId - ID of the exam to delete
+ * @returns {Promise<boolean>} - Returns true if the exam was deleted
+ */
+export const deleteExam = async (examId) => {
+    try {
+        const tasks = await getTasks();
+        if (tasks.some(task => task.examId === examId)) {
+            const unlinked = tasks.map(task => (task.examId === examId ? { ...task, examId: null } : task));
+            if (!(await saveTasks(unlinked))) {
+                return false;
+            }
+        }
+        return await saveExams((await getExams()).filter(exam => exam.id !== examId));
+    } catch (error) {
+        console.error('Error deleting exam:', error);
+        return false;
+    }
+};
+
+/**
+ * Work out the exam list after restoring a backup
+ * Backup exams replace local ones with the same ID; other local exams are
+ * kept. Tasks linked to an exam that doesn't exist afterwards are unlinked.
+ * @param {Array} currentExams - Exams on this device
+ * @param {Array} incomingExams - Exams from the backup
+ * @param {Array} tasks - Tasks about to be restored
+ * @returns {object} - { exams, tasks } to store
+ */
+export const planExamRestore = (currentExams, incomingExams, tasks) => {
+    const incomingIds = new Set(incomingExams.map(exam => exam.id));
+    const exams = [
+        ...currentExams.filter(exam => !incomingIds.has(exam.id)),
+        ...incomingExams,
+    ];
+
+    const examIds = new Set(exams.map(exam => exam.id));
+    return {
+        exams,
+        tasks: tasks.map(task => (
+            task.examId && !examIds.has(task.examId) ? { ...task, examId: null } : task
+        )),
+    };
+};
+
+/**
+ * Get the exams that have not started yet
+ * @param {Array} exams - Exam list
+ * @param {Date} now - Current time
+ * @returns {Array} - Upcoming exams, soonest first
+ */
+export const getUpcomingExams = (exams, now = new Date()) =>
+    exams
+        .filter(exam => new Date(exam.date) >= now)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+/**
+ * Describe how long until an exam
+ * @param {object} exam - Exam object
+ * @param {Date} now - Current time
+ * @returns {object} - { days, label } (days is negative once the exam has passed)
+ */
+export const getExamCountdown = (exam, now = new Date()) => {
+    const days = Math.round((startOfDay(exam.date) - startOfDay(now)) / MS_PER_DAY);
+    let label = `${days} days`;
+    if (new Date(exam.date) < now) {
+        label = 'Finished';
+    } else if (days === 0) {
+        label = `Today at ${formatTime(exam.date)}`;
+    } else if (days === 1) {
+        label = `Tomorrow at ${formatTime(exam.date)}`;
+    }
+    return { days, label };
+};
+
+/**
+ * Work out how ready you are for an exam from its prep tasks
+ * Readiness is the average of the share of prep tasks completed and the
+ * share of their planned hours studied (completed tasks count in full).
+ * Spaced-repetition reviews of a prep topic are left out.
+ * @param {object} exam - Exam object
+ * @param {Array} tasks - Array of task objects
+ * @returns {object} - { percent, taskCount, completedCount, hoursDone, hoursPlanned }
+ */
+export const getExamReadiness = (exam, tasks) => {
+    const prepTasks = tasks.filter(task => task.examId === exam.id && !task.review);
+    const completedCount = prepTasks.filter(task => task.completed).length;
+
+    let hoursPlanned = 0;
+    let hoursDone = 0;
+    prepTasks.forEach(task => {
+        const studyTime = Number(task.studyTime) || 0;
+        hoursPlanned += studyTime;
+        hoursDone += task.completed ? studyTime : Math.min(studyTime, getLoggedHours(task));
+    });
+
+    if (prepTasks.length === 0) {
+        return { percent: 0, taskCount: 0, completedCount: 0, hoursDone: 0, hoursPlanned: 0 };
+    }
+
+    const taskShare = completedCount / prepTasks.length;
+    const hourShare = hoursPlanned > 0 ? hoursDone / hoursPlanned : taskShare;
+    return {
+        percent: Math.round(((taskShare + hourShare) / 2) * 100),
+        taskCount: prepTasks.length,
+        completedCount,
+        hoursDone,
+        hoursPlanned,
+    };
+};
@@ -0,0 +1,72 @@
+/**
+ * fileShare.js - File Export/Import Helpers
+ *
+ * Small wrappers around the Expo file system, sharing and document
+ * picker modules, used by the backup and calendar export features.
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+/**
+ * Write text to a temporary file and open the system share sheet for it
+ * @param {string} fileName - Name of the file to create (e.g. "backup.json")
+ * @param {string} contents - Text contents of the file
+ * @param {object} options - { mimeType, uti, dialogTitle }
+ * @returns {Promise<boolean>} - Returns true if the share sheet was opened
+ */
+export const shareTextFile = async (fileName, contents, { mimeType, uti, dialogTitle } = {}) => {
+    try {
+        if (!(await Sharing.isAvailableAsync())) {
+            console.error('Sharing is not available on this device');
+            return false;
+        }
+
+        const fileUri = `${FileSystem.cacheDirectory}${fileName}`;
+        await FileSystem.writeAsStringAsync(fileUri, contents, {
+            encoding: FileSystem.EncodingType.UTF8,
+        });
+
+        await Sharing.shareAsync(fileUri, { mimeType, UTI: uti, dialogTitle });
+        return true;
+    } catch (error) {
+        console.error('Error sharing file:', error);
+        return false;
+    }
+};
+
+/**
+ * Let the user pick a file and read it as text
+ * @param {string|Array<string>} type - MIME type(s) to allow in the picker
+ * @returns {Promise<{name: string, contents: string}|null>} - File name and text, or null if cancelled
+ */
+export const pickTextFile = async (type = '*/*') => {
+    const result = await DocumentPicker.getDocumentAsync({
+        type,
+        copyToCacheDirectory: true,
+        multiple: false,
+    });
+
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+        return null;
+    }
+
+    const asset = result.assets[0];
+    const contents = await FileSystem.readAsStringAsync(asset.uri, {
+        encoding: FileSystem.EncodingType.UTF8,
+    });
+
+    return { name: asset.name, contents };
+};
+
+/**
+ * Build a date stamp for exported file names
+ * @param {Date} date - Date to stamp (defaults to now)
+ * @returns {string} - e.g. "2026-10-19"
+ */
+export const getFileDateStamp = (date = new Date()) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
@@ -5,8 +5,37 @@
  * for calculations, formatting, and validation.
  */
 
+import { isRecurringDueOn, validateRecurrence, startOfDay, WEEKDAY_LABELS } from './recurrence';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get how far along a single task is
+ * A completed task counts as fully done; otherwise ticked subtasks
+ * contribute partial progress.
+ * @param {object} task - Task object
+ * @returns {number} - Completion fraction between 0 and 1
+ */
+export const getTaskCompletion = (task) => {
+    if (!task) {
+        return 0;
+    }
+    if (task.completed) {
+        return 1;
+    }
+
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0) {
+        return 0;
+    }
+
+    const doneCount = subtasks.filter(subtask => subtask.completed).length;
+    return doneCount / subtasks.length;
+};
+
 /**
  * Calculate the completion percentage of tasks
+ * Partially finished checklists count towards the total.
  * @param {Array} tasks - Array of task objects
  * @returns {number} - Percentage of completed tasks (0-100)
  */
@@ -16,19 +45,88 @@ export const calculateProgress = (tasks) => {
         return 0;
     }
 
-    // Count completed tasks
-    const completedTasks = tasks.filter(task => task.completed).length;
+    // Sum the completion of every task (1 for done, fraction for partial)
+    const completedAmount = tasks.reduce((sum, task) => sum + getTaskCompletion(task), 0);
 
     // Calculate and return percentage (rounded to nearest integer)
-    return Math.round((completedTasks / tasks.length) * 100);
+    return Math.round((completedAmount / tasks.length) * 100);
+};
+
+/**
+ * Get the hours actually studied for a task from its logged sessions
+ * @param {object} task - Task object
+ * @returns {number} - Logged hours (may be fractional)
+ */
+export const getLoggedHours = (task) => {
+    const sessions = task?.sessions || [];
+    const minutes = sessions.reduce((sum, session) => sum + (session.minutes || 0), 0);
+    return minutes / 60;
+};
+
+/**
+ * Format an hour amount for display, dropping needless decimals
+ * @param {number} hours - Number of hours
+ * @returns {string} - e.g. "2", "1.5", "0.3"
+ */
+export const formatHours = (hours) => {
+    const rounded = Math.round((hours || 0) * 10) / 10;
+    return Number.isInteger(rounded) ? String(rounded) : rounded.toFixed(1);
+};
+
+/**
+ * Toggle one subtask and derive the parent's completion from the checklist
+ * @param {object} task - Parent task object
+ * @param {string} subtaskId - ID of the subtask to toggle
+ * @returns {object} - Updates to apply to the parent task (subtasks, completed)
+ */
+export const toggleSubtask = (task, subtaskId) => {
+    const subtasks = (task.subtasks || []).map(subtask =>
+        subtask.id === subtaskId
+            ? { ...subtask, completed: !subtask.completed }
+            : subtask
+    );
+
+    return {
+        subtasks,
+        completed: subtasks.length > 0 && subtasks.every(subtask => subtask.completed),
+    };
+};
+
+/**
+ * Get a task form's checklist, including a step typed but not yet added
+ * @param {object} values - Task form values (subtasks, newSubtask)
+ * @returns {Array} - Subtasks to save
+ */
+export const getFormSubtasks = ({ subtasks = [], newSubtask = '' }) => {
+    const title = newSubtask.trim();
+    return title
+        ? [...subtasks, { id: generateId(), title, completed: false }]
+        : subtasks;
+};
+
+// Date display formats offered in Settings
+export const DATE_FORMATS = ['MMM D, YYYY', 'D MMM YYYY', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Format used by formatDate when none is passed (set from the user's preferences)
+let activeDateFormat = DATE_FORMATS[0];
+
+/**
+ * Change the format formatDate uses by default
+ * @param {string} format - One of DATE_FORMATS
+ */
+export const setDateFormat = (format) => {
+    activeDateFormat = DATE_FORMATS.includes(format) ? format : DATE_FORMATS[0];
 };
 
 /**
  * Format a date object to a readable string
  * @param {Date|string} date - Date to format
+ * @param {string} format - One of DATE_FORMATS (defaults to the preferred format)
  * @returns {string} - Formatted date string (e.g., "Jan 15, 2026")
  */
-export const formatDate = (date) => {
+export const formatDate = (date, format = activeDateFormat) => {
     // Handle both Date objects and date strings
     const dateObj = date instanceof Date ? date : new Date(date);
 
@@ -37,14 +135,78 @@ export const formatDate = (date) => {
         return 'Invalid Date';
     }
 
-    // Format options for readable date
-    const options = {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
+    // Replace each token with its part of the date
+    const tokens = {
+        YYYY: String(dateObj.getFullYear()),
+        MMM: MONTH_NAMES[dateObj.getMonth()],
+        MM: String(dateObj.getMonth() + 1).padStart(2, '0'),
+        DD: String(dateObj.getDate()).padStart(2, '0'),
+        D: String(dateObj.getDate()),
     };
 
-    return dateObj.toLocaleDateString('en-US', options);
+    return format.replace(/YYYY|MMM|MM|DD|D/g, token => tokens[token]);
+};
+
+// Date formats written day- or year-first, which go with a 24-hour clock
+const TWENTY_FOUR_HOUR_FORMATS = ['D MMM YYYY', 'YYYY-MM-DD', 'DD/MM/YYYY'];
+
+/**
+ * Format a time of day to go with the preferred date format
+ * US-style date formats get a 12-hour clock, the others a 24-hour one.
+ * @param {Date|string} date - Date to format
+ * @param {string} format - One of DATE_FORMATS (defaults to the preferred format)
+ * @returns {string} - Formatted time (e.g., "9:30 AM" or "09:30")
+ */
+export const formatTime = (date, format = activeDateFormat) => {
+    const dateObj = date instanceof Date ? date : new Date(date);
+    if (isNaN(dateObj.getTime())) {
+        return 'Invalid Date';
+    }
+
+    const hours = dateObj.getHours();
+    const minutes = String(dateObj.getMinutes()).padStart(2, '0');
+    if (TWENTY_FOUR_HOUR_FORMATS.includes(format)) {
+        return `${String(hours).padStart(2, '0')}:${minutes}`;
+    }
+    return `${hours % 12 || 12}:${minutes} ${hours < 12 ? 'AM' : 'PM'}`;
+};
+
+/**
+ * Describe a recurrence rule in plain words
+ * The end date uses the preferred date format, like every other date shown.
+ * @param {object} rule - Stored recurrence rule
+ * @returns {string} - e.g. "Weekly on Mon, Wed, Fri · 10 times"
+ */
+export const describeRecurrence = (rule) => {
+    if (!rule) {
+        return '';
+    }
+
+    let text;
+    switch (rule.frequency) {
+        case 'daily':
+            text = 'Daily';
+            break;
+        case 'interval':
+            text = rule.interval > 1 ? `Every ${rule.interval} days` : 'Daily';
+            break;
+        case 'weekly':
+            text = `Weekly on ${[...(rule.weekdays || [])]
+                .sort((a, b) => a - b)
+                .map(day => WEEKDAY_LABELS[day])
+                .join(', ')}`;
+            break;
+        default:
+            return '';
+    }
+
+    if (rule.count) {
+        text += ` · ${rule.count} times`;
+    } else if (rule.until) {
+        text += ` · until ${formatDate(rule.until)}`;
+    }
+
+    return text;
 };
 
 /**
@@ -56,6 +218,55 @@ export const generateId = () => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 };
 
+/**
+ * Build a new task object with every field in its default state
+ * Each new task starts its own (possibly one-off) series.
+ * @param {object} fields - Task fields (subject, topic, studyTime, deadline, priority, ...)
+ * @returns {object} - Complete task object ready to store
+ */
+export const createTask = (fields) => {
+    const id = generateId();
+    return {
+        id,
+        subject: '',
+        subjectId: null,
+        examId: null,
+        topic: '',
+        notes: '',
+        studyTime: 0,
+        deadline: new Date().toISOString(),
+        priority: 'Medium',
+        subtasks: [],
+        recurrence: null,
+        seriesId: id,
+        occurrence: 1,
+        sessions: [],
+        spacedRepetition: false,
+        review: null,
+        completed: false,
+        completedAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        revision: 0,
+        ...fields,
+    };
+};
+
+/**
+ * Apply changes to an existing task and count the edit
+ * `revision` only ever goes up, so calendar apps can tell a newer export
+ * of the task from an older one.
+ * @param {object} task - Task object
+ * @param {object} changes - Fields to change
+ * @returns {object} - Updated task
+ */
+export const markTaskEdited = (task, changes = {}) => ({
+    ...task,
+    ...changes,
+    updatedAt: new Date().toISOString(),
+    revision: (task.revision || 0) + 1,
+});
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -67,6 +278,57 @@ export const isValidEmail = (email) => {
     return emailRegex.test(email);
 };
 
+/**
+ * Validate the editable fields of a study task
+ * Shared by the add and edit task forms so both apply the same rules.
+ * An existing task whose deadline has passed can still be edited as long
+ * as its deadline is left as it was.
+ * @param {object} values - Form values (subject, topic, studyTime, deadline, recurrence)
+ * @param {Date|string} previousDeadline - Saved deadline when editing a task (null when adding)
+ * @returns {object} - Map of field name to error message (empty if valid)
+ */
+export const validateTaskFields = ({ subject, topic, studyTime, deadline, recurrence }, previousDeadline = null) => {
+    const errors = {};
+
+    // Subject validation
+    if (!subject || !subject.trim()) {
+        errors.subject = 'Subject name is required';
+    }
+
+    // Topic validation
+    if (!topic || !topic.trim()) {
+        errors.topic = 'Topic name is required';
+    }
+
+    // Study time validation
+    const time = String(studyTime ?? '').trim();
+    if (!time) {
+        errors.studyTime = 'Study time is required';
+    } else if (isNaN(time) || parseFloat(time) <= 0) {
+        errors.studyTime = 'Please enter a valid positive number';
+    }
+
+    // Deadline validation (must be today or future, unless it is unchanged)
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const deadlineDate = deadline instanceof Date ? deadline : new Date(deadline);
+    const deadlineChanged = !previousDeadline ||
+        startOfDay(previousDeadline).getTime() !== startOfDay(deadlineDate).getTime();
+    if (isNaN(deadlineDate.getTime())) {
+        errors.deadline = 'Please choose a valid deadline';
+    } else if (deadlineChanged && deadlineDate < today) {
+        errors.deadline = 'Deadline must be today or a future date';
+    }
+
+    // Repeat rule validation (only when the task repeats)
+    const recurrenceError = validateRecurrence(recurrence, deadlineDate);
+    if (recurrenceError) {
+        errors.recurrence = recurrenceError;
+    }
+
+    return errors;
+};
+
 /**
  * Get priority color based on priority level
  * @param {string} priority - Priority level (Low, Medium, High)
@@ -103,24 +365,91 @@ export const getGreeting = () => {
 
 /**
  * Filter tasks by today's deadline
+ * Pending recurring tasks are included when their rule lands on today.
  * @param {Array} tasks - Array of task objects
+ * @param {Date} date - Day to check (defaults to today)
  * @returns {Array} - Tasks with today's deadline
  */
-export const getTodaysTasks = (tasks) => {
+export const getTodaysTasks = (tasks, date = new Date()) => {
     if (!tasks || tasks.length === 0) {
         return [];
     }
 
-    const today = new Date();
+    const today = new Date(date);
     today.setHours(0, 0, 0, 0);
 
     return tasks.filter(task => {
         const deadline = new Date(task.deadline);
         deadline.setHours(0, 0, 0, 0);
-        return deadline.getTime() === today.getTime();
+        return deadline.getTime() === today.getTime() || isRecurringDueOn(task, today);
     });
 };
 
+/**
+ * Build a YYYY-MM-DD key for a local calendar day
+ * @param {Date} date - Day to key
+ * @returns {string} - Day key
+ */
+export const getDayKey = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Count calendar days from today until a task's deadline
+ * @param {object} task - Task object
+ * @param {Date} now - Current time
+ * @returns {number} - Days left (0 = due today, negative = past)
+ */
+export const getDaysUntilDeadline = (task, now = new Date()) =>
+    Math.round((startOfDay(task.deadline) - startOfDay(now)) / MS_PER_DAY);
+
+/**
+ * Check whether a task is overdue
+ * A task becomes overdue the day after its deadline if it isn't completed.
+ * @param {object} task - Task object
+ * @param {Date} now - Current time
+ * @returns {boolean} - True if the task is overdue
+ */
+export const isTaskOverdue = (task, now = new Date()) =>
+    !task.completed && getDaysUntilDeadline(task, now) < 0;
+
+/**
+ * Get a task's derived status
+ * @param {object} task - Task object
+ * @param {Date} now - Current time
+ * @returns {string} - 'completed', 'overdue' or 'pending'
+ */
+export const getTaskStatus = (task, now = new Date()) => {
+    if (task.completed) {
+        return 'completed';
+    }
+    return isTaskOverdue(task, now) ? 'overdue' : 'pending';
+};
+
+/**
+ * Get the overdue tasks, oldest deadline first
+ * @param {Array} tasks - Array of task objects
+ * @param {Date} now - Current time
+ * @returns {Array} - Overdue tasks
+ */
+export const getOverdueTasks = (tasks, now = new Date()) =>
+    tasks
+        .filter(task => isTaskOverdue(task, now))
+        .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+
+/**
+ * Move a deadline to another day, keeping its time of day
+ * @param {string} deadline - Current deadline (ISO string)
+ * @param {Date} day - Day to move it to
+ * @returns {string} - New deadline (ISO string)
+ */
+export const moveDeadlineToDay = (deadline, day) => {
+    const moved = new Date(deadline);
+    moved.setFullYear(day.getFullYear(), day.getMonth(), day.getDate());
+    return moved.toISOString();
+};
+
 /**
  * Sort tasks by priority (High > Medium > Low)
  * @param {Array} tasks - Array of task objects
@@ -0,0 +1,237 @@
+/**
+ * icalendar.js - iCalendar (.ics) Export
+ *
+ * Turns study task deadlines into an RFC 5545 calendar file that can be
+ * imported into Google Calendar, Apple Calendar and similar apps.
+ *
+ * Each task keeps a stable UID derived from its id, so importing a newer
+ * export updates the existing entries instead of duplicating them. The
+ * task's edit count is written as SEQUENCE (with LAST-MODIFIED) so apps
+ * pick up moved or renamed deadlines.
+ */
+
+import { getTasks } from './storage';
+import { shareTextFile, getFileDateStamp } from './fileShare';
+
+// Domain part of every UID (RFC 5545 recommends a globally unique suffix)
+const UID_DOMAIN = 'smartstudyplannerpro.app';
+
+// Product identifier written into the calendar header
+const PRODUCT_ID = '-//Smart Study Planner Pro//Study Deadlines//EN';
+
+// iCalendar PRIORITY values (1 = highest, 9 = lowest, 0 = undefined)
+const ICAL_PRIORITY = {
+    high: 1,
+    medium: 5,
+    low: 9,
+};
+
+// Maximum line length in octets before folding
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for use in an iCalendar TEXT value
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) =>
+    String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+/**
+ * Get the UTF-8 byte length of a single character
+ * @param {string} char - One Unicode character
+ * @returns {number} - Number of octets
+ */
+const utf8Length = (char) => {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+};
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * Continuation lines start with a single space.
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line joined with CRLF
+ */
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+
+    for (const char of line) {
+        const length = utf8Length(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (currentLength + length > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += length;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+/**
+ * Pad a number to two digits
+ * @param {number} value - Number to pad
+ * @returns {string} - Two-digit string
+ */
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Format a date as an all-day DATE value using the local calendar day
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "20261019"
+ */
+const formatDateValue = (date) =>
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+/**
+ * Format a date as a UTC DATE-TIME value
+ * @param {Date} date - Date to format
+ * @returns {string} - e.g. "20261019T083000Z"
+ */
+const formatDateTimeValue = (date) =>
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+/**
+ * Build the description text for a task
+ * @param {object} task - Task object
+ * @returns {string} - Multi-line description
+ */
+const buildDescription = (task) => {
+    const lines = [
+        `Study time: ${task.studyTime} ${task.studyTime === 1 ? 'hour' : 'hours'}`,
+        `Priority: ${task.priority || 'None'}`,
+    ];
+
+    const subtasks = task.subtasks || [];
+    if (subtasks.length > 0) {
+        lines.push('Checklist:');
+        subtasks.forEach(subtask => {
+            lines.push(`${subtask.completed ? '[x]' : '[ ]'} ${subtask.title}`);
+        });
+    }
+
+    if (task.notes) {
+        lines.push(`Notes: ${task.notes}`);
+    }
+
+    if (task.completed) {
+        lines.push('Completed ✓');
+    }
+
+    return lines.join('\n');
+};
+
+/**
+ * Build the content lines for one task
+ * @param {object} task - Task object with a deadline
+ * @param {string} component - 'VEVENT' or 'VTODO'
+ * @param {string} stamp - DTSTAMP value shared by the whole export
+ * @returns {Array<string>} - Unfolded content lines
+ */
+const buildComponent = (task, component, stamp) => {
+    const deadline = new Date(task.deadline);
+    const nextDay = new Date(deadline);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const lines = [
+        `BEGIN:${component}`,
+        `UID:${task.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `SEQUENCE:${task.revision || 0}`,
+        `SUMMARY:${escapeText(`${task.subject}: ${task.topic}`)}`,
+        `DESCRIPTION:${escapeText(buildDescription(task))}`,
+        `PRIORITY:${ICAL_PRIORITY[task.priority?.toLowerCase()] || 0}`,
+        `CATEGORIES:${escapeText(task.subject)}`,
+    ];
+
+    if (task.createdAt) {
+        lines.push(`CREATED:${formatDateTimeValue(new Date(task.createdAt))}`);
+    }
+
+    const modifiedAt = task.updatedAt || task.createdAt;
+    if (modifiedAt) {
+        lines.push(`LAST-MODIFIED:${formatDateTimeValue(new Date(modifiedAt))}`);
+    }
+
+    if (component === 'VTODO') {
+        lines.push(`DUE;VALUE=DATE:${formatDateValue(deadline)}`);
+        lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    } else {
+        // All-day event on the deadline (DTEND is exclusive)
+        lines.push(`DTSTART;VALUE=DATE:${formatDateValue(deadline)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatDateValue(nextDay)}`);
+        lines.push('TRANSP:TRANSPARENT');
+        lines.push('STATUS:CONFIRMED');
+    }
+
+    lines.push(`END:${component}`);
+    return lines;
+};
+
+/**
+ * Build an iCalendar document from tasks
+ * Tasks without a valid deadline are skipped.
+ * @param {Array} tasks - Array of task objects
+ * @param {object} options - { component: 'VEVENT' | 'VTODO' }
+ * @returns {string} - Calendar file contents (CRLF line endings)
+ */
+export const buildICalendar = (tasks, { component = 'VEVENT' } = {}) => {
+    const stamp = formatDateTimeValue(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Study Deadlines',
+    ];
+
+    tasks
+        .filter(task => task.deadline && !isNaN(new Date(task.deadline).getTime()))
+        .forEach(task => {
+            lines.push(...buildComponent(task, component, stamp));
+        });
+
+    lines.push('END:VCALENDAR');
+
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * Export all task deadlines as an .ics file and open the share sheet
+ * @param {object} options - { component: 'VEVENT' | 'VTODO' }
+ * @returns {Promise<boolean>} - Returns true if the file was shared
+ */
+export const exportCalendar = async (options) => {
+    try {
+        const tasks = await getTasks();
+        return await shareTextFile(
+            `study-deadlines-${getFileDateStamp()}.ics`,
+            buildICalendar(tasks, options),
+            {
+                mimeType: 'text/calendar',
+                uti: 'com.apple.ical.ics',
+                dialogTitle: 'Add deadlines to your calendar',
+            }
+        );
+    } catch (error) {
+        console.error('Error exporting calendar:', error);
+        return false;
+    }
+};
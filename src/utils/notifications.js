@@ -0,0 +1,309 @@
+/**
+ * notifications.js - Local Deadline Reminders
+ *
+ * Schedules a local notification for each pending task a set time before
+ * its deadline, plus an optional morning digest of the tasks due that day.
+ *
+ * Reminders are rebuilt from the task list whenever tasks are saved, so
+ * editing, completing or deleting a task reschedules or cancels its reminder.
+ * Digests list that day's tasks, so they can't repeat; a week of them is
+ * scheduled at a time and topped up whenever the app returns to the foreground.
+ */
+
+import { Platform, AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getTasks, getScopedKey, onTasksChanged } from './storage';
+import { getTodaysTasks } from './helpers';
+
+// Key used to store reminder settings in AsyncStorage (scoped per profile)
+const SETTINGS_STORAGE_KEY = '@smart_study_planner_notification_settings';
+
+// Android channel all reminders are posted to
+const CHANNEL_ID = 'study-reminders';
+
+// Identifier prefixes, so only this module's notifications are replaced
+const TASK_PREFIX = 'task-reminder-';
+const DIGEST_PREFIX = 'daily-digest-';
+
+// Deadlines are whole days; reminders treat a task as due at 5 PM that day
+export const DEADLINE_HOUR = 17;
+
+// Lead times offered in the reminder settings (in minutes)
+export const LEAD_TIME_OPTIONS = [
+    { value: 60, label: '1 hour before' },
+    { value: 120, label: '2 hours before' },
+    { value: 24 * 60, label: '1 day before' },
+    { value: 2 * 24 * 60, label: '2 days before' },
+];
+
+// How many days of morning digests are scheduled ahead
+const DIGEST_DAYS_AHEAD = 7;
+
+// iOS keeps at most 64 pending notifications per app
+const MAX_TASK_REMINDERS = 50;
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+    remindersEnabled: false,
+    leadTimeMinutes: 24 * 60,
+    digestEnabled: false,
+    digestHour: 8,
+    digestMinute: 0,
+};
+
+// Show reminders as banners even while the app is open
+Notifications.setNotificationHandler({
+    handleNotification: async () => ({
+        shouldShowBanner: true,
+        shouldShowList: true,
+        shouldPlaySound: true,
+        shouldSetBadge: false,
+    }),
+});
+
+// Serialises syncs so rapid saves can't interleave cancel/schedule calls
+let syncQueue = Promise.resolve(true);
+
+/**
+ * Run a reminder sync after any that are already in progress
+ * @param {Array} tasks - Array of task objects
+ * @param {object} settings - Reminder settings (loaded if omitted)
+ * @returns {Promise<boolean>} - Result of this sync
+ */
+const queueSync = (tasks, settings) => {
+    syncQueue = syncQueue.then(() => syncReminders(tasks, settings));
+    return syncQueue;
+};
+
+/**
+ * Get the saved reminder settings
+ * @returns {Promise<object>} - Settings merged over the defaults
+ */
+export const getNotificationSettings = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(getScopedKey(SETTINGS_STORAGE_KEY));
+        return {
+            ...DEFAULT_NOTIFICATION_SETTINGS,
+            ...(jsonValue != null ? JSON.parse(jsonValue) : {}),
+        };
+    } catch (error) {
+        console.error('Error getting notification settings:', error);
+        return { ...DEFAULT_NOTIFICATION_SETTINGS };
+    }
+};
+
+/**
+ * Save reminder settings and reschedule everything to match
+ * @param {object} settings - Complete settings object
+ * @returns {Promise<boolean>} - Returns true if save was successful
+ */
+export const saveNotificationSettings = async (settings) => {
+    try {
+        await AsyncStorage.setItem(getScopedKey(SETTINGS_STORAGE_KEY), JSON.stringify(settings));
+        await queueSync(await getTasks(), settings);
+        return true;
+    } catch (error) {
+        console.error('Error saving notification settings:', error);
+        return false;
+    }
+};
+
+/**
+ * Ask for permission to show notifications
+ * @returns {Promise<boolean>} - Returns true if notifications are allowed
+ */
+export const requestNotificationPermission = async () => {
+    try {
+        if (Platform.OS === 'android') {
+            await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+                name: 'Study reminders',
+                importance: Notifications.AndroidImportance.HIGH,
+            });
+        }
+
+        const current = await Notifications.getPermissionsAsync();
+        if (current.granted) {
+            return true;
+        }
+        const requested = await Notifications.requestPermissionsAsync();
+        return requested.granted;
+    } catch (error) {
+        console.error('Error requesting notification permission:', error);
+        return false;
+    }
+};
+
+/**
+ * Get the moment a task's reminder should fire
+ * @param {object} task - Task object
+ * @param {number} leadTimeMinutes - How long before the deadline to remind
+ * @returns {Date} - Reminder time
+ */
+export const getReminderTime = (task, leadTimeMinutes) => {
+    const due = new Date(task.deadline);
+    due.setHours(DEADLINE_HOUR, 0, 0, 0);
+    return new Date(due.getTime() - leadTimeMinutes * 60 * 1000);
+};
+
+/**
+ * Describe how far away a deadline is for the reminder text
+ * @param {number} leadTimeMinutes - Lead time in minutes
+ * @returns {string} - e.g. "tomorrow" or "in 2 hours"
+ */
+const describeLeadTime = (leadTimeMinutes) => {
+    if (leadTimeMinutes === 24 * 60) {
+        return 'tomorrow';
+    }
+    if (leadTimeMinutes % (24 * 60) === 0) {
+        return `in ${leadTimeMinutes / (24 * 60)} days`;
+    }
+    const hours = leadTimeMinutes / 60;
+    return `in ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+};
+
+/**
+ * Build the task reminders that should currently be scheduled
+ * @param {Array} tasks - Array of task objects
+ * @param {object} settings - Reminder settings
+ * @param {Date} now - Current time
+ * @returns {Array} - Notification requests (soonest first)
+ */
+export const buildTaskReminders = (tasks, settings, now = new Date()) => {
+    if (!settings.remindersEnabled) {
+        return [];
+    }
+
+    return tasks
+        .filter(task => !task.completed)
+        .map(task => ({ task, date: getReminderTime(task, settings.leadTimeMinutes) }))
+        .filter(({ date }) => !isNaN(date.getTime()) && date > now)
+        .sort((a, b) => a.date - b.date)
+        .slice(0, MAX_TASK_REMINDERS)
+        .map(({ task, date }) => ({
+            identifier: `${TASK_PREFIX}${task.id}`,
+            content: {
+                title: `📚 ${task.subject} is due ${describeLeadTime(settings.leadTimeMinutes)}`,
+                body: `${task.topic} · ${task.studyTime} ${task.studyTime === 1 ? 'hour' : 'hours'} planned`,
+                data: { taskId: task.id },
+            },
+            date,
+        }));
+};
+
+/**
+ * Build the morning digests for the coming days
+ * Days with nothing due get no digest.
+ * @param {Array} tasks - Array of task objects
+ * @param {object} settings - Reminder settings
+ * @param {Date} now - Current time
+ * @returns {Array} - Notification requests
+ */
+export const buildDailyDigests = (tasks, settings, now = new Date()) => {
+    if (!settings.digestEnabled) {
+        return [];
+    }
+
+    const digests = [];
+    for (let offset = 0; offset < DIGEST_DAYS_AHEAD; offset++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + offset);
+        date.setHours(settings.digestHour, settings.digestMinute, 0, 0);
+        if (date <= now) {
+            continue;
+        }
+
+        const dueTasks = getTodaysTasks(tasks, date).filter(task => !task.completed);
+        if (dueTasks.length === 0) {
+            continue;
+        }
+
+        const stamp = [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0'),
+        ].join('');
+        digests.push({
+            identifier: `${DIGEST_PREFIX}${stamp}`,
+            content: {
+                title: `☀️ ${dueTasks.length} ${dueTasks.length === 1 ? 'task' : 'tasks'} due today`,
+                body: dueTasks.map(task => `${task.subject}: ${task.topic}`).join('\n'),
+                data: {},
+            },
+            date,
+        });
+    }
+
+    return digests;
+};
+
+/**
+ * Replace every scheduled reminder with ones built from the given tasks
+ * @param {Array} tasks - Array of task objects
+ * @param {object} settings - Reminder settings (loaded if omitted)
+ * @returns {Promise<boolean>} - Returns true if reminders were rescheduled (false without permission)
+ */
+export const syncReminders = async (tasks, settings) => {
+    try {
+        const activeSettings = settings || await getNotificationSettings();
+
+        // Cancel this module's previous reminders
+        const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+        await Promise.all(
+            scheduled
+                .filter(({ identifier }) =>
+                    identifier.startsWith(TASK_PREFIX) || identifier.startsWith(DIGEST_PREFIX))
+                .map(({ identifier }) => Notifications.cancelScheduledNotificationAsync(identifier))
+        );
+
+        // Nothing can be shown without permission (it may have been revoked in settings)
+        const permission = await Notifications.getPermissionsAsync();
+        if (!permission.granted) {
+            return false;
+        }
+
+        const requests = [
+            ...buildTaskReminders(tasks, activeSettings),
+            ...buildDailyDigests(tasks, activeSettings),
+        ];
+
+        await Promise.all(
+            requests.map(({ identifier, content, date }) =>
+                Notifications.scheduleNotificationAsync({
+                    identifier,
+                    content,
+                    trigger: {
+                        type: Notifications.SchedulableTriggerInputTypes.DATE,
+                        date,
+                        channelId: CHANNEL_ID,
+                    },
+                })
+            )
+        );
+
+        return true;
+    } catch (error) {
+        console.error('Error scheduling reminders:', error);
+        return false;
+    }
+};
+
+/**
+ * Keep reminders in step with the stored tasks
+ * Syncs after every task change, including switching profiles, so only
+ * the signed-in profile's reminders are scheduled, and each time the app
+ * comes to the foreground so the digests never run out.
+ * @returns {Function} - Stops listening for task changes and app state
+ */
+export const startReminderSync = () => {
+    const stopTaskSync = onTasksChanged(tasks => queueSync(tasks));
+    const subscription = AppState.addEventListener('change', async (nextState) => {
+        if (nextState === 'active') {
+            queueSync(await getTasks());
+        }
+    });
+
+    return () => {
+        stopTaskSync();
+        subscription.remove();
+    };
+};
@@ -0,0 +1,132 @@
+/**
+ * preferences.js - Study Preferences Store
+ *
+ * Persists the signed-in profile's preferences (task defaults, date
+ * format, week start, daily study budget and goal, task list sort and
+ * filters...) and keeps an in-memory copy so screens and helpers can
+ * read them without waiting on storage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getScopedKey } from './storage';
+import { setDateFormat } from './helpers';
+import { DEFAULT_TASK_FILTERS } from './taskFilters';
+
+// Key used to store preferences in AsyncStorage (scoped per profile)
+const PREFERENCES_STORAGE_KEY = '@smart_study_planner_preferences';
+
+// Week start options (JS day numbers)
+export const WEEK_START_OPTIONS = [
+    { value: 0, label: 'Sunday' },
+    { value: 1, label: 'Monday' },
+];
+
+// Study time options prefilled on new tasks (hours, null = blank)
+export const DEFAULT_STUDY_TIME_OPTIONS = [
+    { value: null, label: 'Blank' },
+    { value: 0.5, label: '30 min' },
+    { value: 1, label: '1 h' },
+    { value: 2, label: '2 h' },
+    { value: 3, label: '3 h' },
+];
+
+// Splash screen durations (milliseconds)
+export const SPLASH_DURATION_OPTIONS = [
+    { value: 2000, label: 'Standard' },
+    { value: 800, label: 'Quick' },
+    { value: 0, label: 'Off' },
+];
+
+// What the daily goal counts
+export const DAILY_GOAL_TYPE_OPTIONS = [
+    { value: 'hours', label: 'Study hours' },
+    { value: 'tasks', label: 'Tasks done' },
+];
+
+// Daily goal targets offered for each goal type
+export const DAILY_GOAL_TARGET_OPTIONS = {
+    hours: [1, 2, 3, 4, 6].map(value => ({ value, label: `${value} h` })),
+    tasks: [1, 2, 3, 5].map(value => ({ value, label: `${value} ${value === 1 ? 'task' : 'tasks'}` })),
+};
+
+export const DEFAULT_PREFERENCES = {
+    defaultPriority: 'Medium',
+    defaultStudyTime: null,
+    weekStartsOn: 0,
+    dateFormat: 'MMM D, YYYY',
+    dailyStudyHours: 4,
+    restDays: [], // JS day numbers the study plan leaves free
+    dailyGoalType: 'hours',
+    dailyGoalTarget: 2,
+    splashDurationMs: 2000,
+    taskListSort: 'priority',
+    taskListFilters: DEFAULT_TASK_FILTERS,
+};
+
+// Preferences of the active profile
+let currentPreferences = { ...DEFAULT_PREFERENCES };
+
+/**
+ * Make preferences the current ones and apply app-wide side effects
+ * @param {object} preferences - Complete preferences object
+ */
+const applyPreferences = (preferences) => {
+    currentPreferences = preferences;
+    setDateFormat(preferences.dateFormat);
+};
+
+/**
+ * Get the active profile's preferences
+ * @returns {object} - Preferences (defaults until loaded)
+ */
+export const getPreferences = () => currentPreferences;
+
+/**
+ * Load the active profile's preferences from storage
+ * @returns {Promise<object>} - Preferences merged over the defaults
+ */
+export const loadPreferences = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(getScopedKey(PREFERENCES_STORAGE_KEY));
+        applyPreferences({
+            ...DEFAULT_PREFERENCES,
+            ...(jsonValue != null ? JSON.parse(jsonValue) : {}),
+        });
+    } catch (error) {
+        console.error('Error loading preferences:', error);
+        applyPreferences({ ...DEFAULT_PREFERENCES });
+    }
+    return currentPreferences;
+};
+
+/**
+ * Update some preferences and save them
+ * @param {object} changes - Preference fields to change
+ * @returns {Promise<boolean>} - Returns true if save was successful
+ */
+export const updatePreferences = async (changes) => {
+    try {
+        const updated = { ...currentPreferences, ...changes };
+        await AsyncStorage.setItem(getScopedKey(PREFERENCES_STORAGE_KEY), JSON.stringify(updated));
+        applyPreferences(updated);
+        return true;
+    } catch (error) {
+        console.error('Error saving preferences:', error);
+        return false;
+    }
+};
+
+/**
+ * Restore every preference to its default
+ * @returns {Promise<boolean>} - Returns true if reset was successful
+ */
+export const resetPreferences = async () => {
+    try {
+        await AsyncStorage.removeItem(getScopedKey(PREFERENCES_STORAGE_KEY));
+        applyPreferences({ ...DEFAULT_PREFERENCES });
+        return true;
+    } catch (error) {
+        console.error('Error resetting preferences:', error);
+        return false;
+    }
+};
@@ -0,0 +1,136 @@
+/**
+ * progressHistory.js - Progress Over Time
+ *
+ * Groups the activity log (completions and study sessions) into days or
+ * weeks for the charts on the Progress screen: tasks completed, hours
+ * studied, and a burn-up of completed hours against the total planned so
+ * far. Because the log is kept separately from the tasks, deleting or
+ * reopening a task doesn't change earlier bars.
+ *
+ * Short ranges are shown per day; longer ones per week, starting on the
+ * profile's chosen first day of the week.
+ */
+
+import { startOfDay, addDays, WEEKDAY_LABELS } from './recurrence';
+import { getWeekStart } from './calendar';
+import { getDayProgress } from './streaks';
+
+// Chart ranges offered on the Progress screen
+export const HISTORY_RANGE_OPTIONS = [
+    { value: 'week', label: '7 days' },
+    { value: 'month', label: '30 days' },
+    { value: 'term', label: 'Whole term' },
+];
+
+const SHORT_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Hours planned and completed as of a moment
+ * Completed hours follow each task's latest completion or reopening before
+ * that moment. Planned hours are the current tasks created by then, plus
+ * completed tasks that have since been deleted.
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} events - Activity log, oldest first
+ * @param {Date} end - Moment to total up to (exclusive)
+ * @returns {object} - { completedHours, plannedHours }
+ */
+const getBurnUpTotals = (tasks, events, end) => {
+    const completedById = new Map();
+    const loggedById = new Map();
+    events
+        .filter(event => new Date(event.at) < end)
+        .forEach(event => {
+            if (event.type === 'completed') {
+                completedById.set(event.taskId, event.studyTime || 0);
+                loggedById.set(event.taskId, event);
+            } else if (event.type === 'reopened') {
+                completedById.delete(event.taskId);
+            }
+        });
+
+    const taskIds = new Set(tasks.map(task => task.id));
+    const plannedHours = tasks
+        .filter(task => new Date(task.createdAt) < end)
+        .reduce((sum, task) => sum + (Number(task.studyTime) || 0), 0) +
+        Array.from(loggedById.values())
+            .filter(event => !taskIds.has(event.taskId))
+            .reduce((sum, event) => sum + (event.studyTime || 0), 0);
+    const completedHours = Array.from(completedById.values()).reduce((sum, hours) => sum + hours, 0);
+
+    return { completedHours, plannedHours };
+};
+
+/**
+ * Split a range into chart buckets
+ * @param {Array} tasks - Array of task objects (the term starts at the oldest)
+ * @param {Array} events - Activity log (older activity also extends the term)
+ * @param {string} range - 'week', 'month' or 'term'
+ * @param {object} options - { weekStartsOn, now }
+ * @returns {Array} - [{ key, label, start, end }] in order (end is exclusive)
+ */
+export const getHistoryBuckets = (tasks, events, range, { weekStartsOn = 0, now = new Date() } = {}) => {
+    const today = startOfDay(now);
+
+    // Last seven days, one bar each
+    if (range === 'week') {
+        return Array.from({ length: 7 }, (_, index) => {
+            const start = addDays(today, index - 6);
+            return {
+                key: start.toISOString(),
+                label: WEEKDAY_LABELS[start.getDay()],
+                start,
+                end: addDays(start, 1),
+            };
+        });
+    }
+
+    // Weeks back to the start of the range
+    let firstDay = addDays(today, -29);
+    if (range === 'term') {
+        firstDay = [
+            ...tasks.map(task => task.createdAt || now),
+            ...events.map(event => event.at),
+        ].reduce((earliest, date) => {
+            const day = startOfDay(date);
+            return day < earliest ? day : earliest;
+        }, today);
+    }
+
+    const buckets = [];
+    for (let start = getWeekStart(firstDay, weekStartsOn); start <= today; start = addDays(start, 7)) {
+        buckets.push({
+            key: start.toISOString(),
+            label: `${SHORT_MONTHS[start.getMonth()]} ${start.getDate()}`,
+            start,
+            end: addDays(start, 7),
+        });
+    }
+    return buckets;
+};
+
+/**
+ * Build the chart data for a range
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} events - Activity log from getActivityLog
+ * @param {string} range - 'week', 'month' or 'term'
+ * @param {object} options - { weekStartsOn, now }
+ * @returns {Array} - [{ key, label, start, completed, hours, completedHours, plannedHours }]
+ *   `completedHours` and `plannedHours` are running totals at the end of each bucket
+ */
+export const buildProgressHistory = (tasks, events, range, options = {}) => {
+    const orderedEvents = [...events].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+    return getHistoryBuckets(tasks, orderedEvents, range, options).map(({ key, label, start, end }) => {
+        const completed = orderedEvents.filter(event => {
+            const at = new Date(event.at);
+            return event.type === 'completed' && at >= start && at < end;
+        }).length;
+
+        let hours = 0;
+        for (let day = start; day < end; day = addDays(day, 1)) {
+            hours += getDayProgress(orderedEvents, day).hours;
+        }
+
+        return { key, label, start, completed, hours, ...getBurnUpTotals(tasks, orderedEvents, end) };
+    });
+};
@@ -0,0 +1,239 @@
+/**
+ * recurrence.js - Recurring Task Rules
+ *
+ * Helpers for repeating study tasks (daily, weekly on chosen weekdays,
+ * or every N days, optionally ending on a date or after a number of times).
+ *
+ * A recurring series is stored one occurrence at a time: each task carries
+ * the rule plus its seriesId and occurrence number, and completing it
+ * creates the next occurrence.
+ */
+
+// Supported repeat frequencies
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'interval'];
+
+// Short weekday labels indexed by Date.getDay()
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Get a copy of a date set to midnight
+ * @param {Date|string} date - Date to normalise
+ * @returns {Date} - Start of that day
+ */
+export const startOfDay = (date) => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Add whole days to a date, keeping the time of day
+ * @param {Date} date - Base date
+ * @param {number} days - Number of days to add
+ * @returns {Date} - New date
+ */
+export const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+/**
+ * Get the date of the next occurrence strictly after the given one
+ * @param {object} rule - Stored recurrence rule
+ * @param {Date|string} after - Date of the current occurrence
+ * @returns {Date|null} - Next occurrence date, or null if the rule has ended
+ */
+export const getNextOccurrenceDate = (rule, after) => {
+    if (!rule) {
+        return null;
+    }
+
+    const current = new Date(after);
+    let next = null;
+
+    switch (rule.frequency) {
+        case 'daily':
+            next = addDays(current, 1);
+            break;
+        case 'interval':
+            next = addDays(current, Math.max(1, rule.interval || 1));
+            break;
+        case 'weekly': {
+            const weekdays = rule.weekdays || [];
+            if (weekdays.length === 0) {
+                return null;
+            }
+            // Look at the following seven days for the next chosen weekday
+            for (let offset = 1; offset <= 7; offset++) {
+                const candidate = addDays(current, offset);
+                if (weekdays.includes(candidate.getDay())) {
+                    next = candidate;
+                    break;
+                }
+            }
+            break;
+        }
+        default:
+            return null;
+    }
+
+    // Stop once the series passes its end date
+    if (next && rule.until && startOfDay(next) > startOfDay(rule.until)) {
+        return null;
+    }
+
+    return next;
+};
+
+/**
+ * Build the next task in a recurring series
+ * @param {object} task - The occurrence being completed
+ * @param {string} newId - ID to give the new occurrence
+ * @returns {object|null} - New task object, or null if the series has ended
+ */
+export const createNextOccurrence = (task, newId) => {
+    const rule = task.recurrence;
+    if (!rule) {
+        return null;
+    }
+
+    const occurrence = (task.occurrence || 1) + 1;
+    if (rule.count && occurrence > rule.count) {
+        return null;
+    }
+
+    const nextDeadline = getNextOccurrenceDate(rule, task.deadline);
+    if (!nextDeadline) {
+        return null;
+    }
+
+    return {
+        ...task,
+        id: newId,
+        seriesId: task.seriesId || task.id,
+        occurrence,
+        deadline: nextDeadline.toISOString(),
+        completed: false,
+        completedAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: null,
+        revision: 0,
+        // Start the checklist and study log fresh for the new occurrence
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+        sessions: [],
+        review: null,
+    };
+};
+
+/**
+ * Check whether a pending recurring task has an occurrence on a given day
+ * A missed occurrence stands in for later ones until it is completed, so an
+ * overdue instance is also "due" on any later day its rule lands on.
+ * @param {object} task - Task object
+ * @param {Date|string} date - Day to check
+ * @returns {boolean} - True if the series is due on that day
+ */
+export const isRecurringDueOn = (task, date) => {
+    const rule = task?.recurrence;
+    if (!rule || task.completed) {
+        return false;
+    }
+
+    const target = startOfDay(date);
+    let current = new Date(task.deadline);
+    let occurrence = task.occurrence || 1;
+
+    // Walk the series forward until we reach (or pass) the target day
+    while (startOfDay(current) < target) {
+        current = getNextOccurrenceDate(rule, current);
+        occurrence += 1;
+        if (!current || (rule.count && occurrence > rule.count)) {
+            return false;
+        }
+    }
+
+    return startOfDay(current).getTime() === target.getTime();
+};
+
+/**
+ * Convert a stored rule into editable form values
+ * @param {object|null} rule - Stored recurrence rule
+ * @returns {object|null} - Form value, or null for "does not repeat"
+ */
+export const recurrenceToFormValue = (rule) => {
+    if (!rule) {
+        return null;
+    }
+
+    return {
+        frequency: rule.frequency,
+        interval: String(rule.interval || 2),
+        weekdays: rule.weekdays || [],
+        endType: rule.count ? 'count' : rule.until ? 'until' : 'never',
+        until: rule.until ? new Date(rule.until) : null,
+        count: rule.count ? String(rule.count) : '',
+    };
+};
+
+/**
+ * Convert recurrence form values into the stored rule shape
+ * @param {object|null} value - Form value from the recurrence picker
+ * @returns {object|null} - Stored rule, or null for "does not repeat"
+ */
+export const normalizeRecurrence = (value) => {
+    if (!value || !RECURRENCE_FREQUENCIES.includes(value.frequency)) {
+        return null;
+    }
+
+    return {
+        frequency: value.frequency,
+        interval: value.frequency === 'interval' ? parseInt(value.interval, 10) : 1,
+        weekdays: value.frequency === 'weekly' ? [...value.weekdays].sort((a, b) => a - b) : [],
+        until: value.endType === 'until' && value.until
+            ? new Date(value.until).toISOString()
+            : null,
+        count: value.endType === 'count' ? parseInt(value.count, 10) : null,
+    };
+};
+
+/**
+ * Validate recurrence form values
+ * @param {object|null} value - Form value from the recurrence picker
+ * @param {Date|string} deadline - Deadline of the first occurrence
+ * @returns {string} - Error message, or empty string if valid
+ */
+export const validateRecurrence = (value, deadline) => {
+    if (!value) {
+        return '';
+    }
+
+    if (value.frequency === 'weekly' && (!value.weekdays || value.weekdays.length === 0)) {
+        return 'Choose at least one weekday';
+    }
+
+    if (value.frequency === 'interval') {
+        const interval = Number(value.interval);
+        if (!Number.isInteger(interval) || interval < 1) {
+            return 'Repeat interval must be a whole number of days';
+        }
+    }
+
+    if (value.endType === 'count') {
+        const count = Number(value.count);
+        if (!Number.isInteger(count) || count < 1) {
+            return 'Number of times must be a whole number';
+        }
+    }
+
+    if (value.endType === 'until') {
+        if (!value.until) {
+            return 'Choose an end date';
+        }
+        if (startOfDay(value.until) < startOfDay(deadline)) {
+            return 'End date must be on or after the deadline';
+        }
+    }
+
+    return '';
+};
@@ -0,0 +1,193 @@
+/**
+ * scheduler.js - Study Plan Builder
+ *
+ * Splits each pending task's remaining study hours into daily sessions
+ * between today and its deadline. No day goes over the daily budget and
+ * rest days are skipped. When not everything fits, tasks are given hours
+ * in priority order (earliest deadline first within a priority), so it is
+ * the lower-priority work that gets flagged. Sessions are then laid out
+ * earliest deadline first, which meets every deadline that can be met.
+ *
+ * The plan is derived from the tasks and preferences every time, so it
+ * never goes stale when tasks change.
+ */
+
+import { startOfDay, addDays } from './recurrence';
+import { getLoggedHours, isTaskOverdue, getDayKey } from './helpers';
+
+// Sessions are planned in half-hour blocks
+const BLOCK_HOURS = 0.5;
+
+// Days (from today) over which overdue tasks are caught up
+const OVERDUE_WINDOW_DAYS = 7;
+
+const PRIORITY_RANK = { high: 1, medium: 2, low: 3 };
+
+/**
+ * Hours still to study on a task
+ * @param {object} task - Task object
+ * @returns {number} - Planned hours minus hours already logged
+ */
+export const getRemainingHours = (task) =>
+    Math.max(0, (Number(task.studyTime) || 0) - getLoggedHours(task));
+
+/**
+ * Hours logged across all tasks on a given day
+ * @param {Array} tasks - Array of task objects
+ * @param {Date} day - Day to total
+ * @returns {number} - Hours logged that day
+ */
+const getHoursLoggedOn = (tasks, day) => {
+    const key = getDayKey(day);
+    const minutes = tasks.reduce((sum, task) =>
+        sum + (task.sessions || [])
+            .filter(session => session.startedAt && getDayKey(new Date(session.startedAt)) === key)
+            .reduce((total, session) => total + (session.minutes || 0), 0),
+    0);
+    return minutes / 60;
+};
+
+/**
+ * Order tasks for planning: priority first, then earliest deadline
+ * @param {object} a - Task object
+ * @param {object} b - Task object
+ * @returns {number} - Sort order
+ */
+const comparePlanningOrder = (a, b) =>
+    (PRIORITY_RANK[a.priority?.toLowerCase()] || 4) - (PRIORITY_RANK[b.priority?.toLowerCase()] || 4) ||
+    new Date(a.deadline) - new Date(b.deadline);
+
+/**
+ * Order tasks for laying out sessions: earliest last day first, then priority
+ * @param {object} a - Planning entry ({ task, lastDay })
+ * @param {object} b - Planning entry ({ task, lastDay })
+ * @returns {number} - Sort order
+ */
+const compareLayoutOrder = (a, b) =>
+    a.lastDay - b.lastDay || comparePlanningOrder(a.task, b.task);
+
+/**
+ * Build a day-by-day study plan
+ * @param {Array} tasks - Array of task objects
+ * @param {object} options - { dailyHours, restDays (JS day numbers), now }
+ * @returns {object} - {
+ *   days: [{ date, key, hours, sessions: [{ task, hours }] }] (days with sessions, in order),
+ *   atRisk: [{ task, unplannedHours, reason: 'overdue' | 'capacity' }],
+ *   plannedHours
+ * }
+ */
+export const buildStudyPlan = (tasks, { dailyHours = 4, restDays = [], now = new Date() } = {}) => {
+    const today = startOfDay(now);
+    const blocksPerDay = Math.floor(dailyHours / BLOCK_HOURS);
+
+    // Day slots, keyed by day
+    const slots = new Map();
+    const getSlot = (date) => {
+        const key = getDayKey(date);
+        if (!slots.has(key)) {
+            // Today's budget is reduced by what has already been studied
+            const used = key === getDayKey(today)
+                ? Math.ceil(getHoursLoggedOn(tasks, today) / BLOCK_HOURS)
+                : 0;
+            slots.set(key, {
+                date,
+                key,
+                free: restDays.includes(date.getDay()) ? 0 : Math.max(0, blocksPerDay - used),
+                sessions: new Map(),
+            });
+        }
+        return slots.get(key);
+    };
+
+    // Pending tasks with the last day each can be studied on
+    const entries = tasks
+        .filter(task => !task.completed && getRemainingHours(task) > 0)
+        .sort(comparePlanningOrder)
+        .map(task => {
+            const overdue = isTaskOverdue(task, now);
+            return {
+                task,
+                overdue,
+                lastDay: overdue
+                    ? addDays(today, OVERDUE_WINDOW_DAYS - 1)
+                    : startOfDay(task.deadline),
+                blocks: Math.ceil(getRemainingHours(task) / BLOCK_HOURS - 1e-9),
+            };
+        });
+
+    // Every day from today to the furthest deadline
+    const window = [];
+    const lastDay = entries.reduce((latest, entry) => (entry.lastDay > latest ? entry.lastDay : latest), today);
+    for (let day = today; day <= lastDay; day = addDays(day, 1)) {
+        window.push(getSlot(day));
+    }
+    const getDayIndex = (day) => window.findIndex(slot => slot.key === getDayKey(day));
+
+    // Decide how many blocks each task gets, in priority order. Since every
+    // task can start today, the plan fits as long as the blocks due by each
+    // day are no more than the free blocks up to that day.
+    const reserved = window.map(() => 0);
+    entries.forEach(entry => {
+        const last = Math.max(0, getDayIndex(entry.lastDay));
+        let slack = Infinity;
+        let capacity = 0;
+        let demand = 0;
+        window.forEach((slot, index) => {
+            capacity += slot.free;
+            demand += reserved[index];
+            if (index >= last) {
+                slack = Math.min(slack, capacity - demand);
+            }
+        });
+        entry.planned = Math.max(0, Math.min(entry.blocks, slack));
+        reserved[last] += entry.planned;
+    });
+
+    // Lay the blocks out earliest deadline first, handing them out one day
+    // at a time so the hours are spread evenly rather than piled onto the
+    // first free day
+    let plannedBlocks = 0;
+    [...entries].sort(compareLayoutOrder).forEach(entry => {
+        const { task } = entry;
+        let remaining = entry.planned;
+        let open = window.slice(0, getDayIndex(entry.lastDay) + 1).filter(slot => slot.free > 0);
+        while (remaining > 0 && open.length > 0) {
+            open.forEach(slot => {
+                if (remaining > 0) {
+                    slot.free -= 1;
+                    slot.sessions.set(task.id, (slot.sessions.get(task.id) || 0) + 1);
+                    remaining -= 1;
+                    plannedBlocks += 1;
+                }
+            });
+            open = open.filter(slot => slot.free > 0);
+        }
+    });
+
+    const atRisk = entries
+        .filter(entry => entry.overdue || entry.planned < entry.blocks)
+        .map(entry => ({
+            task: entry.task,
+            unplannedHours: (entry.blocks - entry.planned) * BLOCK_HOURS,
+            reason: entry.overdue ? 'overdue' : 'capacity',
+        }));
+
+    const taskById = new Map(tasks.map(task => [task.id, task]));
+    const days = Array.from(slots.values())
+        .filter(slot => slot.sessions.size > 0)
+        .sort((a, b) => a.date - b.date)
+        .map(slot => {
+            const sessions = Array.from(slot.sessions.entries()).map(([taskId, blocks]) => ({
+                task: taskById.get(taskId),
+                hours: blocks * BLOCK_HOURS,
+            }));
+            return {
+                date: slot.date,
+                key: slot.key,
+                hours: sessions.reduce((sum, session) => sum + session.hours, 0),
+                sessions,
+            };
+        });
+
+    return { days, atRisk, plannedHours: plannedBlocks * BLOCK_HOURS };
+};
@@ -0,0 +1,135 @@
+/**
+ * search.js - Task Search
+ *
+ * Matches tasks on their subject, topic and notes, ignoring case and
+ * accents ("resume" finds "Résumé"). Each task's searchable text is
+ * folded once into an index, so typing only runs plain substring checks
+ * even with thousands of tasks.
+ */
+
+// Combining marks left behind when accented letters are decomposed
+const DIACRITICS_PATTERN = /[\u0300-\u036f]/g;
+
+// Task fields that are searched, in display order
+export const SEARCH_FIELDS = ['subject', 'topic', 'notes'];
+
+/**
+ * Fold a single character for matching
+ * @param {string} char - One character
+ * @returns {string} - Lower-case character without accents (may be empty)
+ */
+const foldChar = (char) =>
+    char.normalize('NFD').replace(DIACRITICS_PATTERN, '').toLowerCase();
+
+/**
+ * Fold text for case- and accent-insensitive matching
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text
+ */
+export const foldText = (text) =>
+    (text || '').normalize('NFD').replace(DIACRITICS_PATTERN, '').toLowerCase();
+
+/**
+ * Split a search query into folded terms
+ * @param {string} query - Query as typed
+ * @returns {Array<string>} - Terms; every one must match
+ */
+export const getSearchTerms = (query) =>
+    foldText(query).split(/\s+/).filter(Boolean);
+
+/**
+ * Build a search index for a task list
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array<{task: object, text: string}>} - Tasks with their folded text
+ */
+export const buildSearchIndex = (tasks) =>
+    tasks.map(task => ({
+        task,
+        text: SEARCH_FIELDS.map(field => foldText(task[field])).join('\n'),
+    }));
+
+/**
+ * Find the tasks matching a query
+ * A task matches when every term appears in its subject, topic or notes.
+ * @param {Array} index - Index from buildSearchIndex
+ * @param {string} query - Query as typed
+ * @returns {Array} - Matching tasks, in index order (all tasks for a blank query)
+ */
+export const searchTasks = (index, query) => {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) {
+        return index.map(entry => entry.task);
+    }
+    return index
+        .filter(entry => terms.every(term => entry.text.includes(term)))
+        .map(entry => entry.task);
+};
+
+/**
+ * Split text into plain and highlighted parts for a query
+ * Matching is done on folded text, but the parts keep the original
+ * characters, so accents and capitals are shown as typed.
+ * @param {string} text - Text to display
+ * @param {string} query - Query as typed
+ * @returns {Array<{text: string, match: boolean}>} - Parts in order
+ */
+export const getHighlightParts = (text, query) => {
+    const source = text || '';
+    const terms = getSearchTerms(query);
+    if (!source || terms.length === 0) {
+        return [{ text: source, match: false }];
+    }
+
+    // Fold character by character, remembering where each folded
+    // character came from in the original text
+    let folded = '';
+    const origins = [];
+    Array.from(source).reduce((offset, char) => {
+        const foldedChar = foldChar(char);
+        folded += foldedChar;
+        for (let i = 0; i < foldedChar.length; i++) {
+            origins.push(offset);
+        }
+        return offset + char.length;
+    }, 0);
+
+    // Mark every original character covered by a term
+    const marked = new Array(source.length).fill(false);
+    terms.forEach(term => {
+        let start = folded.indexOf(term);
+        while (start !== -1) {
+            const from = origins[start];
+            const lastOrigin = origins[start + term.length - 1];
+            let to = lastOrigin + Array.from(source.slice(lastOrigin))[0].length;
+            // Keep separately typed accents with the letter they belong to
+            while (to < source.length && foldChar(source[to]) === '') {
+                to += 1;
+            }
+            marked.fill(true, from, to);
+            start = folded.indexOf(term, start + term.length);
+        }
+    });
+
+    // Join runs of marked / unmarked characters
+    const parts = [];
+    for (let i = 0; i < source.length; i++) {
+        const last = parts[parts.length - 1];
+        if (last && last.match === marked[i]) {
+            last.text += source[i];
+        } else {
+            parts.push({ text: source[i], match: marked[i] });
+        }
+    }
+    return parts;
+};
+
+/**
+ * Check whether text contains any term of a query
+ * @param {string} text - Text to check
+ * @param {string} query - Query as typed
+ * @returns {boolean} - True if any term is found in the text
+ */
+export const textMatchesQuery = (text, query) => {
+    const foldedText = foldText(text);
+    return getSearchTerms(query).some(term => foldedText.includes(term));
+};
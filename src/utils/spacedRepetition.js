@@ -0,0 +1,115 @@
+/**
+ * spacedRepetition.js - Spaced-Repetition Reviews (SM-2)
+ *
+ * Tasks with `spacedRepetition` turned on get a review task once they are
+ * completed. Each review is rated again / hard / good / easy; the rating
+ * adjusts the ease factor and decides when the next review is due, using
+ * the SM-2 algorithm. A failed review starts the intervals over.
+ *
+ * Review tasks carry `review: { sourceId, number, repetition, intervalDays,
+ * easeFactor, rating }`, where `rating` is filled in when it is done.
+ */
+
+import { addDays, startOfDay } from './recurrence';
+import { getDaysUntilDeadline, moveDeadlineToDay } from './helpers';
+
+// Recall ratings and the SM-2 quality (0-5) each stands for
+export const REVIEW_RATINGS = [
+    { value: 'again', label: 'Again', quality: 1 },
+    { value: 'hard', label: 'Hard', quality: 3 },
+    { value: 'good', label: 'Good', quality: 4 },
+    { value: 'easy', label: 'Easy', quality: 5 },
+];
+
+// Rating assumed when a review is ticked off without one
+export const DEFAULT_REVIEW_RATING = 'good';
+
+// SM-2 starting and minimum ease factors
+const INITIAL_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+// Study time given to each review task (hours)
+const REVIEW_STUDY_HOURS = 0.5;
+
+/**
+ * Work out the next review after a rating
+ * @param {object} review - Current review ({ repetition, intervalDays, easeFactor })
+ * @param {string} rating - Value from REVIEW_RATINGS
+ * @returns {object} - { repetition, intervalDays, easeFactor } for the next review
+ */
+export const getNextReview = (review, rating) => {
+    const { quality } = REVIEW_RATINGS.find(option => option.value === rating) ||
+        REVIEW_RATINGS.find(option => option.value === DEFAULT_REVIEW_RATING);
+
+    const easeFactor = Math.max(
+        MIN_EASE_FACTOR,
+        review.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    // Forgotten: start the intervals over
+    if (quality < 3) {
+        return { repetition: 0, intervalDays: 1, easeFactor };
+    }
+
+    const repetition = review.repetition + 1;
+    let intervalDays = Math.round(review.intervalDays * easeFactor);
+    if (repetition === 1) {
+        intervalDays = 1;
+    } else if (repetition === 2) {
+        intervalDays = 6;
+    }
+    return { repetition, intervalDays, easeFactor };
+};
+
+/**
+ * Build the review task that follows a completed task
+ * Completing a topic counts as the first successful repetition, so its
+ * first review is due the next day.
+ * @param {object} task - Task just completed (a topic or an earlier review)
+ * @param {string} newId - ID for the review task
+ * @param {Date} now - Completion time
+ * @returns {object|null} - Review task, or null if the task doesn't use reviews
+ */
+export const createReviewTask = (task, newId, now = new Date()) => {
+    if (!task.spacedRepetition) {
+        return null;
+    }
+
+    const next = task.review
+        ? getNextReview(task.review, task.review.rating || DEFAULT_REVIEW_RATING)
+        : { repetition: 1, intervalDays: 1, easeFactor: INITIAL_EASE_FACTOR };
+
+    return {
+        ...task,
+        id: newId,
+        studyTime: REVIEW_STUDY_HOURS,
+        deadline: moveDeadlineToDay(task.deadline, addDays(startOfDay(now), next.intervalDays)),
+        completed: false,
+        completedAt: null,
+        createdAt: now.toISOString(),
+        updatedAt: null,
+        revision: 0,
+        subtasks: [],
+        recurrence: null,
+        sessions: [],
+        seriesId: newId,
+        occurrence: 1,
+        review: {
+            sourceId: task.review ? task.review.sourceId : task.id,
+            number: task.review ? task.review.number + 1 : 1,
+            ...next,
+            rating: null,
+        },
+    };
+};
+
+/**
+ * Get the reviews due today or earlier
+ * @param {Array} tasks - Array of task objects
+ * @param {Date} now - Current time
+ * @returns {Array} - Pending review tasks, most overdue first
+ */
+export const getDueReviews = (tasks, now = new Date()) =>
+    tasks
+        .filter(task => task.review && !task.completed && getDaysUntilDeadline(task, now) <= 0)
+        .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
@@ -3,23 +3,292 @@
  * 
  * This module provides helper functions to safely interact with AsyncStorage
  * for persisting study tasks data locally on the device.
+ *
+ * Tasks are stored as a versioned payload ({ version, tasks }). Older data is
+ * upgraded step by step by the migration runner the first time it is read.
+ *
+ * Completions and study sessions are also appended to an activity log, so
+ * progress history survives tasks being reopened or deleted.
+ *
+ * Each signed-in profile gets its own namespace: every key is suffixed with
+ * the active account's id, so profiles sharing a device never see each
+ * other's data.
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { generateId, markTaskEdited, getDayKey } from './helpers';
+import { createNextOccurrence } from './recurrence';
+import { createReviewTask, DEFAULT_REVIEW_RATING } from './spacedRepetition';
 
 // Key used to store tasks in AsyncStorage
 const TASKS_STORAGE_KEY = '@smart_study_planner_tasks';
 
+// Key used to store the activity log (completions and study sessions)
+const ACTIVITY_STORAGE_KEY = '@smart_study_planner_activity';
+
+// Prefix for copies of the stored data taken before a migration runs
+const BACKUP_KEY_PREFIX = '@smart_study_planner_tasks_backup_v';
+
+// Version of the payload shape written by this build
+export const SCHEMA_VERSION = 11;
+
 /**
- * Save tasks array to AsyncStorage
+ * Migration steps, keyed by the version they upgrade FROM.
+ * Each step receives the task array in that version's shape and
+ * returns it in the next version's shape.
+ */
+const MIGRATIONS = {
+  // v1 -> v2: legacy raw array; make sure every task has the core fields
+  1: (tasks) => tasks.map(task => ({
+    ...task,
+    completed: !!task.completed,
+    createdAt: task.createdAt || new Date().toISOString(),
+  })),
+
+  // v2 -> v3: tasks gain a checklist of subtasks
+  2: (tasks) => tasks.map(task => ({
+    ...task,
+    subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+  })),
+
+  // v3 -> v4: tasks can repeat; each occurrence knows its series
+  3: (tasks) => tasks.map(task => ({
+    ...task,
+    recurrence: task.recurrence || null,
+    seriesId: task.seriesId || task.id,
+    occurrence: task.occurrence || 1,
+  })),
+
+  // v4 -> v5: tasks keep a log of timed study sessions
+  4: (tasks) => tasks.map(task => ({
+    ...task,
+    sessions: Array.isArray(task.sessions) ? task.sessions : [],
+  })),
+
+  // v5 -> v6: tasks link to the subject catalogue (filled in when it is first loaded)
+  5: (tasks) => tasks.map(task => ({
+    ...task,
+    subjectId: task.subjectId || null,
+  })),
+
+  // v6 -> v7: tasks gain free-text notes
+  6: (tasks) => tasks.map(task => ({
+    ...task,
+    notes: typeof task.notes === 'string' ? task.notes : '',
+  })),
+
+  // v7 -> v8: completed tasks remember when they were done (unknown for older ones)
+  7: (tasks) => tasks.map(task => ({
+    ...task,
+    completedAt: task.completedAt || null,
+  })),
+
+  // v8 -> v9: optional spaced-repetition reviews
+  8: (tasks) => tasks.map(task => ({
+    ...task,
+    spacedRepetition: !!task.spacedRepetition,
+    review: task.review || null,
+  })),
+
+  // v9 -> v10: prep tasks can be linked to an exam
+  9: (tasks) => tasks.map(task => ({
+    ...task,
+    examId: task.examId || null,
+  })),
+
+  // v10 -> v11: tasks count their edits (for calendar export updates)
+  10: (tasks) => tasks.map(task => ({
+    ...task,
+    updatedAt: task.updatedAt || null,
+    revision: task.revision || 0,
+  })),
+};
+
+// Pending/successful migration checks, keyed by storage key, so each
+// profile's data is only checked once per app session (failed checks are
+// retried on the next read or write)
+const migrationPromises = {};
+
+// Account id whose data is read and written (null when nobody is signed in)
+let activeNamespace = null;
+
+// Callbacks notified with the full task list after every successful write
+const changeListeners = new Set();
+
+/**
+ * Subscribe to task changes (add, edit, complete, delete, restore...)
+ * @param {Function} listener - Called with the saved task array
+ * @returns {Function} - Unsubscribe function
+ */
+export const onTasksChanged = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+/**
+ * Notify subscribers that the stored tasks changed
+ * A failing listener never breaks the write that triggered it.
+ * @param {Array} tasks - Tasks as now stored
+ */
+const notifyTasksChanged = (tasks) => {
+  changeListeners.forEach(listener => {
+    try {
+      listener(tasks);
+    } catch (error) {
+      console.error('Error in task change listener:', error);
+    }
+  });
+};
+
+/**
+ * Scope a storage key to the active profile
+ * @param {string} baseKey - Unscoped AsyncStorage key
+ * @returns {string} - Key for the active profile (the base key when signed out)
+ */
+export const getScopedKey = (baseKey) =>
+  activeNamespace ? `${baseKey}:${activeNamespace}` : baseKey;
+
+/**
+ * Hand tasks saved before profiles existed to the first profile that signs in
+ * Data already in the profile's namespace is never overwritten.
+ */
+const adoptLegacyTasks = async () => {
+  const legacyValue = await AsyncStorage.getItem(TASKS_STORAGE_KEY);
+  const scopedKey = getScopedKey(TASKS_STORAGE_KEY);
+  if (legacyValue == null || (await AsyncStorage.getItem(scopedKey)) != null) {
+    return;
+  }
+
+  await AsyncStorage.setItem(scopedKey, legacyValue);
+  await AsyncStorage.removeItem(TASKS_STORAGE_KEY);
+};
+
+/**
+ * Switch all reads and writes to another profile's namespace
+ * Subscribers are notified with the new profile's tasks.
+ * @param {string|null} namespace - Account id, or null when signing out
+ * @returns {Promise<boolean>} - Returns true if the switch was successful
+ */
+export const setStorageNamespace = async (namespace) => {
+  try {
+    activeNamespace = namespace || null;
+    if (activeNamespace) {
+      await adoptLegacyTasks();
+    }
+    notifyTasksChanged(await getTasks());
+    return true;
+  } catch (error) {
+    console.error('Error switching storage namespace:', error);
+    return false;
+  }
+};
+
+/**
+ * Read and unwrap the raw stored payload
+ * Legacy data (a bare array) is reported as version 1.
+ * @returns {Promise<{version: number, tasks: Array}|null>} - Payload or null if nothing is stored
+ */
+const readPayload = async () => {
+  const jsonValue = await AsyncStorage.getItem(getScopedKey(TASKS_STORAGE_KEY));
+  if (jsonValue == null) {
+    return null;
+  }
+
+  const parsed = JSON.parse(jsonValue);
+  if (Array.isArray(parsed)) {
+    return { version: 1, tasks: parsed, raw: jsonValue };
+  }
+
+  return {
+    version: parsed.version || 1,
+    tasks: Array.isArray(parsed.tasks) ? parsed.tasks : [],
+    raw: jsonValue,
+  };
+};
+
+/**
+ * Upgrade a list of tasks from an older schema version to the current one
+ * @param {Array} tasks - Tasks in the shape of `fromVersion`
+ * @param {number} fromVersion - Schema version the tasks were written with
+ * @returns {Array} - Tasks in the current schema shape
+ */
+export const migrateTaskList = (tasks, fromVersion) => {
+  let version = fromVersion || 1;
+  let migrated = tasks;
+
+  while (version < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration defined from schema v${version}`);
+    }
+    migrated = migrate(migrated);
+    version += 1;
+  }
+
+  return migrated;
+};
+
+/**
+ * Upgrade stored data to the current schema version
+ * Backs up the pre-migration data, then applies each step in order.
+ * @returns {Promise<boolean>} - Returns true if data is current (or was upgraded)
+ */
+const runMigrations = async () => {
+  try {
+    const payload = await readPayload();
+
+    // Nothing stored yet, or already current
+    if (!payload || payload.version === SCHEMA_VERSION) {
+      return true;
+    }
+
+    // Data written by a newer build - leave it untouched
+    if (payload.version > SCHEMA_VERSION) {
+      console.warn(
+        `Stored tasks use schema v${payload.version}, newer than supported v${SCHEMA_VERSION}`
+      );
+      return false;
+    }
+
+    // Keep an exact copy of the data before changing anything
+    await AsyncStorage.setItem(getScopedKey(`${BACKUP_KEY_PREFIX}${payload.version}`), payload.raw);
+
+    return await writeTasks(migrateTaskList(payload.tasks, payload.version));
+  } catch (error) {
+    console.error('Error migrating tasks:', error);
+    return false;
+  }
+};
+
+/**
+ * Make sure the migration check has run for the active profile
+ * A successful check is reused for the rest of the app session.
+ * @returns {Promise<boolean>} - Result of the migration check
+ */
+const ensureMigrated = () => {
+  const key = getScopedKey(TASKS_STORAGE_KEY);
+  if (!migrationPromises[key]) {
+    migrationPromises[key] = runMigrations().then(migrated => {
+      if (!migrated) {
+        delete migrationPromises[key];
+      }
+      return migrated;
+    });
+  }
+  return migrationPromises[key];
+};
+
+/**
+ * Write tasks to AsyncStorage, stamped with the current schema version
  * @param {Array} tasks - Array of task objects to save
  * @returns {Promise<boolean>} - Returns true if save was successful
  */
-export const saveTasks = async (tasks) => {
+const writeTasks = async (tasks) => {
   try {
-    // Convert tasks array to JSON string before storing
-    const jsonValue = JSON.stringify(tasks);
-    await AsyncStorage.setItem(TASKS_STORAGE_KEY, jsonValue);
+    // Wrap tasks with the schema version and convert to JSON before storing
+    const jsonValue = JSON.stringify({ version: SCHEMA_VERSION, tasks });
+    await AsyncStorage.setItem(getScopedKey(TASKS_STORAGE_KEY), jsonValue);
+    notifyTasksChanged(tasks);
     return true;
   } catch (error) {
     console.error('Error saving tasks:', error);
@@ -27,21 +296,53 @@ export const saveTasks = async (tasks) => {
   }
 };
 
+/**
+ * Save tasks array to AsyncStorage
+ * Refuses to write while the stored data is not at SCHEMA_VERSION (written
+ * by a newer build, or a migration failed), so it is never overwritten.
+ * @param {Array} tasks - Array of task objects to save
+ * @returns {Promise<boolean>} - Returns true if save was successful
+ */
+export const saveTasks = async (tasks) => {
+  if (!(await ensureMigrated())) {
+    console.error(`Not saving tasks: stored data could not be brought to schema v${SCHEMA_VERSION}`);
+    return false;
+  }
+  return writeTasks(tasks);
+};
+
 /**
  * Retrieve all tasks from AsyncStorage
+ * Runs any pending schema migrations on first use. Data that cannot be
+ * migrated is still returned as stored, but saveTasks won't write over it.
  * @returns {Promise<Array>} - Returns array of tasks or empty array if none exist
  */
 export const getTasks = async () => {
   try {
-    const jsonValue = await AsyncStorage.getItem(TASKS_STORAGE_KEY);
-    // Parse JSON string back to array, return empty array if null
-    return jsonValue != null ? JSON.parse(jsonValue) : [];
+    await ensureMigrated();
+    const payload = await readPayload();
+    // Return empty array if nothing has been stored yet
+    return payload ? payload.tasks : [];
   } catch (error) {
     console.error('Error getting tasks:', error);
     return [];
   }
 };
 
+/**
+ * Retrieve the pre-migration backup for a given schema version
+ * @param {number} version - Schema version the backup was taken from
+ * @returns {Promise<string|null>} - Raw JSON of the backup, or null if none exists
+ */
+export const getMigrationBackup = async (version) => {
+  try {
+    return await AsyncStorage.getItem(getScopedKey(`${BACKUP_KEY_PREFIX}${version}`));
+  } catch (error) {
+    console.error('Error reading migration backup:', error);
+    return null;
+  }
+};
+
 /**
  * Update a specific task by its ID
  * @param {string} taskId - The ID of the task to update
@@ -56,7 +357,7 @@ export const updateTask = async (taskId, updates) => {
     // Find and update the specific task
     const updatedTasks = tasks.map(task => {
       if (task.id === taskId) {
-        return { ...task, ...updates };
+        return markTaskEdited(task, updates);
       }
       return task;
     });
@@ -69,6 +370,244 @@ export const updateTask = async (taskId, updates) => {
   }
 };
 
+/**
+ * Apply changes to several tasks in a single write
+ * @param {Object} updatesById - Map of task ID to the fields to change
+ * @returns {Promise<boolean>} - Returns true if update was successful
+ */
+export const updateTasks = async (updatesById) => {
+  try {
+    const tasks = await getTasks();
+    const updatedTasks = tasks.map(task => (
+      updatesById[task.id] ? markTaskEdited(task, updatesById[task.id]) : task
+    ));
+    return await saveTasks(updatedTasks);
+  } catch (error) {
+    console.error('Error updating tasks:', error);
+    return false;
+  }
+};
+
+/**
+ * Build activity events from what tasks already record
+ * Only used for data saved before the log existed; tasks completed without
+ * a known completion time are left out.
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array} - Activity events, oldest first
+ */
+const deriveActivityFromTasks = (tasks) => {
+  const events = [];
+  tasks.forEach(task => {
+    (task.sessions || []).forEach(session => {
+      if (session.startedAt) {
+        events.push(createSessionEvent(task, session));
+      }
+    });
+    if (task.completed && task.completedAt) {
+      events.push(createCompletionEvent(task, task.completedAt));
+    }
+  });
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+/**
+ * Build the activity event for a completed task
+ * The task's hours are copied so the event still counts if it is deleted.
+ * @param {Object} task - Task as it was when completed
+ * @param {string} at - Completion time (ISO string)
+ * @returns {Object} - { id, type: 'completed', taskId, at, studyTime, timed, createdAt }
+ */
+const createCompletionEvent = (task, at) => ({
+  id: generateId(),
+  type: 'completed',
+  taskId: task.id,
+  at,
+  studyTime: Number(task.studyTime) || 0,
+  // Timed tasks have their hours counted from their study sessions instead
+  timed: (task.sessions || []).length > 0,
+  createdAt: task.createdAt || at,
+});
+
+/**
+ * Build the activity event for a study session
+ * @param {Object} task - Task that was studied
+ * @param {Object} session - Session details ({ startedAt, minutes })
+ * @returns {Object} - { id, type: 'session', taskId, at, minutes }
+ */
+const createSessionEvent = (task, session) => ({
+  id: generateId(),
+  type: 'session',
+  taskId: task.id,
+  at: session.startedAt,
+  minutes: session.minutes || 0,
+});
+
+/**
+ * Retrieve the activity log
+ * Profiles saved before the log existed get one derived from their tasks.
+ * @returns {Promise<Array>} - Events ({ type: 'completed' | 'reopened' | 'session', taskId, at, ... })
+ */
+export const getActivityLog = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(getScopedKey(ACTIVITY_STORAGE_KEY));
+    return jsonValue != null
+      ? JSON.parse(jsonValue)
+      : deriveActivityFromTasks(await getTasks());
+  } catch (error) {
+    console.error('Error getting activity log:', error);
+    return [];
+  }
+};
+
+/**
+ * Change the activity log
+ * @param {Array} previousTasks - Tasks before the change (seed the log if it doesn't exist yet)
+ * @param {Function} change - Receives the current events and returns the new list
+ * @returns {Promise<boolean>} - Returns true if the log was saved
+ */
+const updateActivityLog = async (previousTasks, change) => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(getScopedKey(ACTIVITY_STORAGE_KEY));
+    const events = jsonValue != null ? JSON.parse(jsonValue) : deriveActivityFromTasks(previousTasks);
+    await AsyncStorage.setItem(getScopedKey(ACTIVITY_STORAGE_KEY), JSON.stringify(change(events)));
+    return true;
+  } catch (error) {
+    console.error('Error updating activity log:', error);
+    return false;
+  }
+};
+
+/**
+ * Record a task being completed or reopened in the activity log
+ * Reopening a task completed earlier the same day is treated as undoing
+ * that completion; otherwise earlier days keep their completions.
+ * @param {Array} previousTasks - Tasks before the change
+ * @param {Object} task - Task as it was before the change
+ * @param {boolean} completed - New completion state
+ * @param {string} at - Time of the change (ISO string)
+ * @returns {Promise<boolean>} - Returns true if the log was saved
+ */
+const recordCompletionChange = (previousTasks, task, completed, at) =>
+  updateActivityLog(previousTasks, events => {
+    if (completed) {
+      return [...events, createCompletionEvent(task, at)];
+    }
+
+    const lastCompletion = [...events].reverse()
+      .find(event => event.taskId === task.id && event.type === 'completed');
+    if (lastCompletion && getDayKey(new Date(lastCompletion.at)) === getDayKey(new Date(at))) {
+      return events.filter(event => event !== lastCompletion);
+    }
+    return [...events, { id: generateId(), type: 'reopened', taskId: task.id, at }];
+  });
+
+/**
+ * Mark a task as completed or pending
+ * Completing stamps `completedAt` (kept if the task was already done);
+ * reopening clears it. Completing an occurrence of a recurring task also
+ * creates the next one, and completing a task with spaced repetition
+ * schedules its next review.
+ * @param {string} taskId - The ID of the task to update
+ * @param {boolean} completed - New completion state
+ * @param {Object} updates - Optional extra fields to save with the change
+ * @returns {Promise<boolean>} - Returns true if update was successful
+ */
+export const setTaskCompleted = async (taskId, completed, updates = {}) => {
+  try {
+    const tasks = await getTasks();
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) {
+      return false;
+    }
+
+    const completedAt = completed
+      ? (task.completed && task.completedAt) || new Date().toISOString()
+      : null;
+    let updatedTasks = tasks.map(t =>
+      t.id === taskId ? markTaskEdited(t, { ...updates, completed, completedAt }) : t
+    );
+
+    // Generate the next occurrence once, the first time this one is completed
+    if (completed && !task.completed && task.recurrence) {
+      const nextTask = createNextOccurrence(task, generateId());
+      const alreadyCreated = nextTask && tasks.some(t =>
+        t.seriesId === nextTask.seriesId && t.occurrence === nextTask.occurrence
+      );
+      if (nextTask && !alreadyCreated) {
+        updatedTasks = [...updatedTasks, nextTask];
+      }
+    }
+
+    // Schedule the next review once, the first time this task is completed
+    if (completed && !task.completed && task.spacedRepetition) {
+      const reviewTask = createReviewTask({ ...task, ...updates }, generateId());
+      const alreadyScheduled = tasks.some(t =>
+        t.review &&
+        t.review.sourceId === reviewTask.review.sourceId &&
+        t.review.number === reviewTask.review.number
+      );
+      if (!alreadyScheduled) {
+        updatedTasks = [...updatedTasks, reviewTask];
+      }
+    }
+
+    const saved = await saveTasks(updatedTasks);
+    if (saved && completed !== !!task.completed) {
+      await recordCompletionChange(tasks, { ...task, ...updates }, completed, completedAt || new Date().toISOString());
+    }
+    return saved;
+  } catch (error) {
+    console.error('Error updating task completion:', error);
+    return false;
+  }
+};
+
+/**
+ * Complete a review task with a recall rating
+ * The rating decides when the next review is due.
+ * @param {string} taskId - The ID of the review task
+ * @param {string} rating - 'again', 'hard', 'good' or 'easy'
+ * @returns {Promise<boolean>} - Returns true if the review was saved
+ */
+export const completeReview = async (taskId, rating = DEFAULT_REVIEW_RATING) => {
+  try {
+    const task = (await getTasks()).find(t => t.id === taskId);
+    if (!task || !task.review) {
+      return false;
+    }
+    return await setTaskCompleted(taskId, true, { review: { ...task.review, rating } });
+  } catch (error) {
+    console.error('Error completing review:', error);
+    return false;
+  }
+};
+
+/**
+ * Record a finished study session against a task
+ * @param {string} taskId - The ID of the task that was studied
+ * @param {Object} session - Session details ({ id, startedAt, endedAt, minutes })
+ * @returns {Promise<boolean>} - Returns true if the session was saved
+ */
+export const logStudySession = async (taskId, session) => {
+  try {
+    const tasks = await getTasks();
+    const updatedTasks = tasks.map(task => {
+      if (task.id === taskId) {
+        return { ...task, sessions: [...(task.sessions || []), session] };
+      }
+      return task;
+    });
+    const saved = await saveTasks(updatedTasks);
+    if (saved) {
+      await updateActivityLog(tasks, events => [...events, createSessionEvent({ id: taskId }, session)]);
+    }
+    return saved;
+  } catch (error) {
+    console.error('Error logging study session:', error);
+    return false;
+  }
+};
+
 /**
  * Add a new task to storage
  * @param {Object} newTask - The new task object to add
@@ -90,6 +629,21 @@ export const addTask = async (newTask) => {
   }
 };
 
+/**
+ * Add several new tasks to storage in a single write
+ * @param {Array} newTasks - Task objects to add
+ * @returns {Promise<boolean>} - Returns true if add was successful
+ */
+export const addTasks = async (newTasks) => {
+  try {
+    const tasks = await getTasks();
+    return await saveTasks([...tasks, ...newTasks]);
+  } catch (error) {
+    console.error('Error adding tasks:', error);
+    return false;
+  }
+};
+
 /**
  * Delete a task by its ID
  * @param {string} taskId - The ID of the task to delete
@@ -107,15 +661,37 @@ export const deleteTask = async (taskId) => {
 };
 
 /**
- * Clear all tasks from storage
- * @returns {Promise<boolean>} - Returns true if clear was successful
+ * Restore a previously deleted task at its original position
+ * The task is written back unchanged, so its id and createdAt are preserved.
+ * @param {Object} task - The deleted task object
+ * @param {number} index - Position the task held before it was deleted
+ * @returns {Promise<boolean>} - Returns true if restore was successful
  */
-export const clearAllTasks = async () => {
+export const restoreTask = async (task, index) => {
   try {
-    await AsyncStorage.removeItem(TASKS_STORAGE_KEY);
-    return true;
+    const tasks = await getTasks();
+
+    // Nothing to do if the task is already back in storage
+    if (tasks.some(t => t.id === task.id)) {
+      return true;
+    }
+
+    // Re-insert at the original index (or at the end if the list shrank)
+    const position = index >= 0 ? Math.min(index, tasks.length) : tasks.length;
+    const updatedTasks = [...tasks];
+    updatedTasks.splice(position, 0, task);
+
+    return await saveTasks(updatedTasks);
   } catch (error) {
-    console.error('Error clearing tasks:', error);
+    console.error('Error restoring task:', error);
     return false;
   }
 };
+
+/**
+ * Clear all tasks from storage
+ * Stores an empty list through saveTasks rather than removing the key, so
+ * data a newer build wrote is left alone just like any other save.
+ * @returns {Promise<boolean>} - Returns true if clear was successful
+ */
+export const clearAllTasks = () => saveTasks([]);
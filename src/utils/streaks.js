@@ -0,0 +1,160 @@
+/**
+ * streaks.js - Daily Goal & Streak Tracking
+ *
+ * Works out how much was studied on a day (hours logged or tasks
+ * completed) and keeps a per-profile history of whether the daily goal
+ * was met. Past days are recorded with the goal that applied at the
+ * time, so changing the goal never rewrites an earlier streak.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getScopedKey } from './storage';
+import { getDayKey } from './helpers';
+import { startOfDay, addDays } from './recurrence';
+
+// Key used to store the goal history in AsyncStorage (scoped per profile)
+const STREAK_STORAGE_KEY = '@smart_study_planner_streaks';
+
+// Days looked back when filling in days the app was not opened
+const MAX_BACKFILL_DAYS = 60;
+
+/**
+ * Work out how much was studied on a day
+ * Hours are the focus sessions logged that day, plus the planned hours of
+ * tasks completed that day without using the timer.
+ * @param {Array} events - Activity log from getActivityLog
+ * @param {Date} day - Day to total
+ * @returns {object} - { hours, tasks }
+ */
+export const getDayProgress = (events, day) => {
+    const key = getDayKey(day);
+    let minutes = 0;
+    let completedCount = 0;
+
+    events
+        .filter(event => getDayKey(new Date(event.at)) === key)
+        .forEach(event => {
+            if (event.type === 'session') {
+                minutes += event.minutes || 0;
+            } else if (event.type === 'completed') {
+                completedCount += 1;
+                if (!event.timed) {
+                    minutes += (event.studyTime || 0) * 60;
+                }
+            }
+        });
+
+    return { hours: minutes / 60, tasks: completedCount };
+};
+
+/**
+ * Share of the daily goal reached
+ * @param {object} progress - { hours, tasks } from getDayProgress
+ * @param {object} goal - { type: 'hours' | 'tasks', target }
+ * @returns {number} - Percentage (0-100)
+ */
+export const getGoalPercent = (progress, { type, target }) => {
+    if (!target) {
+        return 0;
+    }
+    return Math.min(100, Math.round((progress[type] / target) * 100));
+};
+
+/**
+ * Read the stored goal history
+ * @returns {Promise<object>} - Map of day key to { hours, tasks, type, target, met }
+ */
+export const getGoalHistory = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(getScopedKey(STREAK_STORAGE_KEY));
+        return jsonValue != null ? JSON.parse(jsonValue) : {};
+    } catch (error) {
+        console.error('Error loading goal history:', error);
+        return {};
+    }
+};
+
+/**
+ * Bring the goal history up to date
+ * Today is always refreshed; days since the last entry are filled in
+ * from the activity log using the current goal. Earlier entries are kept
+ * as is, and a day once met stays met.
+ * @param {Array} events - Activity log from getActivityLog
+ * @param {object} goal - { type: 'hours' | 'tasks', target }
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} - Updated history (the old one if saving failed)
+ */
+export const recordGoalProgress = async (events, goal, now = new Date()) => {
+    const history = await getGoalHistory();
+    const today = startOfDay(now);
+    const updated = { ...history };
+
+    const recordedDays = Object.keys(history).sort();
+    const lastRecorded = recordedDays.length > 0
+        ? startOfDay(new Date(`${recordedDays[recordedDays.length - 1]}T00:00:00`))
+        : today;
+    const firstDay = lastRecorded < addDays(today, -MAX_BACKFILL_DAYS)
+        ? addDays(today, -MAX_BACKFILL_DAYS)
+        : lastRecorded;
+
+    const todayKey = getDayKey(today);
+    for (let day = firstDay; day <= today; day = addDays(day, 1)) {
+        const key = getDayKey(day);
+        // Today follows the current goal; a day recorded earlier keeps its own
+        const previous = key !== todayKey ? history[key] : null;
+        if (previous && previous.met) {
+            continue;
+        }
+        const dayGoal = previous ? { type: previous.type, target: previous.target } : goal;
+        const progress = getDayProgress(events, day);
+        updated[key] = {
+            ...progress,
+            ...dayGoal,
+            met: getGoalPercent(progress, dayGoal) >= 100,
+        };
+    }
+
+    try {
+        await AsyncStorage.setItem(getScopedKey(STREAK_STORAGE_KEY), JSON.stringify(updated));
+        return updated;
+    } catch (error) {
+        console.error('Error saving goal history:', error);
+        return history;
+    }
+};
+
+/**
+ * Count consecutive days the goal was met
+ * A streak is still alive while today's goal is not met yet, so it counts
+ * back from yesterday in that case.
+ * @param {object} history - Goal history from recordGoalProgress
+ * @param {Date} now - Current time
+ * @returns {object} - { current, best }
+ */
+export const getStreak = (history, now = new Date()) => {
+    const today = startOfDay(now);
+    const isMet = (day) => !!history[getDayKey(day)]?.met;
+
+    let current = 0;
+    let day = isMet(today) ? today : addDays(today, -1);
+    while (isMet(day)) {
+        current += 1;
+        day = addDays(day, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(history).sort().forEach(key => {
+        if (!history[key].met) {
+            run = 0;
+        } else {
+            const date = new Date(`${key}T00:00:00`);
+            run = previous && addDays(previous, 1).getTime() === date.getTime() && run > 0 ? run + 1 : 1;
+            best = Math.max(best, run);
+        }
+        previous = new Date(`${key}T00:00:00`);
+    });
+
+    return { current, best: Math.max(best, current) };
+};
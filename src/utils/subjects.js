@@ -0,0 +1,449 @@
+/**
+ * subjects.js - Subject Catalogue
+ *
+ * Subjects are stored once per profile with a name, color, instructor,
+ * credit weight and archived flag. Tasks point at a subject through
+ * `subjectId` and keep a copy of its name in `subject` for display.
+ *
+ * Names are matched ignoring case and extra spaces, so "Math", "math"
+ * and " MATH " all resolve to the same subject.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { getTasks, saveTasks, getScopedKey } from './storage';
+import {
+    generateId,
+    calculateProgress,
+    isTaskOverdue,
+    getDaysUntilDeadline,
+    markTaskEdited
+} from './helpers';
+
+// Key used to store the catalogue in AsyncStorage (scoped per profile)
+const SUBJECTS_STORAGE_KEY = '@smart_study_planner_subjects';
+
+// Pending/finished catalogue seeding, keyed by storage key
+const seedPromises = {};
+
+// Palette new subjects cycle through
+export const SUBJECT_COLORS = [
+    '#4A90E2',
+    '#6C5CE7',
+    '#2ED573',
+    '#FFA502',
+    '#FF4757',
+    '#00B8D9',
+    '#E056FD',
+    '#FF7F50',
+    '#20BF6B',
+    '#778CA3',
+];
+
+// Orders offered for the per-subject breakdown
+export const SUBJECT_SORT_OPTIONS = [
+    { value: 'lagging', label: 'Lagging' },
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'deadline', label: 'Next deadline' },
+    { value: 'remaining', label: 'Hours left' },
+    { value: 'name', label: 'Name' },
+];
+
+// Color used for tasks whose subject is not in the catalogue
+export const DEFAULT_SUBJECT_COLOR = '#A0AEC0';
+
+/**
+ * Normalise a subject name for matching
+ * @param {string} name - Name as typed
+ * @returns {string} - Lower-case name with single spaces
+ */
+export const normalizeSubjectName = (name) =>
+    (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Find a subject by name
+ * @param {Array} subjects - Subject catalogue
+ * @param {string} name - Name to look for
+ * @returns {object|undefined} - Matching subject
+ */
+export const findSubjectByName = (subjects, name) => {
+    const normalized = normalizeSubjectName(name);
+    return subjects.find(subject => normalizeSubjectName(subject.name) === normalized);
+};
+
+/**
+ * Pick the palette color used least by existing subjects
+ * @param {Array} subjects - Subject catalogue
+ * @returns {string} - Hex color
+ */
+const pickNextColor = (subjects) => {
+    const usage = SUBJECT_COLORS.map(color =>
+        subjects.filter(subject => subject.color === color).length
+    );
+    return SUBJECT_COLORS[usage.indexOf(Math.min(...usage))];
+};
+
+/**
+ * Build a new subject object with defaults
+ * @param {object} fields - Subject fields (name required)
+ * @param {Array} subjects - Existing catalogue (for the default color)
+ * @returns {object} - Subject object ready to store
+ */
+const createSubject = (fields, subjects) => ({
+    id: generateId(),
+    color: pickNextColor(subjects),
+    instructor: '',
+    credits: null,
+    archived: false,
+    createdAt: new Date().toISOString(),
+    ...fields,
+    name: fields.name.trim().replace(/\s+/g, ' '),
+});
+
+/**
+ * Save the subject catalogue
+ * @param {Array} subjects - Subjects to store
+ * @returns {Promise<boolean>} - Returns true if save was successful
+ */
+export const saveSubjects = async (subjects) => {
+    try {
+        await AsyncStorage.setItem(getScopedKey(SUBJECTS_STORAGE_KEY), JSON.stringify(subjects));
+        return true;
+    } catch (error) {
+        console.error('Error saving subjects:', error);
+        return false;
+    }
+};
+
+/**
+ * Point tasks at catalogue subjects, adding subjects for unknown names
+ * @param {Array} tasks - Tasks to link
+ * @param {Array} subjects - Subject catalogue (extended in place)
+ * @returns {Array} - Tasks with subjectId and subject name filled in
+ */
+const linkToCatalogue = (tasks, subjects) =>
+    tasks.map(task => {
+        const byId = task.subjectId && subjects.find(subject => subject.id === task.subjectId);
+        if (byId) {
+            return { ...task, subject: byId.name };
+        }
+        if (!normalizeSubjectName(task.subject)) {
+            return task;
+        }
+
+        let subject = findSubjectByName(subjects, task.subject);
+        if (!subject) {
+            subject = createSubject({ name: task.subject }, subjects);
+            subjects.push(subject);
+        }
+        return { ...task, subjectId: subject.id, subject: subject.name };
+    });
+
+/**
+ * Get the subject catalogue
+ * @returns {Promise<Array>} - Subjects (including archived ones)
+ */
+export const getSubjects = async () => {
+    try {
+        const jsonValue = await AsyncStorage.getItem(getScopedKey(SUBJECTS_STORAGE_KEY));
+        return jsonValue != null ? JSON.parse(jsonValue) : [];
+    } catch (error) {
+        console.error('Error getting subjects:', error);
+        return [];
+    }
+};
+
+/**
+ * Create the catalogue for a profile that doesn't have one yet
+ * Subjects are made from the names already typed on the profile's tasks,
+ * and those tasks are linked to them.
+ * @returns {Promise<boolean>} - Returns true if the catalogue exists (or was created)
+ */
+const seedCatalogue = async () => {
+    try {
+        if (await AsyncStorage.getItem(getScopedKey(SUBJECTS_STORAGE_KEY)) != null) {
+            return true;
+        }
+
+        const subjects = [];
+        const tasks = await getTasks();
+        const linkedTasks = linkToCatalogue(tasks, subjects);
+        if (!(await saveSubjects(subjects))) {
+            return false;
+        }
+        // Tasks left unlinked by a failed save still match their subject by name
+        if (tasks.length > 0) {
+            await saveTasks(linkedTasks);
+        }
+        return true;
+    } catch (error) {
+        console.error('Error seeding subjects:', error);
+        return false;
+    }
+};
+
+/**
+ * Make sure the active profile has a subject catalogue
+ * Called once when a profile is activated; callers arriving while it runs
+ * share the same pass, so tasks are only ever linked to saved subjects.
+ * @returns {Promise<boolean>} - Returns true if the catalogue is ready
+ */
+export const ensureSubjectCatalogue = () => {
+    const key = getScopedKey(SUBJECTS_STORAGE_KEY);
+    if (!seedPromises[key]) {
+        seedPromises[key] = seedCatalogue().then(ready => {
+            if (!ready) {
+                delete seedPromises[key];
+            }
+            return ready;
+        });
+    }
+    return seedPromises[key];
+};
+
+/**
+ * Add a subject to the catalogue
+ * @param {object} fields - { name, color?, instructor?, credits? }
+ * @returns {Promise<{subject: object|null, error: string}>} - New subject, or an error message
+ */
+export const addSubject = async (fields) => {
+    try {
+        if (!normalizeSubjectName(fields.name)) {
+            return { subject: null, error: 'Subject name is required' };
+        }
+
+        const subjects = await getSubjects();
+        if (findSubjectByName(subjects, fields.name)) {
+            return { subject: null, error: 'A subject with this name already exists' };
+        }
+
+        const subject = createSubject(fields, subjects);
+        const success = await saveSubjects([...subjects, subject]);
+        return success
+            ? { subject, error: '' }
+            : { subject: null, error: 'Failed to save the subject. Please try again.' };
+    } catch (error) {
+        console.error('Error adding subject:', error);
+        return { subject: null, error: 'Failed to save the subject. Please try again.' };
+    }
+};
+
+/**
+ * Update a subject; renaming also renames it on every linked task
+ * @param {string} subjectId - ID of the subject to update
+ * @param {object} updates - Fields to change
+ * @returns {Promise<{subject: object|null, error: string}>} - Updated subject, or an error message
+ */
+export const updateSubject = async (subjectId, updates) => {
+    try {
+        const subjects = await getSubjects();
+        const current = subjects.find(subject => subject.id === subjectId);
+        if (!current) {
+            return { subject: null, error: 'Subject not found' };
+        }
+
+        if (updates.name !== undefined) {
+            if (!normalizeSubjectName(updates.name)) {
+                return { subject: null, error: 'Subject name is required' };
+            }
+            const clash = findSubjectByName(subjects, updates.name);
+            if (clash && clash.id !== subjectId) {
+                return { subject: null, error: 'A subject with this name already exists' };
+            }
+        }
+
+        const subject = {
+            ...current,
+            ...updates,
+            name: (updates.name ?? current.name).trim().replace(/\s+/g, ' '),
+        };
+        await saveSubjects(subjects.map(item => (item.id === subjectId ? subject : item)));
+
+        // Keep the display name on tasks in step with the catalogue
+        if (subject.name !== current.name) {
+            const tasks = await getTasks();
+            await saveTasks(tasks.map(task =>
+                task.subjectId === subjectId ? markTaskEdited(task, { subject: subject.name }) : task
+            ));
+        }
+
+        return { subject, error: '' };
+    } catch (error) {
+        console.error('Error updating subject:', error);
+        return { subject: null, error: 'Failed to save the subject. Please try again.' };
+    }
+};
+
+/**
+ * Find a subject by name, creating it if it doesn't exist yet
+ * Archived subjects are reused (and un-archived) rather than duplicated.
+ * @param {string} name - Subject name as typed
+ * @returns {Promise<object|null>} - Subject, or null if it could not be saved
+ */
+export const getOrCreateSubject = async (name) => {
+    const existing = findSubjectByName(await getSubjects(), name);
+    if (existing) {
+        if (existing.archived) {
+            return (await updateSubject(existing.id, { archived: false })).subject;
+        }
+        return existing;
+    }
+    return (await addSubject({ name })).subject;
+};
+
+/**
+ * Link new tasks (e.g. from an import) to the catalogue
+ * Subjects are created for names that aren't in it yet.
+ * @param {Array} tasks - Tasks with a `subject` name
+ * @returns {Promise<Array>} - Tasks with subjectId set
+ */
+export const linkTasksToSubjects = async (tasks) => {
+    try {
+        const subjects = await getSubjects();
+        const knownCount = subjects.length;
+        const linkedTasks = linkToCatalogue(tasks, subjects);
+        if (subjects.length !== knownCount) {
+            await saveSubjects(subjects);
+        }
+        return linkedTasks;
+    } catch (error) {
+        console.error('Error linking tasks to subjects:', error);
+        return tasks;
+    }
+};
+
+/**
+ * Work out the catalogue after restoring a backup
+ * Backup subjects are matched to catalogue ones by ID, then by name, so a
+ * backup from another device doesn't duplicate subjects; a matched subject
+ * keeps its local ID and takes the backup's details. In 'replace' mode the
+ * catalogue starts empty, like the task list. Tasks are pointed at the
+ * surviving subjects, and any still unknown (e.g. from a backup made before
+ * subjects were included) are linked by name.
+ * @param {Array} currentSubjects - Subjects on this device
+ * @param {Array} incomingSubjects - Subjects from the backup
+ * @param {Array} tasks - Tasks about to be restored
+ * @param {string} mode - 'merge' or 'replace'
+ * @returns {object} - { subjects, tasks, subjectIdMap } (map of backup ID to catalogue ID)
+ */
+export const planSubjectRestore = (currentSubjects, incomingSubjects, tasks, mode) => {
+    const subjects = mode === 'replace' ? [] : [...currentSubjects];
+    const subjectIdMap = {};
+
+    incomingSubjects.forEach(incoming => {
+        const match = subjects.find(subject => subject.id === incoming.id) ||
+            findSubjectByName(subjects, incoming.name);
+        if (match) {
+            subjects[subjects.indexOf(match)] = { ...match, ...incoming, id: match.id };
+            subjectIdMap[incoming.id] = match.id;
+        } else {
+            subjects.push(incoming);
+            subjectIdMap[incoming.id] = incoming.id;
+        }
+    });
+
+    const remappedTasks = tasks.map(task => (
+        subjectIdMap[task.subjectId] && subjectIdMap[task.subjectId] !== task.subjectId
+            ? { ...task, subjectId: subjectIdMap[task.subjectId] }
+            : task
+    ));
+
+    return { subjects, tasks: linkToCatalogue(remappedTasks, subjects), subjectIdMap };
+};
+
+/**
+ * Get the subject a task belongs to
+ * Falls back to matching by name, then to a neutral placeholder.
+ * @param {Array} subjects - Subject catalogue
+ * @param {object} task - Task object
+ * @returns {object} - Subject (placeholder has id null)
+ */
+export const getSubjectForTask = (subjects, task) =>
+    subjects.find(subject => subject.id === task.subjectId) ||
+    findSubjectByName(subjects, task.subject) || {
+        id: null,
+        name: task.subject,
+        color: DEFAULT_SUBJECT_COLOR,
+        instructor: '',
+        credits: null,
+        archived: false,
+    };
+
+/**
+ * Group tasks by subject
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} subjects - Subject catalogue
+ * @returns {Array} - [{ subject, tasks }] in catalogue order, subjects without tasks omitted
+ */
+export const groupTasksBySubject = (tasks, subjects) => {
+    const groups = new Map();
+
+    tasks.forEach(task => {
+        const subject = getSubjectForTask(subjects, task);
+        const key = subject.id || `name:${normalizeSubjectName(subject.name)}`;
+        if (!groups.has(key)) {
+            groups.set(key, { subject, tasks: [] });
+        }
+        groups.get(key).tasks.push(task);
+    });
+
+    const order = subjects.map(subject => subject.id);
+    return Array.from(groups.values()).sort((a, b) => {
+        const indexA = a.subject.id ? order.indexOf(a.subject.id) : order.length;
+        const indexB = b.subject.id ? order.indexOf(b.subject.id) : order.length;
+        return indexA - indexB;
+    });
+};
+
+/**
+ * Summarise progress for each subject
+ * @param {Array} tasks - Array of task objects
+ * @param {Array} subjects - Subject catalogue
+ * @param {Date} now - Current time
+ * @returns {Array} - [{ subject, tasks, progress, completedCount, completedHours,
+ *   remainingHours, overdueCount, nextDeadline }] in catalogue order
+ */
+export const summarizeSubjects = (tasks, subjects, now = new Date()) =>
+    groupTasksBySubject(tasks, subjects).map(({ subject, tasks: subjectTasks }) => {
+        const pendingTasks = subjectTasks.filter(task => !task.completed);
+        const hoursOf = (list) => list.reduce((sum, task) => sum + (Number(task.studyTime) || 0), 0);
+
+        // Earliest deadline today or later (overdue tasks are counted separately)
+        const upcoming = pendingTasks
+            .filter(task => getDaysUntilDeadline(task, now) >= 0)
+            .map(task => new Date(task.deadline))
+            .sort((a, b) => a - b);
+
+        return {
+            subject,
+            tasks: subjectTasks,
+            progress: calculateProgress(subjectTasks),
+            completedCount: subjectTasks.length - pendingTasks.length,
+            completedHours: hoursOf(subjectTasks.filter(task => task.completed)),
+            remainingHours: hoursOf(pendingTasks),
+            overdueCount: pendingTasks.filter(task => isTaskOverdue(task, now)).length,
+            nextDeadline: upcoming.length > 0 ? upcoming[0].toISOString() : null,
+        };
+    });
+
+/**
+ * Sort subject summaries
+ * @param {Array} summaries - Summaries from summarizeSubjects
+ * @param {string} mode - Sort mode from SUBJECT_SORT_OPTIONS
+ * @returns {Array} - New sorted array (ties keep catalogue order)
+ */
+export const sortSubjectSummaries = (summaries, mode = 'lagging') => {
+    const byName = (a, b) => a.subject.name.localeCompare(b.subject.name);
+    const compare = {
+        lagging: (a, b) => a.progress - b.progress,
+        overdue: (a, b) => b.overdueCount - a.overdueCount,
+        deadline: (a, b) => {
+            if (!a.nextDeadline || !b.nextDeadline) {
+                return (a.nextDeadline ? 0 : 1) - (b.nextDeadline ? 0 : 1);
+            }
+            return new Date(a.nextDeadline) - new Date(b.nextDeadline);
+        },
+        remaining: (a, b) => b.remainingHours - a.remainingHours,
+        name: byName,
+    }[mode] || byName;
+    return [...summaries].sort(compare);
+};
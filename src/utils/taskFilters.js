@@ -0,0 +1,157 @@
+/**
+ * taskFilters.js - Task List Sorting and Filtering
+ *
+ * Sort modes and filters for the task list. Deadlines are compared by
+ * calendar day, and "this week" follows the week start chosen in Settings.
+ */
+
+import { startOfDay, addDays } from './recurrence';
+import { sortByPriority, getDaysUntilDeadline } from './helpers';
+
+// Sort modes offered on the task list
+export const SORT_OPTIONS = [
+    { value: 'priority', label: 'Priority' },
+    { value: 'urgency', label: 'Urgency' },
+    { value: 'deadline', label: 'Deadline' },
+    { value: 'created', label: 'Newest' },
+    { value: 'studyTime', label: 'Study Time' },
+    { value: 'subject', label: 'Subject' },
+];
+
+// Deadline ranges; each pending task falls in exactly one
+export const DEADLINE_RANGE_OPTIONS = [
+    { value: 'any', label: 'Any time' },
+    { value: 'overdue', label: 'Overdue' },
+    { value: 'today', label: 'Today' },
+    { value: 'week', label: 'This week' },
+    { value: 'later', label: 'Later' },
+];
+
+export const PRIORITY_FILTER_OPTIONS = [
+    { value: null, label: 'Any' },
+    { value: 'High', label: 'High' },
+    { value: 'Medium', label: 'Medium' },
+    { value: 'Low', label: 'Low' },
+];
+
+export const DEFAULT_TASK_FILTERS = {
+    status: 'all', // all, pending, completed
+    subjectId: null,
+    priority: null,
+    deadlineRange: 'any',
+};
+
+const PRIORITY_RANK = { high: 1, medium: 2, low: 3 };
+
+// Days an urgency sort brings a task forward for its priority
+const URGENCY_PRIORITY_DAYS = { high: 2, medium: 1, low: 0 };
+
+/**
+ * Work out which deadline range a task falls in
+ * Completed tasks with a past deadline aren't overdue, so they only
+ * show up under "Any time".
+ * @param {object} task - Task object
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {Date} now - Current time
+ * @returns {string|null} - 'overdue', 'today', 'week', 'later', or null
+ */
+export const getDeadlineRange = (task, weekStartsOn = 0, now = new Date()) => {
+    const daysLeft = getDaysUntilDeadline(task, now);
+    if (daysLeft < 0) {
+        return task.completed ? null : 'overdue';
+    }
+    if (daysLeft === 0) {
+        return 'today';
+    }
+
+    const today = startOfDay(now);
+    const dayOfWeek = (today.getDay() - weekStartsOn + 7) % 7;
+    const weekEnd = addDays(today, 6 - dayOfWeek);
+    return startOfDay(task.deadline) <= weekEnd ? 'week' : 'later';
+};
+
+/**
+ * Apply the subject, priority, deadline and status filters
+ * @param {Array} tasks - Array of task objects
+ * @param {object} filters - Filters shaped like DEFAULT_TASK_FILTERS
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday)
+ * @param {Date} now - Current time
+ * @returns {Array} - Tasks that pass every filter
+ */
+export const filterTasks = (tasks, filters, weekStartsOn = 0, now = new Date()) =>
+    tasks.filter(task => {
+        if (filters.status === 'pending' && task.completed) {
+            return false;
+        }
+        if (filters.status === 'completed' && !task.completed) {
+            return false;
+        }
+        if (filters.subjectId && task.subjectId !== filters.subjectId) {
+            return false;
+        }
+        if (filters.priority && task.priority !== filters.priority) {
+            return false;
+        }
+        if (filters.deadlineRange && filters.deadlineRange !== 'any') {
+            return getDeadlineRange(task, weekStartsOn, now) === filters.deadlineRange;
+        }
+        return true;
+    });
+
+/**
+ * Count the filters (other than status) that narrow the list
+ * @param {object} filters - Filters shaped like DEFAULT_TASK_FILTERS
+ * @returns {number} - Number of active filters
+ */
+export const countActiveFilters = (filters) =>
+    [
+        filters.subjectId,
+        filters.priority,
+        filters.deadlineRange && filters.deadlineRange !== 'any',
+    ].filter(Boolean).length;
+
+const getPriorityRank = (task) => PRIORITY_RANK[task.priority?.toLowerCase()] || 4;
+
+/**
+ * Urgency of a pending task, in "effective days left"
+ * A High task due in three days ranks with a Low task due tomorrow.
+ * @param {object} task - Task object
+ * @param {Date} now - Current time
+ * @returns {number} - Lower is more urgent
+ */
+const getUrgency = (task, now) =>
+    getDaysUntilDeadline(task, now) - (URGENCY_PRIORITY_DAYS[task.priority?.toLowerCase()] || 0);
+
+// Comparators for each sort mode
+const COMPARATORS = {
+    deadline: (a, b) => new Date(a.deadline) - new Date(b.deadline),
+    created: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    studyTime: (a, b) => (b.studyTime || 0) - (a.studyTime || 0),
+    subject: (a, b) =>
+        (a.subject || '').localeCompare(b.subject || '', undefined, { sensitivity: 'base' }) ||
+        new Date(a.deadline) - new Date(b.deadline),
+};
+
+/**
+ * Sort tasks by one of the SORT_OPTIONS modes
+ * Urgency puts completed tasks last and orders the rest by how soon they
+ * are due, weighted by priority; ties go to the larger task.
+ * @param {Array} tasks - Array of task objects
+ * @param {string} mode - Sort mode
+ * @param {Date} now - Current time
+ * @returns {Array} - Sorted copy of the tasks
+ */
+export const sortTasks = (tasks, mode = 'priority', now = new Date()) => {
+    if (mode === 'urgency') {
+        return [...tasks].sort((a, b) =>
+            Number(a.completed) - Number(b.completed) ||
+            getUrgency(a, now) - getUrgency(b, now) ||
+            getPriorityRank(a) - getPriorityRank(b) ||
+            (b.studyTime || 0) - (a.studyTime || 0)
+        );
+    }
+    if (!COMPARATORS[mode]) {
+        return sortByPriority(tasks);
+    }
+    return [...tasks].sort(COMPARATORS[mode]);
+};